@@ -0,0 +1,119 @@
+import { compositionValue } from './resourceData.js';
+
+/**
+ * Asteroid field archetypes. Space is split into regions of sector chunks; each region rolls one archetype by
+ * `weight` (the home region around the base is always `HOME_FIELD`) and every chunk in it is generated with that
+ * archetype (`src/game/world/sectorChunks.js`). Streamed asteroids keep the id in `objectMeta.field`.
+ *
+ * - `layout`: `scatter` (anywhere in the chunk), `belt` (a dense band that runs on through neighbouring chunks),
+ *   `ring` (around a planet in the middle of the chunk) or `cloud` (a tight debris cluster around a derelict wreck)
+ * - `count`: `[min, max]` asteroids per chunk
+ * - `scale`: `[min, max]` size; `scaleBias` > 1 skews towards the small end
+ * - `spin`: max angular speed per axis (radians per 60 Hz tick)
+ * - `hp`: `{ base, perScale }`, hp = (base + perScale * scale) * the composition's hardness
+ * - `loot`: drops when destroyed: `perScale` per unit of size (at least `min`), each an ore rolled by composition
+ * - `ore`: relative weights each asteroid's ore composition is rolled from (`resourceData.js`); the composition
+ *   also sets its tint and value
+ */
+export const fieldArchetypes = {
+    belt: {
+        id: 'belt',
+        name: 'Dense Belt',
+        weight: 3,
+        layout: 'belt',
+        count: [12, 20],
+        scale: [1, 9],
+        scaleBias: 1.5,
+        spin: 0.005,
+        hp: { base: 0, perScale: 5 },
+        loot: { perScale: 0.5, min: 1 },
+        ore: { iron: 6, ice: 2, crystal: 1.5, rare: 0.5 }
+    },
+    sparse: {
+        id: 'sparse',
+        name: 'Sparse Field',
+        weight: 3,
+        layout: 'scatter',
+        count: [3, 6],
+        scale: [3, 12],
+        scaleBias: 1,
+        spin: 0.003,
+        hp: { base: 10, perScale: 6 },
+        loot: { perScale: 0.6, min: 2 },
+        ore: { iron: 3, ice: 1, crystal: 4, rare: 2 }
+    },
+    ring: {
+        id: 'ring',
+        name: 'Planetary Ring',
+        weight: 1,
+        layout: 'ring',
+        count: [16, 24],
+        scale: [0.8, 3],
+        scaleBias: 1.2,
+        spin: 0.012,
+        hp: { base: 2, perScale: 4 },
+        loot: { perScale: 1, min: 1 },
+        ore: { iron: 1, ice: 8, crystal: 1, rare: 0 }
+    },
+    debris: {
+        id: 'debris',
+        name: 'Debris Cloud',
+        weight: 1,
+        layout: 'cloud',
+        count: [12, 20],
+        scale: [0.6, 3],
+        scaleBias: 2,
+        spin: 0.02,
+        hp: { base: 4, perScale: 3 },
+        loot: { perScale: 1.5, min: 2 },
+        ore: { iron: 5, ice: 0, crystal: 1, rare: 4 }
+    }
+};
+
+/** Archetype of the region around the base station. */
+export const HOME_FIELD = 'belt';
+
+/**
+ * @param {string | undefined} id
+ * @returns {typeof fieldArchetypes[keyof typeof fieldArchetypes] | null}
+ */
+export function getField(id) {
+    return (id && fieldArchetypes[id]) || null;
+}
+
+/**
+ * Weighted pick from `items` (anything with a `weight`).
+ * @template {{ weight: number }} T
+ * @param {T[]} items
+ * @param {number} roll uniform in [0, 1)
+ * @returns {T}
+ */
+export function pickWeighted(items, roll) {
+    const total = items.reduce((sum, item) => sum + item.weight, 0);
+    let r = roll * total;
+    for (const item of items) {
+        if (r < item.weight) return item;
+        r -= item.weight;
+    }
+    return items[items.length - 1];
+}
+
+/**
+ * @param {typeof fieldArchetypes[keyof typeof fieldArchetypes]} field
+ * @param {number} scale asteroid size (`transform.sx`)
+ * @returns {number}
+ */
+export function fieldDropCount(field, scale) {
+    return Math.max(field.loot.min, Math.round(scale * field.loot.perScale));
+}
+
+/**
+ * Expected value of an asteroid's drops (shown as its loot value when targeted).
+ * @param {typeof fieldArchetypes[keyof typeof fieldArchetypes]} field
+ * @param {number} scale
+ * @param {Record<string, number>} ore composition
+ * @returns {number}
+ */
+export function fieldLootValue(field, scale, ore) {
+    return Math.round(fieldDropCount(field, scale) * compositionValue(ore));
+}
@@ -0,0 +1,92 @@
+/**
+ * Hashes any seed value (number or string) to a uint32 (FNV-1a).
+ * @param {number|string} value
+ * @returns {number}
+ */
+export function hashSeed(value) {
+  const str = String(value);
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+/**
+ * Seedable PRNG (mulberry32). Same seed -> same sequence on every machine.
+ * Use `fork(label)` for independent streams so unrelated consumers don't shift each other's rolls.
+ */
+export class Rng {
+  /**
+   * @param {number|string} seed
+   */
+  constructor(seed) {
+    this.seed = String(seed);
+    this._state = hashSeed(this.seed);
+  }
+
+  /** @returns {number} float in [0, 1) */
+  next() {
+    this._state = (this._state + 0x6d2b79f5) >>> 0;
+    let t = this._state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  /**
+   * @param {number} min
+   * @param {number} max
+   * @returns {number} float in [min, max)
+   */
+  range(min, max) {
+    return min + this.next() * (max - min);
+  }
+
+  /**
+   * @param {number} maxExclusive
+   * @returns {number} integer in [0, maxExclusive)
+   */
+  int(maxExclusive) {
+    return Math.floor(this.next() * maxExclusive);
+  }
+
+  /**
+   * @template T
+   * @param {T[]} items
+   * @returns {T}
+   */
+  pick(items) {
+    return items[this.int(items.length)];
+  }
+
+  /** @returns {number} internal state, for save games */
+  getState() {
+    return this._state;
+  }
+
+  /**
+   * @param {number} state value from `getState()`
+   */
+  setState(state) {
+    this._state = state >>> 0;
+  }
+
+  /**
+   * Derives an independent, deterministic stream.
+   * @param {string} label
+   * @returns {Rng}
+   */
+  fork(label) {
+    return new Rng(`${this.seed}:${label}`);
+  }
+
+  /**
+   * Fresh seed for a new run (the only place that touches `Math.random`).
+   * @returns {string}
+   */
+  static randomSeed() {
+    return Math.floor(Math.random() * 0xffffffff).toString(36);
+  }
+}
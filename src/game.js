@@ -3,9 +3,20 @@ import { EffectComposer } from 'three/examples/jsm/postprocessing/EffectComposer
 import { RenderPass } from 'three/examples/jsm/postprocessing/RenderPass.js';
 import { UnrealBloomPass } from 'three/examples/jsm/postprocessing/UnrealBloomPass.js';
 import { SoundManager } from './soundManager.js';
+import { getShip, spaceships } from './spaceshipData.js';
+import { createLoadout, getWeapon, weapons } from './weaponData.js';
+import { createUpgrades, formatUpgradeValue, upgradeValue, upgrades } from './upgradeData.js';
+import { models } from './modelData.js';
+import { cargoVolume, compositionColor, getResource, resources } from './resourceData.js';
 import { FixedTimestepLoop } from './core/fixedTimestepLoop.js';
+import { Rng, hashSeed } from './core/rng.js';
 import { KeyboardInput } from './input/keyboard.js';
+import { MouseFlightInput, loadMouseFlightSettings, saveMouseFlightSettings } from './input/mouseFlight.js';
+import { GamepadInput } from './input/gamepad.js';
+import { ActionMap, loadBindings, saveBindings } from './input/actionMap.js';
+import { combineAxes, createAxes, createControlState, resolveControls } from './input/controls.js';
 import { CombatSystem } from './game/systems/combatSystem.js';
+import { TargetingSystem } from './game/systems/targetingSystem.js';
 import { LootSystem } from './game/systems/lootSystem.js';
 import { MovementSystem } from './game/systems/movementSystem.js';
 import { CameraSystem } from './game/systems/cameraSystem.js';
@@ -13,59 +24,158 @@ import { NavigationSystem } from './game/systems/navigationSystem.js';
 import { EnvironmentSystem } from './game/systems/environmentSystem.js';
 import { VfxSystem } from './game/systems/vfxSystem.js';
 import { SpawnSystem } from './game/systems/spawnSystem.js';
+import { SpatialIndexSystem } from './game/systems/spatialIndexSystem.js';
+import { AiSystem } from './game/systems/aiSystem.js';
+import { ShieldSystem } from './game/systems/shieldSystem.js';
+import { CollisionSystem } from './game/systems/collisionSystem.js';
+import { SectorSystem } from './game/systems/sectorSystem.js';
+import { MarketSystem } from './game/systems/marketSystem.js';
 import { World } from './game/world/world.js';
 import { RenderRegistry } from './render/syncFromWorld.js';
+import { buildShipMesh } from './render/shipMeshes.js';
+import { applySaveSnapshot, createSaveSnapshot, migrateSave } from './game/save/saveGame.js';
+import { downloadSaveFile, writeLocalSave } from './game/save/saveStorage.js';
+import { InputRecorder, InputReplayer } from './game/replay/inputRecording.js';
+import { downloadJson } from './ui/fileIO.js';
+
+const PLANET_COLORS = [0xff7733, 0x3366ff, 0x44aa44, 0xaa44ff];
+const ENEMY_COUNT = 6;
+const DEFAULT_HULL = 100; // ships/saves from before `shipData.hull`
+const DEFAULT_SHIELD = 50; // ships/saves from before `shipData.shield`
+// Press-only actions that change gameplay; they become recorded input events of the same name.
+const EVENT_ACTIONS = new Set([
+    'nextWeapon',
+    'weapon1',
+    'weapon2',
+    'weapon3',
+    'weapon4',
+    'targetNext',
+    'targetPrev',
+    'targetNearest',
+    'targetType',
+    'toggleLeadAim'
+]);
 
 export class Game {
     /**
      * @param {any} shipData
-     * @param {{ hud?: import('./ui/hudController.js').HudController }} [deps]
+     * @param {{ hud?: import('./ui/hudController.js').HudController, soundManager?: SoundManager, models?: import('./render/modelLibrary.js').ModelLibrary, seed?: number|string, snapshot?: any, replay?: import('./game/replay/inputRecording.js').InputRecordingData }} [deps]
+     *   `snapshot`: migrated save (see `game/save/saveGame.js`); restored by `initWorld()` instead of generating.
+     *   `replay`: recording to play back; its seed/start snapshot (migrated here) override `seed`/`snapshot`.
      */
     constructor(shipData, deps = {}) {
         this.shipData = shipData;
-        this.soundManager = new SoundManager();
+
+        const replay = deps.replay ?? null;
+        // Replays keep their start snapshot at the version they were recorded with; bring it up like a save file.
+        const snapshot = replay ? (replay.startSnapshot ? migrateSave(replay.startSnapshot) : null) : deps.snapshot ?? null;
+
+        // Seeded randomness: `rng` drives simulation (world gen, spawns) and must only be consumed by
+        // gameplay code so headless and rendered runs agree; `fxRng` covers cosmetics (backdrop, VFX).
+        this.seed = String(replay?.seed ?? snapshot?.seed ?? deps.seed ?? Rng.randomSeed());
+        this.rng = new Rng(this.seed);
+        this.fxRng = this.rng.fork('fx');
+
+        this.soundManager = deps.soundManager ?? new SoundManager();
         this.hud = deps.hud ?? null;
-        this.canvas = document.getElementById('game-canvas');
+        // Preloaded glTF models; without it (headless) every mesh is procedural.
+        this.models = deps.models ?? null;
         
         // Game State
         this.stats = {
             energy: shipData.energy,
-            storage: 0,
-            loot: 0,
-            maxStorage: shipData.storage
+            loot: 0, // credits (earned by selling cargo at the station market)
+            maxStorage: shipData.storage // hold volume, + the cargo upgrade (`applyUpgradeStats()`)
         };
+        /** Cargo screen open (UI only: the ship keeps flying). */
+        this.cargoScreenOpen = false;
         
         this.input = new KeyboardInput();
-        this.keys = this.input.keys;
+        this.mouse = new MouseFlightInput();
+        this.gamepad = new GamepadInput();
+        this.actionMap = new ActionMap();
+        this._liveActions = {};
+        this._liveAxes = createAxes();
+
+        // Replay feeds its own action/axis state; live runs record theirs (see `game/replay/inputRecording.js`).
+        this.replayer = replay ? new InputReplayer(replay) : null;
+        /** Held actions for the current tick (keyboard via `actionMap` + gamepad buttons). */
+        this.actions = this.replayer ? this.replayer.actions : this._liveActions;
+        /** Analog flight axes for the current tick (mouse + gamepad, keyboard-rate units). */
+        this.axes = this.replayer ? this.replayer.axes : this._liveAxes;
+        /** Resolved once per tick from `actions` + `axes`; systems read this, not raw key codes. */
+        this.controls = createControlState();
         this.objects = [];
-        this.bullets = [];
         this.particles = [];
         this.cameraShake = 0;
         this.isPaused = false;
-        this.lastShotTime = 0;
-        this.fireRate = 600; // ms between shots (Slower for more impact)
-        this.shotEnergyCost = 2;
+        this.isDead = false; // death screen up; only a `respawn` input event clears it
+        this.lastShotTime = -Infinity; // sim time (ms) of the last shot
+        /** Equipped weapon ids (one per `shipData.weaponSlots`) and the active slot; see `weaponData.js`. */
+        this.loadout = createLoadout(shipData);
+        /** Owned tier per station upgrade (`upgradeData.js`). Saved. */
+        this.upgrades = createUpgrades();
+        /**
+         * Owned hulls by ship id, each with its own loadout and upgrades. The active ship's entry is the same
+         * objects as `loadout`/`upgrades`. Parked ships also keep the `hull`/`shield` hp they were left with
+         * (absent: undamaged). Saved.
+         * @type {Record<string, { loadout: { weapons: string[], active: number }, upgrades: Record<string, number>, hull?: number, shield?: number }>}
+         */
+        this.hangar = { [shipData.id]: { loadout: this.loadout, upgrades: this.upgrades } };
+        /** Aim assist fires at the target's intercept point (lead) instead of where it is now. Saved. */
+        this.leadAim = true;
 
         if (this.hud) {
             this.hud.setMaxStorage(this.stats.maxStorage);
             this.hud.setStats({
+                hull: this.maxHull,
+                maxHull: this.maxHull,
+                shield: this.maxShield,
+                maxShield: this.maxShield,
                 energy: this.stats.energy,
-                maxEnergy: this.shipData.energy,
-                storage: this.stats.storage,
+                maxEnergy: this.maxEnergy,
+                storage: this.cargoUsed,
                 maxStorage: this.stats.maxStorage,
                 loot: this.stats.loot
             });
-            this.hud.onResume(() => this.resumeFromBase());
+            this.hud.onResume(() => this.handleInputEvent('resume'));
+            this.hud.onRespawn(() => this.handleInputEvent('respawn'));
+            this.hud.onEquip((slot, weaponId) => this.handleInputEvent(`equip:${slot}:${weaponId}`));
+            this.hud.onBuyUpgrade((id) => this.trade(`upgrade:${id}`));
+            this.hud.onBuyShip((shipId) => this.trade(`buyShip:${shipId}`));
+            this.hud.onSell((id, count) => this.trade(`sell:${id}:${count}`));
+            this.hud.onSellAll(() => this.trade('sellAll'));
+            this.hud.onDeliver((contractId) => this.trade(`deliver:${contractId}`));
+            this.hud.onBoardShip((shipId) => this.handleInputEvent(`board:${shipId}`));
+            this.hud.onJettison((type, count) => this.handleInputEvent(`jettison:${type}:${count}`));
+            this.hud.onSave(() => this.saveGame());
+            this.hud.onExportSave(() => this.exportSave());
+            this.hud.onExportReplay(() => this.exportReplay());
+            this.hud.onMouseFlightSettingsChange((patch) => this.setMouseFlightSettings(patch));
+            this.hud.controlsMenu.onRebind((action, slot, code) => this.rebindAction(action, slot, code));
+            this.hud.controlsMenu.onReset(() => this.resetBindings());
             this.hud.setBaseMenuVisible(false);
+            this.hud.setDeathScreenVisible(false);
         }
 
         this._loop = new FixedTimestepLoop({ stepHz: 60, maxSubSteps: 5 });
         this._simTimeSec = 0;
+        this._tick = 0; // simulated (non-paused) ticks; replay events are keyed on it
+
+        this.recorder = this.replayer
+            ? null
+            : new InputRecorder({
+                seed: this.seed,
+                shipData,
+                startSnapshot: snapshot,
+                stepHz: this._loop.stepHz
+            });
 
         this.world = new World();
         this.renderRegistry = new RenderRegistry();
 
         this.combat = new CombatSystem(this);
+        this.targeting = new TargetingSystem(this);
         this.loot = new LootSystem(this);
         this.movement = new MovementSystem(this);
         this.cameraSystem = new CameraSystem(this);
@@ -73,15 +183,454 @@ export class Game {
         this.environment = new EnvironmentSystem(this);
         this.vfx = new VfxSystem(this);
         this.spawner = new SpawnSystem(this);
+        this.spatial = new SpatialIndexSystem(this);
+        this.ai = new AiSystem(this);
+        this.shields = new ShieldSystem(this);
+        this.collisions = new CollisionSystem(this);
+        this.sector = new SectorSystem(this);
+        this.market = new MarketSystem(this);
 
         /** @type {number|null} */
         this.currentTargetEntityId = null;
 
         /** @type {number|null} */
         this.playerEntityId = null;
+
+        /** @type {number|null} */
+        this.baseStationEntityId = null;
+
+        this._pendingSnapshot = snapshot;
     }
 
     init() {
+        this.initRenderer();
+        this.initWorld();
+
+        // Controls
+        this.input.attach(window);
+        this.mouse.attach(this.renderer.domElement);
+        this.mouse.updateSettings(loadMouseFlightSettings());
+        if (this.hud) this.hud.setMouseFlightSettings(this.mouse.settings);
+        this.actionMap.setBindings(loadBindings());
+        this.refreshBindingsUi();
+        this.refreshWeaponUi();
+        this.refreshStationUi();
+        this._onKeyDownShoot = (e) => {
+            const action = this.actionMap.actionForCode(e.code);
+            if (action === 'fire') this.shoot();
+            else if (action && !e.repeat) this.onActionPressed(action);
+        };
+        window.addEventListener('keydown', this._onKeyDownShoot);
+        this._onResize = () => this.onWindowResize();
+        window.addEventListener('resize', this._onResize);
+        this._onMouseDown = () => {
+            // With mouse flight on, the first click in flight captures the pointer instead of firing.
+            if (this.mouse.settings.enabled && !this.mouse.isLocked() && !this.isPaused) {
+                this.mouse.requestLock();
+                return;
+            }
+            this.shoot();
+        };
+        window.addEventListener('mousedown', this._onMouseDown);
+
+        // Start Loop
+        this._rafId = requestAnimationFrame((t) => this.animate(t));
+    }
+
+    /**
+     * Simulation-only init: seeds `World` without a renderer, DOM or audio.
+     * Drive it with `step()` (see `src/headless.js`).
+     */
+    initHeadless() {
+        this.initWorld();
+    }
+
+    /**
+     * Seeds world entities. Meshes are only built when `initRenderer()` created a scene.
+     */
+    initWorld() {
+        if (this._pendingSnapshot) {
+            this.restoreWorld(this._pendingSnapshot);
+            this._pendingSnapshot = null;
+            return;
+        }
+
+        // Base Station
+        this.createBaseStation();
+
+        // Player Spaceship
+        this.createPlayerShip();
+
+        // Environment (Asteroids/Planets)
+        this.createEnvironment();
+    }
+
+    /**
+     * @param {any} snapshot migrated save
+     */
+    restoreWorld(snapshot) {
+        applySaveSnapshot(this, snapshot);
+        if (this.scene) this.createMeshesFromWorld();
+        // Saves from before sector streaming start with no chunks loaded.
+        this.sector.loadAll();
+        if (this.hud) this.hud.setMaxStorage(this.stats.maxStorage);
+        this.updateHudStats();
+    }
+
+    /**
+     * Rebuilds render meshes for every entity already in `World` (used after loading a save).
+     */
+    createMeshesFromWorld() {
+        this.createBaseStationMesh();
+        this.createPlayerShipMesh();
+        for (const [entityId, meta] of this.world.objectMeta) {
+            if (meta.type === 'planet') this.createPlanetMesh(entityId);
+            else if (meta.type === 'wreck') this.createWreckMesh(entityId);
+            else if (meta.type === 'enemy') this.createEnemyMesh(entityId);
+            else this.createAsteroidMesh(entityId);
+        }
+        for (const [entityId] of this.world.loot) this.spawner.createLootMesh(entityId);
+        for (const [entityId] of this.world.projectile) this.combat.createProjectileMesh(entityId);
+    }
+
+    saveGame() {
+        try {
+            writeLocalSave(createSaveSnapshot(this));
+            this.showMessage('Game saved.');
+        } catch (e) {
+            console.error('Save failed', e);
+            this.showMessage('Save failed!');
+        }
+    }
+
+    /**
+     * Mouse settings are a local preference, not gameplay state: the resulting axes are what gets recorded.
+     * @param {Partial<import('./input/mouseFlight.js').MouseFlightSettings>} patch
+     */
+    setMouseFlightSettings(patch) {
+        this.mouse.updateSettings(patch);
+        try {
+            saveMouseFlightSettings(this.mouse.settings);
+        } catch (e) {
+            console.warn('Could not persist mouse settings', e);
+        }
+        if (this.hud) this.hud.setMouseFlightSettings(this.mouse.settings);
+    }
+
+    /**
+     * Bindings are a local preference like mouse settings; recordings store actions, so replays are unaffected.
+     * @param {string} action
+     * @param {number} slot
+     * @param {string|null} code
+     */
+    rebindAction(action, slot, code) {
+        this.actionMap.rebind(action, slot, code);
+        this.persistBindings();
+    }
+
+    resetBindings() {
+        this.actionMap.reset();
+        this.persistBindings();
+    }
+
+    persistBindings() {
+        try {
+            saveBindings(this.actionMap.bindings);
+        } catch (e) {
+            console.warn('Could not persist key bindings', e);
+        }
+        this.refreshBindingsUi();
+    }
+
+    refreshBindingsUi() {
+        if (!this.hud) return;
+        this.hud.controlsMenu.render(this.actionMap);
+        this.hud.setControlsHint(this.actionMap.formatHint());
+    }
+
+    /**
+     * Press-only actions (keyboard keydown, gamepad button edges). Gameplay ones become recorded input events.
+     * @param {string} action
+     */
+    onActionPressed(action) {
+        if (action === 'toggleMouseFlight') this.toggleMouseFlight();
+        else if (action === 'toggleCargo') this.toggleCargoScreen();
+        else if (EVENT_ACTIONS.has(action)) this.handleInputEvent(action);
+    }
+
+    /**
+     * @param {number} slot
+     */
+    selectWeapon(slot) {
+        if (this.isDead || slot < 0 || slot >= this.loadout.weapons.length || slot === this.loadout.active) return;
+        this.loadout.active = slot;
+        this.soundManager.playWeaponSwitch();
+        this.showMessage(`${getWeapon(this.loadout.weapons[slot]).name} online`);
+        this.refreshWeaponUi();
+    }
+
+    cycleWeapon() {
+        this.selectWeapon((this.loadout.active + 1) % this.loadout.weapons.length);
+    }
+
+    /**
+     * Docked loadout change: puts `weaponId` in `slot` (slots beyond the current list append).
+     * @param {number} slot
+     * @param {string} weaponId
+     */
+    equipWeapon(slot, weaponId) {
+        const slots = this.shipData.weaponSlots ?? 1;
+        if (!this.isDocked || !weapons[weaponId] || slot < 0 || slot >= slots) return;
+        const list = this.loadout.weapons;
+        list[Math.min(slot, list.length)] = weaponId;
+        if (this.loadout.active >= list.length) this.loadout.active = 0;
+        this.refreshWeaponUi();
+    }
+
+    refreshWeaponUi() {
+        if (!this.hud) return;
+        const { weapons: equipped, active } = this.loadout;
+        this.hud.setWeapon({ name: getWeapon(equipped[active]).name, slot: active, slots: equipped.length });
+        this.hud.renderLoadout(this.loadout, this.shipData.weaponSlots ?? 1, Object.values(weapons));
+    }
+
+    /**
+     * Shop/hangar/market buttons: the trade is a recorded input event; anything bought or sold is saved right away
+     * so it persists across sessions.
+     * @param {string} type `upgrade:<id>`, `buyShip:<shipId>`, `sell:<resourceId>:<count>`, `sellAll` or
+     *   `deliver:<contractId>`
+     */
+    trade(type) {
+        const loot = this.stats.loot;
+        this.handleInputEvent(type);
+        if (this.stats.loot !== loot) this.saveGame();
+    }
+
+    /**
+     * Docked purchase of the next tier of upgrade `id`.
+     * @param {string} id
+     */
+    buyUpgrade(id) {
+        const def = upgrades[id];
+        if (!def || !this.isDocked) return;
+        const tier = this.upgrades[id] ?? 0;
+        const next = def.tiers[tier];
+        if (!next) return;
+        if (this.stats.loot < next.price) {
+            this.showMessage(`Not enough credits for ${def.name}.`);
+            return;
+        }
+        this.stats.loot -= next.price;
+        this.upgrades[id] = tier + 1;
+        this.applyUpgradeStats();
+        this.soundManager.playUpgrade();
+        this.showMessage(`${def.name} upgraded to tier ${tier + 1}.`);
+        this.updateHudStats();
+        this.refreshStationUi();
+    }
+
+    /**
+     * Docked purchase of hull `shipId`; it joins the hangar with its default loadout.
+     * @param {string} shipId
+     */
+    buyShip(shipId) {
+        const ship = getShip(shipId);
+        if (!ship || !this.isDocked || this.hangar[shipId]) return;
+        if (this.stats.loot < ship.price) {
+            this.showMessage(`Not enough credits for the ${ship.name}.`);
+            return;
+        }
+        this.stats.loot -= ship.price;
+        this.hangar[shipId] = { loadout: createLoadout(ship), upgrades: createUpgrades() };
+        this.soundManager.playUpgrade();
+        this.showMessage(`${ship.name} added to the hangar.`);
+        this.updateHudStats();
+        this.refreshStationUi();
+    }
+
+    /**
+     * Docked ship swap: the player entity takes the owned hull's stats, loadout, upgrades and the damage it was parked
+     * with; the ship left behind keeps its own.
+     * @param {string} shipId
+     */
+    boardShip(shipId) {
+        const ship = getShip(shipId);
+        const owned = this.hangar[shipId];
+        if (!ship || !owned || !this.isDocked || shipId === this.shipData.id) return;
+        // The cargo moves across with the pilot, so it has to fit the new hold.
+        const capacity = ship.storage + upgradeValue('cargo', owned.upgrades.cargo);
+        if (this.cargoUsed > capacity) {
+            this.showMessage(`Cargo (${this.cargoUsed}) won't fit the ${ship.name}'s hold (${capacity}). Sell some first.`);
+            return;
+        }
+        const hull = this.world.getHealth(this.playerEntityId);
+        const shield = this.world.shield.get(this.playerEntityId);
+        const parked = this.hangar[this.shipData.id];
+        if (hull) parked.hull = hull.hp;
+        if (shield) parked.shield = shield.hp;
+
+        this.shipData = { ...ship };
+        this.loadout = owned.loadout;
+        this.upgrades = owned.upgrades;
+
+        if (hull) {
+            hull.maxHp = this.maxHull;
+            hull.hp = Math.min(owned.hull ?? hull.maxHp, hull.maxHp);
+        }
+        if (shield) {
+            shield.maxHp = this.maxShield;
+            shield.hp = Math.min(owned.shield ?? shield.maxHp, shield.maxHp);
+        }
+        delete owned.hull;
+        delete owned.shield;
+        this.applyUpgradeStats();
+        this.stats.energy = this.maxEnergy;
+
+        if (this.player && this.scene) {
+            this.scene.remove(this.player);
+            this.renderRegistry.unbind(this.playerEntityId);
+            this.createPlayerShipMesh();
+        }
+        this.soundManager.playWeaponSwitch();
+        this.showMessage(`Boarded the ${ship.name}.`);
+        this.updateHudStats();
+        this.refreshWeaponUi();
+        this.refreshStationUi();
+    }
+
+    /**
+     * Re-derives stats that upgrades raise: cargo capacity and (when docked) a full, larger energy tank.
+     */
+    applyUpgradeStats() {
+        this.stats.maxStorage = this.shipData.storage + upgradeValue('cargo', this.upgrades.cargo);
+        if (this.isDocked) this.stats.energy = this.maxEnergy;
+        if (this.hud) this.hud.setMaxStorage(this.stats.maxStorage);
+    }
+
+    refreshStationUi() {
+        this.refreshShopUi();
+        this.refreshHangarUi();
+        this.refreshMarketUi();
+    }
+
+    refreshMarketUi() {
+        if (!this.hud) return;
+        const stacks = this.inventory?.stacks ?? {};
+        const items = Object.values(resources).map((res) => {
+            const history = this.market.history[res.id];
+            const price = this.market.price(res.id);
+            return {
+                id: res.id,
+                name: res.name,
+                color: res.color,
+                held: stacks[res.id] ?? 0,
+                price,
+                change: history.length ? price - history[history.length - 1] : 0,
+                history: history.map((p) => p / res.value)
+            };
+        });
+        const contracts = this.market.contracts.map((c) => ({
+            id: c.id,
+            name: getResource(c.resource).name,
+            delivered: c.delivered,
+            quantity: c.quantity,
+            price: c.price,
+            bonus: c.bonus,
+            minutesLeft: Math.max(0, Math.ceil((c.expiresSec - this._simTimeSec) / 60)),
+            held: stacks[c.resource] ?? 0
+        }));
+        this.hud.renderMarket(items, contracts, this.stats.loot);
+    }
+
+    refreshHangarUi() {
+        if (!this.hud) return;
+        const banked = this.stats.loot;
+        this.hud.renderHangar(
+            spaceships.map((ship) => ({
+                id: ship.id,
+                name: ship.name,
+                description: `${ship.class} · Hull ${ship.hull} · Shield ${ship.shield} · Cargo ${ship.storage} · ${ship.weaponSlots} slots`,
+                owned: !!this.hangar[ship.id],
+                active: ship.id === this.shipData.id,
+                price: ship.price,
+                affordable: banked >= ship.price
+            }))
+        );
+    }
+
+    refreshShopUi() {
+        if (!this.hud) return;
+        const banked = this.stats.loot;
+        this.hud.renderShop(
+            Object.values(upgrades).map((def) => {
+                const tier = this.upgrades[def.id] ?? 0;
+                const next = def.tiers[tier] ?? null;
+                return {
+                    id: def.id,
+                    name: def.name,
+                    description: def.description,
+                    tier,
+                    maxTier: def.tiers.length,
+                    effect: tier > 0 ? formatUpgradeValue(def.id, upgradeValue(def.id, tier)) : '',
+                    nextEffect: next ? formatUpgradeValue(def.id, next.value) : '',
+                    price: next ? next.price : null,
+                    affordable: !!next && banked >= next.price
+                };
+            }),
+            banked
+        );
+    }
+
+    toggleLeadAim() {
+        this.leadAim = !this.leadAim;
+        this.showMessage(this.leadAim ? 'Lead aim on' : 'Lead aim off');
+    }
+
+    toggleMouseFlight() {
+        const enabled = !this.mouse.settings.enabled;
+        this.setMouseFlightSettings({ enabled });
+        if (enabled && !this.isPaused) this.mouse.requestLock();
+        this.showMessage(enabled ? 'Mouse flight on (Esc releases pointer)' : 'Mouse flight off');
+    }
+
+    toggleCargoScreen() {
+        this.cargoScreenOpen = !this.cargoScreenOpen;
+        // Free the cursor for the jettison buttons; the next click in flight recaptures it.
+        if (this.cargoScreenOpen) this.mouse.releaseLock();
+        if (this.hud) this.hud.setCargoVisible(this.cargoScreenOpen);
+        this.refreshCargoUi();
+    }
+
+    refreshCargoUi() {
+        if (!this.hud || !this.cargoScreenOpen) return;
+        const items = Object.entries(this.inventory?.stacks ?? {}).map(([id, count]) => {
+            const res = getResource(id);
+            // At the station's current price, as on the market screen.
+            return { id, name: res.name, count, volume: count * res.volume, value: count * this.market.price(id) };
+        });
+        this.hud.renderCargo(items, this.cargoUsed, this.stats.maxStorage);
+    }
+
+    exportSave() {
+        downloadSaveFile(createSaveSnapshot(this));
+    }
+
+    /**
+     * @returns {import('./game/replay/inputRecording.js').InputRecordingData|null}
+     */
+    getRecording() {
+        return this.recorder ? this.recorder.toData() : null;
+    }
+
+    exportReplay() {
+        const recording = this.getRecording();
+        if (!recording) return;
+        downloadJson(recording, `wreckspace-replay-${this.seed}.json`);
+    }
+
+    initRenderer() {
+        this.canvas = document.getElementById('game-canvas');
+
         // Scene setup
         this.scene = new THREE.Scene();
         this.scene.background = new THREE.Color(0x020205); // Deep space blue/black
@@ -126,35 +675,24 @@ export class Game {
         // Stars
         this.createStars();
         this.createSpaceDust(); // Add space dust for speed sensation
+    }
 
-        // Base Station
-        this.createBaseStation();
-
-        // Player Spaceship
-        this.createPlayerShip();
-
-        // Environment (Asteroids/Planets)
-        this.createEnvironment();
-
-        // Controls
-        this.input.attach(window);
-        this._onKeyDownShoot = (e) => {
-            if (e.code === 'Space') this.shoot();
-        };
-        window.addEventListener('keydown', this._onKeyDownShoot);
-        this._onResize = () => this.onWindowResize();
-        window.addEventListener('resize', this._onResize);
-        this._onMouseDown = () => this.shoot();
-        window.addEventListener('mousedown', this._onMouseDown);
-
-        // Start Loop
-        requestAnimationFrame((t) => this.animate(t));
+    /**
+     * Runs a docked market sale and refreshes what it touched.
+     * @param {() => number} sale returns credits earned (0 when nothing was sold)
+     */
+    sellCargo(sale) {
+        if (sale() <= 0) return;
+        this.soundManager.playDeposit();
+        this.updateHudStats();
+        this.refreshStationUi();
     }
 
     resumeFromBase() {
         if (this.hud) this.hud.setBaseMenuVisible(false);
         this.isPaused = false;
-        this.stats.energy = this.shipData.energy;
+        this.loot.launch();
+        this.stats.energy = this.maxEnergy;
         this.updateHudStats();
     }
 
@@ -164,7 +702,7 @@ export class Game {
         const posArray = new Float32Array(dustCount * 3);
         
         for(let i = 0; i < dustCount * 3; i++) {
-            posArray[i] = (Math.random() - 0.5) * 400; // 400 unit box
+            posArray[i] = (this.fxRng.next() - 0.5) * 400; // 400 unit box
         }
         
         dustGeo.setAttribute('position', new THREE.BufferAttribute(posArray, 3));
@@ -182,6 +720,11 @@ export class Game {
     }
 
     createStars() {
+        // Stars and nebula hang in a group the camera system keeps centred on the camera, so the backdrop
+        // surrounds the player however far they fly from the origin.
+        this.backdrop = new THREE.Group();
+        this.scene.add(this.backdrop);
+
         // 1. Background Dust (Tiny stars)
         const starGeometry = new THREE.BufferGeometry();
         const starVertices = [];
@@ -193,12 +736,12 @@ export class Game {
         ];
 
         for (let i = 0; i < 10000; i++) {
-            const x = (Math.random() - 0.5) * 6000;
-            const y = (Math.random() - 0.5) * 6000;
-            const z = (Math.random() - 0.5) * 6000;
+            const x = (this.fxRng.next() - 0.5) * 6000;
+            const y = (this.fxRng.next() - 0.5) * 6000;
+            const z = (this.fxRng.next() - 0.5) * 6000;
             starVertices.push(x, y, z);
             
-            const color = colorOptions[Math.floor(Math.random() * colorOptions.length)];
+            const color = colorOptions[Math.floor(this.fxRng.next() * colorOptions.length)];
             starColors.push(color.r, color.g, color.b);
         }
         
@@ -214,16 +757,16 @@ export class Game {
         });
         
         const stars = new THREE.Points(starGeometry, starMaterial);
-        this.scene.add(stars);
+        this.backdrop.add(stars);
 
         // 2. Bright Glowing Stars (For Bloom) - Toned down
         const brightGeo = new THREE.BufferGeometry();
         const brightVertices = [];
         
         for(let i=0; i<300; i++) { // Reduced count from 500
-            const x = (Math.random() - 0.5) * 6000;
-            const y = (Math.random() - 0.5) * 6000;
-            const z = (Math.random() - 0.5) * 6000;
+            const x = (this.fxRng.next() - 0.5) * 6000;
+            const y = (this.fxRng.next() - 0.5) * 6000;
+            const z = (this.fxRng.next() - 0.5) * 6000;
             brightVertices.push(x, y, z);
         }
         brightGeo.setAttribute('position', new THREE.Float32BufferAttribute(brightVertices, 3));
@@ -235,7 +778,7 @@ export class Game {
             sizeAttenuation: true
         });
         const brightStars = new THREE.Points(brightGeo, brightMat);
-        this.scene.add(brightStars);
+        this.backdrop.add(brightStars);
 
         // 3. Procedural Nebula (Soft Clouds)
         this.createNebula();
@@ -267,30 +810,54 @@ export class Game {
         });
 
         for (let i = 0; i < 60; i++) {
-            const color = colors[Math.floor(Math.random() * colors.length)];
+            const color = colors[Math.floor(this.fxRng.next() * colors.length)];
             const material = geometry.clone();
             material.color.setHex(color);
-            material.opacity = 0.02 + Math.random() * 0.05; // Reduced opacity to prevent whiteout
+            material.opacity = 0.02 + this.fxRng.next() * 0.05; // Reduced opacity to prevent whiteout
             
             const sprite = new THREE.Sprite(material);
-            const scale = 1000 + Math.random() * 2000;
+            const scale = 1000 + this.fxRng.next() * 2000;
             sprite.scale.set(scale, scale, 1);
             
             sprite.position.set(
-                (Math.random() - 0.5) * 4000,
-                (Math.random() - 0.5) * 4000,
-                (Math.random() - 0.5) * 4000
+                (this.fxRng.next() - 0.5) * 4000,
+                (this.fxRng.next() - 0.5) * 4000,
+                (this.fxRng.next() - 0.5) * 4000
             );
             
-            this.scene.add(sprite);
+            this.backdrop.add(sprite);
         }
     }
 
     createBaseStation() {
-        const geometry = new THREE.TorusKnotGeometry(20, 5, 100, 16);
-        const material = new THREE.MeshStandardMaterial({ color: 0x888888, metalness: 0.8, roughness: 0.2 });
-        this.baseStation = new THREE.Mesh(geometry, material);
-        this.baseStation.position.set(0, 0, -100);
+        // World-first: the station is a plain transform (not targetable, no objectMeta).
+        this.baseStationEntityId = this.world.createEntity();
+        this.world.transform.set(this.baseStationEntityId, {
+            x: 0,
+            y: 0,
+            z: -100,
+            rx: 0,
+            ry: 0,
+            rz: 0,
+            sx: 1,
+            sy: 1,
+            sz: 1
+        });
+        if (this.scene) this.createBaseStationMesh();
+    }
+
+    createBaseStationMesh() {
+        const t = this.world.transform.get(this.baseStationEntityId);
+        const model = this.instantiateModel(models.station);
+        if (model) {
+            this.baseStation = model;
+        } else {
+            const geometry = new THREE.TorusKnotGeometry(20, 5, 100, 16);
+            const material = new THREE.MeshStandardMaterial({ color: 0x888888, metalness: 0.8, roughness: 0.2 });
+            this.baseStation = new THREE.Mesh(geometry, material);
+        }
+        this.baseStation.position.set(t.x, t.y, t.z);
+        this.renderRegistry.bind(this.baseStationEntityId, this.baseStation);
         this.scene.add(this.baseStation);
         
         // Add a glow or some indicator
@@ -300,136 +867,12 @@ export class Game {
     }
 
     createPlayerShip() {
-        // High-Fidelity "Starfighter" Design
-        const group = new THREE.Group();
-        
-        const mainColor = this.shipData.color;
-        const secondaryColor = 0x333333;
-        const accentColor = 0xffaa00;
-
-        // 1. Fuselage (Central Body) - Sleek and long
-        const fuselageGeo = new THREE.CylinderGeometry(0.5, 1.2, 6, 8);
-        fuselageGeo.rotateX(Math.PI / 2);
-        const fuselageMat = new THREE.MeshStandardMaterial({ 
-            color: mainColor, roughness: 0.3, metalness: 0.8 
-        });
-        const fuselage = new THREE.Mesh(fuselageGeo, fuselageMat);
-        fuselage.position.z = 0.5;
-        group.add(fuselage);
-
-        // Nose Cone
-        const noseGeo = new THREE.ConeGeometry(0.5, 3, 8);
-        noseGeo.rotateX(Math.PI / 2);
-        const nose = new THREE.Mesh(noseGeo, fuselageMat);
-        nose.position.z = 5;
-        group.add(nose);
-
-        // 2. Cockpit (Bubble Canopy)
-        const cockpitGeo = new THREE.CapsuleGeometry(0.7, 1.5, 4, 8);
-        cockpitGeo.rotateX(Math.PI / 2);
-        const cockpitMat = new THREE.MeshStandardMaterial({ 
-            color: 0x111111, 
-            roughness: 0.0, 
-            metalness: 1.0,
-            emissive: 0x00aaff,
-            emissiveIntensity: 0.3
-        });
-        const cockpit = new THREE.Mesh(cockpitGeo, cockpitMat);
-        cockpit.position.set(0, 0.8, 1.0);
-        cockpit.scale.set(1, 0.8, 1);
-        group.add(cockpit);
-
-        // 3. Wings (Forward Swept / Aggressive)
-        const wingShape = new THREE.Shape();
-        wingShape.moveTo(0, 0);
-        wingShape.lineTo(4, -2);
-        wingShape.lineTo(4, 1);
-        wingShape.lineTo(0, 3);
-        
-        const wingExtrudeSettings = { steps: 1, depth: 0.2, bevelEnabled: true, bevelThickness: 0.1, bevelSize: 0.1, bevelSegments: 2 };
-        const wingGeo = new THREE.ExtrudeGeometry(wingShape, wingExtrudeSettings);
-        const wingMat = new THREE.MeshStandardMaterial({ color: mainColor, roughness: 0.5, metalness: 0.6 });
-        
-        // Left Wing
-        const leftWing = new THREE.Mesh(wingGeo, wingMat);
-        leftWing.rotation.x = Math.PI / 2;
-        leftWing.rotation.y = -0.2; // Slight tilt
-        leftWing.position.set(-1, 0, -1);
-        group.add(leftWing);
-
-        // Right Wing
-        const rightWing = new THREE.Mesh(wingGeo, wingMat);
-        rightWing.rotation.x = Math.PI / 2;
-        rightWing.rotation.y = Math.PI + 0.2; // Mirror + tilt
-        rightWing.position.set(1, 0, -1);
-        // Correcting the shape orientation for right wing requires scaling
-        rightWing.scale.set(1, 1, -1); // Mirror Z
-        rightWing.rotation.set(Math.PI / 2, 0.2, 0);
-        group.add(rightWing);
-
-        // 4. Heavy Engines (Double Thrusters)
-        const engineGeo = new THREE.CylinderGeometry(0.6, 0.8, 3, 16);
-        engineGeo.rotateX(Math.PI / 2);
-        const engineMat = new THREE.MeshStandardMaterial({ color: secondaryColor, roughness: 0.4, metalness: 0.7 });
-        
-        const glowGeo = new THREE.CylinderGeometry(0.4, 0.1, 0.2, 16);
-        glowGeo.rotateX(Math.PI / 2);
-        const glowMat = new THREE.MeshBasicMaterial({ color: 0x00ffff });
-
-        const createEngine = (x, y, z) => {
-            const engine = new THREE.Mesh(engineGeo, engineMat);
-            engine.position.set(x, y, z);
-            
-            // Engine Glow Ring
-            const ring = new THREE.Mesh(
-                new THREE.TorusGeometry(0.7, 0.1, 8, 16),
-                new THREE.MeshBasicMaterial({ color: 0x00ffff, blending: THREE.AdditiveBlending })
-            );
-            ring.position.z = -1.5;
-            engine.add(ring);
-
-            // Inner Glow
-            const core = new THREE.Mesh(glowGeo, glowMat);
-            core.position.z = -1.5;
-            engine.add(core);
-
-            return engine;
-        };
-
-        const engL = createEngine(-2.5, 0, -2);
-        const engR = createEngine(2.5, 0, -2);
-        group.add(engL);
-        group.add(engR);
-
-        // 5. Weapon Mounts
-        const gunGeo = new THREE.BoxGeometry(0.2, 0.2, 2);
-        const gunMat = new THREE.MeshStandardMaterial({ color: 0x222222 });
-        const gunL = new THREE.Mesh(gunGeo, gunMat);
-        gunL.position.set(-4, 0, 0);
-        const gunR = new THREE.Mesh(gunGeo, gunMat);
-        gunR.position.set(4, 0, 0);
-        group.add(gunL);
-        group.add(gunR);
-
-        // Store engine positions for trails (Tip of the glow)
-        this.engineOffsets = [
-            new THREE.Vector3(-2.5, 0, -3.5), 
-            new THREE.Vector3(2.5, 0, -3.5)
-        ];
-
-        this.player = group;
-        this.scene.add(this.player);
-        
-        // Initial position
-        this.player.position.set(0, 0, 0);
-
         // World-first: player simulation state
         this.playerEntityId = this.world.createEntity();
-        this.renderRegistry.bind(this.playerEntityId, this.player);
         this.world.transform.set(this.playerEntityId, {
-            x: this.player.position.x,
-            y: this.player.position.y,
-            z: this.player.position.z,
+            x: 0,
+            y: 0,
+            z: 0,
             rx: 0,
             ry: 0,
             rz: 0,
@@ -438,146 +881,386 @@ export class Game {
             sz: 1
         });
         this.world.velocity.set(this.playerEntityId, { x: 0, y: 0, z: 0 });
-        this.world.rotationQuat.set(this.playerEntityId, {
-            x: this.player.quaternion.x,
-            y: this.player.quaternion.y,
-            z: this.player.quaternion.z,
-            w: this.player.quaternion.w
-        });
-        
+        this.world.rotationQuat.set(this.playerEntityId, { x: 0, y: 0, z: 0, w: 1 });
+
         // Physics State
         this.currentSpeed = 0;
+
+        this.world.health.set(this.playerEntityId, { hp: this.maxHull, maxHp: this.maxHull });
+        this.world.shield.set(this.playerEntityId, { hp: this.maxShield, maxHp: this.maxShield, lastHitSec: 0 });
+        this.world.inventory.set(this.playerEntityId, { stacks: {} });
+
+        if (this.scene) this.createPlayerShipMesh();
+    }
+
+    /** @returns {number} */
+    get maxHull() {
+        return this.shipData.hull ?? DEFAULT_HULL;
+    }
+
+    /** @returns {number} */
+    get maxShield() {
+        return this.shipData.shield ?? DEFAULT_SHIELD;
+    }
+
+    /** @returns {number} */
+    get maxEnergy() {
+        return Math.round(this.shipData.energy * upgradeValue('maxEnergy', this.upgrades.maxEnergy));
+    }
+
+    /** `shipData.weaponPower` with the upgrade; shots deal `weapon.damage * weaponPower`. */
+    get weaponPower() {
+        return this.shipData.weaponPower * upgradeValue('weaponPower', this.upgrades.weaponPower);
+    }
+
+    /** Shots-per-second multiplier for projectile weapons. */
+    get fireRateMultiplier() {
+        return upgradeValue('fireRate', this.upgrades.fireRate);
+    }
+
+    /** Loot magnet range (world units). */
+    get magnetRange() {
+        return upgradeValue('magnet', this.upgrades.magnet);
+    }
+
+    /** Engine acceleration/speed multiplier. */
+    get thrust() {
+        return upgradeValue('thrust', this.upgrades.thrust);
+    }
+
+    /** The player's cargo hold (`World.inventory`). */
+    get inventory() {
+        return this.world.inventory.get(this.playerEntityId) ?? null;
+    }
+
+    /** Hold volume taken (units times each resource's `volume`); full at `stats.maxStorage`. */
+    get cargoUsed() {
+        const inventory = this.inventory;
+        return inventory ? cargoVolume(inventory.stacks) : 0;
+    }
+
+    /** Parked at the base station with the base menu open. */
+    get isDocked() {
+        return this.isPaused && !this.isDead;
+    }
+
+    /**
+     * A copy of a `modelData.js` entry's model with its scale applied.
+     * @param {{ url: string, scale?: number } | null} entry
+     * @returns {THREE.Object3D | null} null when the entry is unset or its model did not load
+     */
+    instantiateModel(entry) {
+        const model = entry ? this.models?.instantiate(entry.url) : null;
+        if (model) model.scale.setScalar(entry.scale ?? 1);
+        return model ?? null;
+    }
+
+    createPlayerShipMesh() {
+        // Hull recipe, engines and hardpoints all come from the ship data.
+        const { group, engineOffsets } = buildShipMesh(this.shipData, this.models?.instantiate(this.shipData.mesh?.model));
+        // Engine trail spawn points (ship space)
+        this.engineOffsets = engineOffsets;
+
+        this.player = group;
+        this.scene.add(this.player);
+        this.renderRegistry.bind(this.playerEntityId, this.player);
+
+        const t = this.world.transform.get(this.playerEntityId);
+        const rq = this.world.rotationQuat.get(this.playerEntityId);
+        if (t) this.player.position.set(t.x, t.y, t.z);
+        if (rq) this.player.quaternion.set(rq.x, rq.y, rq.z, rq.w);
     }
 
     createEnvironment() {
-        // Create asteroids with better variation
-        for (let i = 0; i < 300; i++) {
-            const asteroidGeo = new THREE.DodecahedronGeometry(1, Math.floor(Math.random() * 2));
+        const base = this.world.transform.get(this.baseStationEntityId);
+
+        // Asteroids and planets stream in by sector chunk around the player
+        this.sector.loadAll();
+
+        // Hostile raiders patrolling around the base (not on top of it)
+        for (let i = 0; i < ENEMY_COUNT; i++) {
+            const dir = {
+                x: this.rng.next() - 0.5,
+                y: (this.rng.next() - 0.5) * 0.5,
+                z: this.rng.next() - 0.5
+            };
+            const len = Math.hypot(dir.x, dir.y, dir.z) || 1;
+            const dist = 500 + this.rng.next() * 900;
+            this.ai.spawnEnemy('raider', {
+                x: (base?.x ?? 0) + (dir.x / len) * dist,
+                y: (base?.y ?? 0) + (dir.y / len) * dist,
+                z: (base?.z ?? 0) + (dir.z / len) * dist
+            });
+        }
+    }
+
+    /**
+     * Builds and binds the render mesh for an asteroid entity already seeded in `World`.
+     * @param {number} entityId
+     */
+    createAsteroidMesh(entityId) {
+        const t = this.world.transform.get(entityId);
+        const spin = this.world.spin.get(entityId);
+        const model = this.instantiateModel(models.asteroid);
+        let asteroid;
+        if (model) {
+            // Wrapped so the model's own scale survives the per-asteroid scale below.
+            asteroid = new THREE.Group();
+            asteroid.add(model);
+        } else {
+            if (!this._asteroidGeos) this._asteroidGeos = [new THREE.DodecahedronGeometry(1, 0), new THREE.DodecahedronGeometry(1, 1)];
+            const asteroidGeo = this._asteroidGeos[Math.floor(this.fxRng.next() * 2)];
+            // Tinted by ore composition (asteroids without one keep the original browns)
+            const ore = this.world.objectMeta.get(entityId)?.ore;
+            const color = ore
+                ? new THREE.Color(compositionColor(ore)).offsetHSL(0, 0, (this.fxRng.next() - 0.5) * 0.1)
+                : new THREE.Color().setHSL(this.fxRng.next() * 0.1, 0.2, 0.3 + this.fxRng.next() * 0.2);
             const material = new THREE.MeshStandardMaterial({ 
-                color: new THREE.Color().setHSL(Math.random() * 0.1, 0.2, 0.3 + Math.random() * 0.2),
+                color,
                 roughness: 0.8,
                 metalness: 0.2
             });
-            
-            const asteroid = new THREE.Mesh(asteroidGeo, material);
-            const scale = 1 + Math.random() * 8;
-            asteroid.scale.set(scale, scale, scale);
-            
-            asteroid.position.set(
-                (Math.random() - 0.5) * 3000,
-                (Math.random() - 0.5) * 3000,
-                (Math.random() - 0.5) * 3000
-            );
-            
-            asteroid.rotation.set(Math.random() * Math.PI, Math.random() * Math.PI, Math.random() * Math.PI);
-            
-            // Don't place near base
-            if (asteroid.position.distanceTo(this.baseStation.position) < 150) {
-                asteroid.position.x += 300;
-            }
-            
-            asteroid.userData = { 
-                type: 'asteroid',
-                rotationSpeed: {
-                    x: (Math.random() - 0.5) * 0.01,
-                    y: (Math.random() - 0.5) * 0.01,
-                    z: (Math.random() - 0.5) * 0.01
-                }
-            };
-            const entityId = this.world.createObject({
-                type: 'asteroid',
-                hp: scale * 5,
-                maxHp: scale * 5,
-                lootValue: Math.floor(scale * 5)
-            });
-            this.renderRegistry.bind(entityId, asteroid);
-            this.world.transform.set(entityId, {
-                x: asteroid.position.x,
-                y: asteroid.position.y,
-                z: asteroid.position.z,
-                rx: asteroid.rotation.x,
-                ry: asteroid.rotation.y,
-                rz: asteroid.rotation.z,
-                sx: asteroid.scale.x,
-                sy: asteroid.scale.y,
-                sz: asteroid.scale.z
-            });
-            this.world.spin.set(entityId, {
-                x: asteroid.userData.rotationSpeed.x,
-                y: asteroid.userData.rotationSpeed.y,
-                z: asteroid.userData.rotationSpeed.z
-            });
-            
-            // Add Health Bar (Initially hidden)
-            this.createHealthBar(asteroid);
-            
-            this.scene.add(asteroid);
-            this.objects.push(asteroid);
+            asteroid = new THREE.Mesh(asteroidGeo, material);
         }
+        asteroid.position.set(t.x, t.y, t.z);
+        asteroid.rotation.set(t.rx, t.ry, t.rz);
+        asteroid.scale.set(t.sx, t.sy, t.sz);
 
-        // Create a few "planets" with more detail
-        const planetGeo = new THREE.SphereGeometry(1, 64, 64);
-        const planetColors = [0xff7733, 0x3366ff, 0x44aa44, 0xaa44ff];
-        
-        for (let i = 0; i < 8; i++) {
-            const color = planetColors[i % planetColors.length];
-            const mat = new THREE.MeshStandardMaterial({ 
-                color: color,
-                roughness: 0.6,
-                metalness: 0.4,
-                emissive: color,
-                emissiveIntensity: 0.1
-            });
-            const planet = new THREE.Mesh(planetGeo, mat);
-            const scale = 80 + Math.random() * 120;
-            planet.scale.set(scale, scale, scale);
-            
-            planet.position.set(
-                (Math.random() - 0.5) * 6000,
-                (Math.random() - 0.5) * 6000,
-                (Math.random() - 0.5) * 6000
-            );
-            
-            planet.userData = {
-                type: 'planet',
+        asteroid.userData = { 
+            type: 'asteroid',
+            rotationSpeed: { x: spin.x, y: spin.y, z: spin.z }
+        };
+        this.renderRegistry.bind(entityId, asteroid);
+
+        // Add Health Bar (Initially hidden)
+        this.createHealthBar(asteroid);
+
+        this.scene.add(asteroid);
+        this.objects.push(asteroid);
+    }
+
+    /**
+     * Builds and binds the render mesh for a planet entity already seeded in `World`.
+     * @param {number} entityId
+     */
+    createPlanetMesh(entityId) {
+        const t = this.world.transform.get(entityId);
+        // Keyed to the planet's chunk slot, not its entity id, so it keeps its colour across chunk reloads and saves.
+        const slot = this.world.sectorChunk.get(entityId);
+        const color = PLANET_COLORS[hashSeed(slot ? `${this.seed}:${slot.key}:${slot.index}` : entityId) % PLANET_COLORS.length];
+        if (!this._planetGeo) this._planetGeo = new THREE.SphereGeometry(1, 64, 64);
+        const mat = new THREE.MeshStandardMaterial({ 
+            color: color,
+            roughness: 0.6,
+            metalness: 0.4,
+            emissive: color,
+            emissiveIntensity: 0.1
+        });
+        const planet = new THREE.Mesh(this._planetGeo, mat);
+        planet.position.set(t.x, t.y, t.z);
+        planet.rotation.set(t.rx, t.ry, t.rz);
+        planet.scale.set(t.sx, t.sy, t.sz);
+
+        planet.userData = {
+            type: 'planet',
+        };
+        this.renderRegistry.bind(entityId, planet);
+
+        // Add Health Bar (Initially hidden)
+        this.createHealthBar(planet);
+
+        this.scene.add(planet);
+        this.objects.push(planet);
+
+        // Add a simple atmosphere glow effect for planets
+        if (!this._atmosphereGeo) this._atmosphereGeo = new THREE.SphereGeometry(1.1, 32, 32);
+        const atmosphereMat = new THREE.MeshBasicMaterial({
+            color: color,
+            transparent: true,
+            opacity: 0.1,
+            side: THREE.BackSide
+        });
+        const atmosphere = new THREE.Mesh(this._atmosphereGeo, atmosphereMat);
+        planet.add(atmosphere);
+        planet.userData.atmosphere = atmosphere;
+    }
+
+    /**
+     * Builds and binds the render mesh for a derelict wreck (the heart of a debris cloud) already seeded in `World`.
+     * Modelled at about unit radius; `transform.sx` scales it.
+     * @param {number} entityId
+     */
+    createWreckMesh(entityId) {
+        const t = this.world.transform.get(entityId);
+        if (!this._wreckMat) {
+            this._wreckMat = new THREE.MeshStandardMaterial({ color: 0x3a3d42, roughness: 0.9, metalness: 0.6, side: THREE.DoubleSide });
+            this._wreckGeos = {
+                hull: new THREE.CylinderGeometry(0.28, 0.36, 1.3, 8, 1, true),
+                wing: new THREE.BoxGeometry(0.9, 0.05, 0.35),
+                spar: new THREE.BoxGeometry(0.06, 0.06, 0.9)
             };
-            const planetEntityId = this.world.createObject({
-                type: 'planet',
-                hp: 500,
-                maxHp: 500,
-                lootValue: 1000
-            });
-            this.renderRegistry.bind(planetEntityId, planet);
-            this.world.transform.set(planetEntityId, {
-                x: planet.position.x,
-                y: planet.position.y,
-                z: planet.position.z,
-                rx: planet.rotation.x,
-                ry: planet.rotation.y,
-                rz: planet.rotation.z,
-                sx: planet.scale.x,
-                sy: planet.scale.y,
-                sz: planet.scale.z
-            });
-            this.world.spin.set(planetEntityId, { x: 0, y: 0.001, z: 0 });
-            
-            // Add Health Bar (Initially hidden)
-            this.createHealthBar(planet);
-            
-            this.scene.add(planet);
-            this.objects.push(planet);
-
-            // Add a simple atmosphere glow effect for planets
-            const atmosphereGeo = new THREE.SphereGeometry(1.1, 32, 32);
-            const atmosphereMat = new THREE.MeshBasicMaterial({
-                color: color,
-                transparent: true,
-                opacity: 0.1,
-                side: THREE.BackSide
-            });
-            const atmosphere = new THREE.Mesh(atmosphereGeo, atmosphereMat);
-            planet.add(atmosphere);
         }
+
+        const group = new THREE.Group();
+
+        // Broken-open hull section, a sheared-off wing and a bent spar
+        const hull = new THREE.Mesh(this._wreckGeos.hull, this._wreckMat);
+        hull.rotation.x = Math.PI / 2;
+        group.add(hull);
+        const wing = new THREE.Mesh(this._wreckGeos.wing, this._wreckMat);
+        wing.position.set(0.55, 0.05, -0.2);
+        wing.rotation.set(0.3, 0, -0.5);
+        group.add(wing);
+        const spar = new THREE.Mesh(this._wreckGeos.spar, this._wreckMat);
+        spar.position.set(-0.3, 0.25, 0.5);
+        spar.rotation.set(0.6, 0.4, 0);
+        group.add(spar);
+
+        group.position.set(t.x, t.y, t.z);
+        group.rotation.set(t.rx, t.ry, t.rz);
+        group.scale.set(t.sx, t.sy, t.sz);
+        group.userData = { type: 'wreck' };
+        this.renderRegistry.bind(entityId, group);
+
+        this.createHealthBar(group);
+
+        this.scene.add(group);
+        this.objects.push(group);
+    }
+
+    /**
+     * Builds and binds the render mesh for a hostile ship entity already seeded in `World`.
+     * Modelled at unit radius; `transform.sx` (the collision radius) scales it.
+     * @param {number} entityId
+     */
+    createEnemyMesh(entityId) {
+        const t = this.world.transform.get(entityId);
+        if (!this._enemyHullMat) {
+            this._enemyHullMat = new THREE.MeshStandardMaterial({ color: 0x552222, roughness: 0.4, metalness: 0.8 });
+            this._enemyGlowMat = new THREE.MeshBasicMaterial({ color: 0xff2200 });
+        }
+
+        const group = new THREE.Group();
+
+        // Dart-shaped body
+        const bodyGeo = new THREE.ConeGeometry(0.35, 1.6, 6);
+        bodyGeo.rotateX(Math.PI / 2);
+        group.add(new THREE.Mesh(bodyGeo, this._enemyHullMat));
+
+        // Forward-swept wings
+        const wingGeo = new THREE.BoxGeometry(1.8, 0.06, 0.5);
+        const wings = new THREE.Mesh(wingGeo, this._enemyHullMat);
+        wings.position.z = -0.3;
+        group.add(wings);
+
+        // Red eye + engine glow (picked up by bloom)
+        const eye = new THREE.Mesh(new THREE.SphereGeometry(0.12, 8, 8), this._enemyGlowMat);
+        eye.position.set(0, 0.15, 0.35);
+        group.add(eye);
+        const engine = new THREE.Mesh(new THREE.SphereGeometry(0.18, 8, 8), this._enemyGlowMat);
+        engine.position.z = -0.8;
+        group.add(engine);
+
+        group.position.set(t.x, t.y, t.z);
+        group.rotation.set(t.rx, t.ry, t.rz);
+        group.scale.set(t.sx, t.sy, t.sz);
+        group.userData = { type: 'enemy' };
+        this.renderRegistry.bind(entityId, group);
+
+        this.createHealthBar(group);
+
+        this.scene.add(group);
+        this.objects.push(group);
+    }
+
+    /**
+     * Hostile fire / collisions. The shield soaks damage first, the rest hits the hull.
+     * World-first; HUD, sound and shake only when present.
+     * @param {number} amount
+     */
+    damagePlayer(amount) {
+        if (!this.playerEntityId || this.isDead) return;
+        const hullDamage = this.shields.absorb(this.playerEntityId, amount, this._simTimeSec);
+        if (hullDamage > 0) {
+            this.world.damage(this.playerEntityId, hullDamage);
+            this.shakeCamera(0.8);
+            this.soundManager.playHullHit();
+            if (this.hud) this.hud.flashHullHit();
+        } else {
+            this.shakeCamera(0.3);
+            this.soundManager.playShieldHit();
+        }
+        this.updateHudStats();
+    }
+
+    /** @returns {boolean} */
+    isPlayerDead() {
+        return this.isDead;
+    }
+
+    /**
+     * Ends the run until the player respawns (death screen). Cargo is forfeited on respawn, not here,
+     * so the screen can show what was lost.
+     * @param {string} reason
+     */
+    killPlayer(reason) {
+        if (this.isDead) return;
+        this.isDead = true;
+        this.isPaused = true;
+        this.showMessage(reason);
+
+        this.soundManager.playExplosion(3);
+        if (this.player && this.scene) {
+            this.vfx.createExplosion(this.player.position, 3, 'ship');
+            this.player.visible = false;
+        }
+        const cargoLost = this.market.cargoValue(this.inventory?.stacks ?? {});
+        if (this.hud) this.hud.setDeathScreenVisible(true, { reason, cargoLost });
+    }
+
+    /**
+     * Rebuilds the ship at the base station: full hull/shield/energy, carried cargo lost.
+     */
+    respawnPlayer() {
+        if (!this.isDead) return;
+        const base = this.baseStationEntityId ? this.world.transform.get(this.baseStationEntityId) : null;
+        const t = this.world.transform.get(this.playerEntityId);
+        const v = this.world.velocity.get(this.playerEntityId);
+        const rq = this.world.rotationQuat.get(this.playerEntityId);
+        if (t) {
+            // Same offset from the base as a fresh start.
+            t.x = base ? base.x : 0;
+            t.y = base ? base.y : 0;
+            t.z = base ? base.z + 100 : 0;
+            t.rx = 0;
+            t.ry = 0;
+            t.rz = 0;
+        }
+        if (v) {
+            v.x = 0;
+            v.y = 0;
+            v.z = 0;
+        }
+        if (rq) {
+            rq.x = 0;
+            rq.y = 0;
+            rq.z = 0;
+            rq.w = 1;
+        }
+        this.currentSpeed = 0;
+
+        const hull = this.world.getHealth(this.playerEntityId);
+        if (hull) hull.hp = hull.maxHp;
+        this.shields.refill(this.playerEntityId);
+        this.stats.energy = this.maxEnergy;
+        if (this.inventory) this.inventory.stacks = {};
+
+        this.isDead = false;
+        this.isPaused = false;
+        if (this.player) this.player.visible = true; // mesh follows `World` on the next tick
+        if (this.hud) this.hud.setDeathScreenVisible(false);
+        this.showMessage('Ship rebuilt at base. Cargo lost.');
+        this.updateHudStats();
     }
 
     updateBaseMarker(dtSec, nowSec) {
@@ -586,75 +1269,211 @@ export class Game {
     }
 
     shoot() {
-        this.combat.shoot();
+        this.handleInputEvent('shoot');
+    }
+
+    /**
+     * Live player-intent events (DOM/HUD). Recorded for replay; ignored while a replay is driving.
+     * @param {string} type `shoot`, `resume`, `respawn`, `nextWeapon`, `weapon<N>`, `targetNext`,
+     *   `targetPrev`, `targetNearest`, `targetType`, `toggleLeadAim`, `equip:<slot>:<weaponId>`,
+     *   `upgrade:<id>`, `buyShip:<shipId>`, `board:<shipId>`, `jettison:<resourceId>:<count>`,
+     *   `sell:<resourceId>:<count>`, `sellAll` or `deliver:<contractId>`
+     */
+    handleInputEvent(type) {
+        if (this.replayer) return;
+        if (this.recorder) this.recorder.recordEvent(this._tick, type);
+        this.applyInputEvent(type);
+    }
+
+    /**
+     * @param {string} type
+     */
+    applyInputEvent(type) {
+        if (type === 'shoot') this.combat.shoot();
+        else if (type === 'resume') this.resumeFromBase();
+        else if (type === 'respawn') this.respawnPlayer();
+        else if (type === 'nextWeapon') this.cycleWeapon();
+        else if (/^weapon\d$/.test(type)) this.selectWeapon(Number(type.slice(6)) - 1);
+        else if (type === 'targetNext') this.targeting.cycleTarget(1);
+        else if (type === 'targetPrev') this.targeting.cycleTarget(-1);
+        else if (type === 'targetNearest') this.targeting.targetNearest();
+        else if (type === 'targetType') this.targeting.cycleTargetType();
+        else if (type === 'toggleLeadAim') this.toggleLeadAim();
+        else if (type.startsWith('upgrade:')) this.buyUpgrade(type.slice(8));
+        else if (type.startsWith('buyShip:')) this.buyShip(type.slice(8));
+        else if (type.startsWith('board:')) this.boardShip(type.slice(6));
+        else if (type.startsWith('jettison:')) {
+            const [, id, count] = type.split(':');
+            this.loot.jettison(id, Number(count));
+        } else if (type.startsWith('sell:')) {
+            const [, id, count] = type.split(':');
+            this.sellCargo(() => this.market.sell(id, Number(count)));
+        } else if (type === 'sellAll') this.sellCargo(() => this.market.sellAll());
+        else if (type.startsWith('deliver:')) this.sellCargo(() => this.market.deliver(Number(type.slice(8))));
+        else if (type.startsWith('equip:')) {
+            const [, slot, weaponId] = type.split(':');
+            this.equipWeapon(Number(slot), weaponId);
+        }
+    }
+
+    /**
+     * @returns {boolean} true once the recording is exhausted (this tick is not simulated)
+     */
+    updateReplay() {
+        this.replayer.beforeTick(this._tick, (type) => this.applyInputEvent(type));
+        if (!this.replayer.isFinished(this._tick)) return false;
+
+        // Hand control back to the player.
+        this.replayer = null;
+        this.actions = this._liveActions;
+        this.axes = this._liveAxes;
+        this.showMessage('Replay finished. You have control.');
+        return true;
     }
 
     update(dtSec = 1 / 60) {
-        if (this.isPaused) return;
+        if (this.replayer && this.updateReplay()) return;
+        if (this.isPaused) {
+            // Free the cursor for menus; deltas while paused must not leak into the next tick.
+            this.mouse.releaseLock();
+            return;
+        }
+        if (!this.replayer) this.sampleLiveInput();
+        if (this.recorder) {
+            this.recorder.captureActions(this._tick, this.actions);
+            this.recorder.captureAxes(this._tick, this.axes);
+        }
+        resolveControls(this.actions, this.axes, this.controls);
+        this._tick++;
         this._simTimeSec += dtSec;
         const now = this._simTimeSec;
 
         // Order matters:
         // 1) movement updates player transform
-        // 2) environment updates + syncs world objects (so combat reads fresh world transforms)
-        // 3) camera follows player
-        // 4) combat uses player+world transforms
-        // 5) navigation uses camera
+        // 2) AI steers hostile ships (reads the fresh player transform)
+        // 3) environment updates + syncs world objects (so combat reads fresh world transforms)
+        // 4) sector streams chunks in/out around the fresh player position
+        // 5) spatial index re-buckets objects (collisions + combat query it)
+        // 6) collisions push the player out of objects (before the camera reads its position)
+        // 7) camera follows player
+        // 8) targeting keeps/picks the current target (combat's missile lock and aim read it)
+        // 9) combat uses player+world transforms
+        // 10) shields regenerate (after this tick's hits)
+        // 11) navigation uses camera
         this.movement.update(dtSec, now);
+        this.ai.update(dtSec, now);
         this.environment.update(dtSec, now);
+        this.sector.update(dtSec, now);
+        this.spatial.update(dtSec, now);
+        this.collisions.update(dtSec, now);
         this.cameraSystem.update(dtSec, now);
+        this.targeting.update(dtSec, now);
         this.combat.update(dtSec, now);
+        this.shields.update(dtSec, now);
         this.updateBaseMarker(dtSec, now);
 
         this.vfx.update(dtSec, now);
 
         this.loot.update(dtSec, now);
+
+        // Market prices run on sim time (after this tick's docking).
+        this.market.update(dtSec, now);
     }
 
-    destroyObject(obj, index) {
-        // High impact camera shake on destruction
-        this.cameraShake = obj.userData.type === 'planet' ? 2.5 : 1.2;
-        
-        this.soundManager.playExplosion(obj.scale.x);
+    /**
+     * Resolves live keys through the action map and polls analog providers into the live action/axis state
+     * (once per simulated tick, before recording).
+     */
+    sampleLiveInput() {
+        this.actionMap.resolveHeld(this.input.keys, this._liveActions);
+        const pad = this.gamepad.poll(this._liveActions);
+        combineAxes(this._liveAxes, this.mouse.sampleAxes(), pad);
+        for (const action of this.gamepad.presses) this.onActionPressed(action);
+    }
 
-        // Enhanced explosion visuals
-        this.vfx.createExplosion(obj.position, obj.scale.x, obj.userData.type);
-        this.spawner.spawnOnDestroyed(obj);
+    /**
+     * Feedback-only shake (camera + gamepad rumble); cosmetic, never read by gameplay.
+     * @param {number} amount
+     */
+    shakeCamera(amount) {
+        this.cameraShake = amount;
+        this.gamepad.rumble(amount / 2.5, 80 + amount * 120);
+    }
 
-        if (obj.userData.entityId) {
-            this.renderRegistry.unbind(obj.userData.entityId);
-            this.world.removeEntity(obj.userData.entityId);
-        }
-        this.scene.remove(obj);
-        this.objects.splice(index, 1);
-        this.showMessage(`Exploded ${obj.userData.type.toUpperCase()}!`);
+    /**
+     * Runs `count` fixed simulation steps without a frame clock (headless drivers, tests, bots).
+     * @param {number} [count]
+     */
+    step(count = 1) {
+        for (let i = 0; i < count; i++) this.update(this._loop.fixedDtSec);
+    }
+
+    destroyObject(obj, index) {
+        // Legacy index-based entrypoint; the world-first path owns teardown.
+        void index;
+        if (obj.userData.entityId) this.destroyObjectEntity(obj.userData.entityId);
     }
 
     /**
      * World-first destroy entrypoint. Prefer this over passing array indices around.
+     * Works headless: loot is seeded from `World`, visuals only run when a mesh is bound.
      * @param {number} entityId
      */
     destroyObjectEntity(entityId) {
+        const meta = this.world.objectMeta.get(entityId);
         const obj = this.renderRegistry.get(entityId);
-        if (!obj) {
-            // Fallback: ensure sim state is cleared.
-            this.renderRegistry.unbind(entityId);
-            this.world.removeEntity(entityId);
-            return;
+
+        if (meta) {
+            const t = this.world.transform.get(entityId);
+            // High impact camera shake on destruction
+            this.shakeCamera(meta.type === 'planet' ? 2.5 : 1.2);
+            if (t) this.soundManager.playExplosion(t.sx);
+            this.spawner.spawnOnDestroyed(entityId);
         }
 
-        const idx = this.objects.indexOf(obj);
-        if (idx >= 0) {
-            this.destroyObject(obj, idx);
-            return;
+        if (obj) {
+            // Enhanced explosion visuals
+            this.vfx.createExplosion(obj.position, obj.scale.x, meta?.type ?? obj.userData.type);
+            this.scene.remove(obj);
+            const idx = this.objects.indexOf(obj);
+            if (idx >= 0) this.objects.splice(idx, 1);
         }
 
-        // Not found in list; still clean up safely.
-        this.vfx.createExplosion(obj.position, obj.scale.x, obj.userData.type);
-        this.spawner.spawnOnDestroyed(obj);
+        this.sector.markDestroyed(entityId);
         this.renderRegistry.unbind(entityId);
         this.world.removeEntity(entityId);
-        this.scene.remove(obj);
+        if (meta) this.showMessage(`Exploded ${meta.type.toUpperCase()}!`);
+    }
+
+    /**
+     * Silently drops an object (no explosion or loot), e.g. when its sector chunk streams out.
+     * @param {number} entityId
+     */
+    unloadObjectEntity(entityId) {
+        const obj = this.renderRegistry.get(entityId);
+        if (obj) {
+            this.scene.remove(obj);
+            const idx = this.objects.indexOf(obj);
+            if (idx >= 0) this.objects.splice(idx, 1);
+            this.disposeObjectMesh(obj);
+        }
+        this.renderRegistry.unbind(entityId);
+        this.world.removeEntity(entityId);
+    }
+
+    /**
+     * Frees what an asteroid/planet mesh owns (its material, atmosphere and health bar). Geometry is shared, and
+     * glTF model materials stay with the model cache.
+     * @param {THREE.Object3D} obj
+     */
+    disposeObjectMesh(obj) {
+        const hb = obj.userData.healthBar;
+        if (hb) {
+            hb.texture.dispose();
+            hb.sprite.material.dispose();
+        }
+        if (obj.isMesh) obj.material.dispose();
+        if (obj.userData.atmosphere) obj.userData.atmosphere.material.dispose();
     }
 
     createHealthBar(object) {
@@ -715,8 +1534,8 @@ export class Game {
         this.loot.collectLoot(loot, index);
     }
 
-    depositLoot() {
-        this.loot.depositLoot();
+    dock() {
+        this.loot.dock();
     }
 
     showMessage(text) {
@@ -726,19 +1545,27 @@ export class Game {
     }
 
     updateHudStats() {
-        if (!this.hud) return;
-        this.hud.setStats({
-            energy: this.stats.energy,
-            maxEnergy: this.shipData.energy,
-            storage: this.stats.storage,
-            maxStorage: this.stats.maxStorage,
-            loot: this.stats.loot
-        });
-
-        if (this.stats.energy <= 0 && !this.isPaused) {
-            this.showMessage("Out of Energy! Game Over (Reload to restart)");
-            this.isPaused = true;
+        const hull = this.playerEntityId ? this.world.getHealth(this.playerEntityId) : null;
+        const shield = this.playerEntityId ? this.world.shield.get(this.playerEntityId) : null;
+        if (this.hud) {
+            this.hud.setStats({
+                hull: hull ? hull.hp : this.maxHull,
+                maxHull: hull ? hull.maxHp : this.maxHull,
+                shield: shield ? shield.hp : 0,
+                maxShield: shield ? shield.maxHp : this.maxShield,
+                energy: this.stats.energy,
+                maxEnergy: this.maxEnergy,
+                storage: this.cargoUsed,
+                maxStorage: this.stats.maxStorage,
+                loot: this.stats.loot
+            });
+            this.refreshCargoUi();
         }
+
+        // Fail state is gameplay, not HUD: evaluate it headless too.
+        if (this.isDead) return;
+        if (hull && hull.hp <= 0) this.killPlayer("Hull Destroyed!");
+        else if (this.stats.energy <= 0) this.killPlayer("Out of Energy! Ship adrift.");
     }
 
     onWindowResize() {
@@ -751,7 +1578,7 @@ export class Game {
     }
 
     animate(nowMs) {
-        requestAnimationFrame((t) => this.animate(t));
+        this._rafId = requestAnimationFrame((t) => this.animate(t));
         this._loop.advance(nowMs, (dtSec) => this.update(dtSec));
         if (this.composer) {
             this.composer.render();
@@ -761,8 +1588,10 @@ export class Game {
     }
 
     dispose() {
+        if (this._rafId != null) cancelAnimationFrame(this._rafId);
         try {
             this.input.detach(window);
+            this.mouse.detach();
         } catch (_) {
             // ignore
         }
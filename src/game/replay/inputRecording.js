@@ -0,0 +1,213 @@
+/**
+ * Per-tick input recording + deterministic replay.
+ *
+ * A recording is the seed (or the save it started from), the ship, the held actions and analog flight axes
+ * per simulation tick (both stored as changes) and discrete player events (`shoot`, `resume`, `respawn`, weapon
+ * and target selection) tagged with the tick they happened before. Replaying the same inputs on the same start state reproduces the run
+ * exactly, because gameplay only reads `game.actions`, `game.axes`, `game.rng` and the sim clock.
+ * Actions (not key codes) are recorded so replays don't depend on the viewer's key bindings.
+ */
+
+export const REPLAY_VERSION = 4;
+
+/**
+ * Older recordings that still replay: v1 predates analog axes (all zero), v2 predates roll (zero),
+ * v1-3 store raw key codes in `keyFrames` (translated with `LEGACY_CODE_ACTIONS`).
+ */
+const SUPPORTED_REPLAY_VERSIONS = [1, 2, 3, 4];
+
+/**
+ * The fixed key layout recordings before v4 were made with. Space is left out on purpose: it only sent
+ * `shoot` events back then (already in `events`), it was not held fire.
+ * @type {Record<string, string>}
+ */
+const LEGACY_CODE_ACTIONS = {
+  KeyW: 'pitchUp',
+  ArrowUp: 'pitchUp',
+  KeyS: 'pitchDown',
+  ArrowDown: 'pitchDown',
+  KeyA: 'yawLeft',
+  ArrowLeft: 'yawLeft',
+  KeyD: 'yawRight',
+  ArrowRight: 'yawRight',
+  KeyQ: 'rollLeft',
+  KeyE: 'rollRight',
+  KeyZ: 'boost',
+  ShiftLeft: 'dodge',
+  ShiftRight: 'dodge',
+  GamepadBoost: 'boost',
+  GamepadFire: 'fire',
+  GamepadStrafeLeft: 'strafeLeft',
+  GamepadStrafeRight: 'strafeRight'
+};
+
+/**
+ * @param {Array<[number, string[]]>} keyFrames
+ * @returns {Array<[number, string[]]>}
+ */
+function legacyKeyFramesToActions(keyFrames) {
+  return keyFrames.map(([tick, codes]) => {
+    const actions = new Set();
+    for (const code of codes) if (LEGACY_CODE_ACTIONS[code]) actions.add(LEGACY_CODE_ACTIONS[code]);
+    return [tick, [...actions].sort()];
+  });
+}
+
+/**
+ * @typedef {{
+ *   version: number,
+ *   seed: string,
+ *   shipData: any,
+ *   startSnapshot: any|null,
+ *   stepHz: number,
+ *   ticks: number,
+ *   actionFrames?: Array<[number, string[]]>,
+ *   keyFrames?: Array<[number, string[]]>,
+ *   axisFrames?: Array<[number, number, number, number?]>,
+ *   events: Array<[number, string]>
+ * }} InputRecordingData
+ */
+
+/**
+ * @param {Record<string, boolean>} actions
+ * @returns {string[]} sorted actions currently held
+ */
+function heldActions(actions) {
+  return Object.keys(actions)
+    .filter((id) => actions[id])
+    .sort();
+}
+
+export class InputRecorder {
+  /**
+   * @param {{ seed: string, shipData: any, startSnapshot?: any, stepHz: number }} header
+   */
+  constructor(header) {
+    this.seed = header.seed;
+    this.shipData = { ...header.shipData };
+    this.startSnapshot = header.startSnapshot ?? null;
+    this.stepHz = header.stepHz;
+
+    /** @type {Array<[number, string[]]>} */
+    this.actionFrames = [];
+    /** @type {Array<[number, number, number, number]>} [tick, pitch, yaw, roll] */
+    this.axisFrames = [];
+    /** @type {Array<[number, string]>} */
+    this.events = [];
+    this.ticks = 0;
+    this._lastActionsSig = '';
+    this._lastPitch = 0;
+    this._lastYaw = 0;
+    this._lastRoll = 0;
+  }
+
+  /**
+   * Called at the start of every simulated (non-paused) tick.
+   * @param {number} tick
+   * @param {Record<string, boolean>} actions
+   */
+  captureActions(tick, actions) {
+    const held = heldActions(actions);
+    const sig = held.join(',');
+    if (sig !== this._lastActionsSig) {
+      this.actionFrames.push([tick, held]);
+      this._lastActionsSig = sig;
+    }
+    this.ticks = tick + 1;
+  }
+
+  /**
+   * Called right after `captureActions()` for the same tick.
+   * @param {number} tick
+   * @param {import('../../input/controls.js').FlightAxes} axes
+   */
+  captureAxes(tick, axes) {
+    if (axes.pitch === this._lastPitch && axes.yaw === this._lastYaw && axes.roll === this._lastRoll) return;
+    this.axisFrames.push([tick, axes.pitch, axes.yaw, axes.roll]);
+    this._lastPitch = axes.pitch;
+    this._lastYaw = axes.yaw;
+    this._lastRoll = axes.roll;
+  }
+
+  /**
+   * @param {number} tick the next tick to be simulated
+   * @param {string} type
+   */
+  recordEvent(tick, type) {
+    this.events.push([tick, type]);
+  }
+
+  /** @returns {InputRecordingData} */
+  toData() {
+    return {
+      version: REPLAY_VERSION,
+      seed: this.seed,
+      shipData: { ...this.shipData },
+      startSnapshot: this.startSnapshot,
+      stepHz: this.stepHz,
+      ticks: this.ticks,
+      actionFrames: this.actionFrames.map(([tick, held]) => [tick, [...held]]),
+      axisFrames: this.axisFrames.map((frame) => [...frame]),
+      events: this.events.map(([tick, type]) => [tick, type])
+    };
+  }
+}
+
+export class InputReplayer {
+  /**
+   * @param {InputRecordingData} data
+   */
+  constructor(data) {
+    if (!data || !SUPPORTED_REPLAY_VERSIONS.includes(data.version)) {
+      throw new Error(`Unsupported replay version ${data?.version}`);
+    }
+    this.data = data;
+    /** @type {Array<[number, string[]]>} */
+    this._actionFrames = data.version < 4 ? legacyKeyFramesToActions(data.keyFrames ?? []) : data.actionFrames ?? [];
+
+    /** Replay-owned held actions; `Game` reads this instead of live input while replaying. */
+    /** @type {Record<string, boolean>} */
+    this.actions = {};
+    /** Replay-owned analog axes; `Game` reads this instead of the live mouse while replaying. */
+    this.axes = { pitch: 0, yaw: 0, roll: 0 };
+    this._actionIdx = 0;
+    this._axisIdx = 0;
+    this._eventIdx = 0;
+  }
+
+  /**
+   * Applies action/axis state and dispatches events due before `tick`.
+   * Safe to call repeatedly for the same tick (e.g. while paused); events fire once.
+   * @param {number} tick
+   * @param {(type: string) => void} dispatch
+   */
+  beforeTick(tick, dispatch) {
+    const { events } = this.data;
+    const actionFrames = this._actionFrames;
+    const axisFrames = this.data.axisFrames ?? [];
+    while (this._actionIdx < actionFrames.length && actionFrames[this._actionIdx][0] <= tick) {
+      const held = actionFrames[this._actionIdx][1];
+      for (const id of Object.keys(this.actions)) this.actions[id] = false;
+      for (const id of held) this.actions[id] = true;
+      this._actionIdx++;
+    }
+    while (this._axisIdx < axisFrames.length && axisFrames[this._axisIdx][0] <= tick) {
+      this.axes.pitch = axisFrames[this._axisIdx][1];
+      this.axes.yaw = axisFrames[this._axisIdx][2];
+      this.axes.roll = axisFrames[this._axisIdx][3] ?? 0;
+      this._axisIdx++;
+    }
+    while (this._eventIdx < events.length && events[this._eventIdx][0] <= tick) {
+      dispatch(events[this._eventIdx][1]);
+      this._eventIdx++;
+    }
+  }
+
+  /**
+   * @param {number} tick
+   * @returns {boolean}
+   */
+  isFinished(tick) {
+    return tick >= this.data.ticks && this._eventIdx >= this.data.events.length;
+  }
+}
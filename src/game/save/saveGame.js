@@ -0,0 +1,209 @@
+/**
+ * Versioned save snapshots: `World` component maps + `Game` state as plain JSON.
+ * Headless-safe (no DOM); browser storage/file helpers live in `saveStorage.js`.
+ */
+
+import { createLoadout } from '../../weaponData.js';
+import { createUpgrades } from '../../upgradeData.js';
+import { getShip } from '../../spaceshipData.js';
+
+export const SAVE_VERSION = 15;
+
+/**
+ * Migration hook. Key = version being migrated *from*; each step returns the snapshot at `version + 1`.
+ * Add an entry whenever a component/state shape changes so old saves keep loading.
+ * @type {Record<number, (snapshot: any) => any>}
+ */
+export const SAVE_MIGRATIONS = {
+  // v2: the player ship has a hull (`World.health` on the player entity).
+  1: (snapshot) => {
+    const hull = snapshot.shipData?.hull ?? 100;
+    const health = (snapshot.world.components.health ?? []).filter(([id]) => id !== snapshot.playerEntityId);
+    if (snapshot.playerEntityId) health.push([snapshot.playerEntityId, { hp: hull, maxHp: hull }]);
+    return { ...snapshot, world: { ...snapshot.world, components: { ...snapshot.world.components, health } } };
+  },
+  // v3: player shield (`World.shield`) and `stats.cargoValue` (unbanked loot, lost on death).
+  2: (snapshot) => {
+    const max = snapshot.shipData?.shield ?? 50;
+    const shield = snapshot.playerEntityId ? [[snapshot.playerEntityId, { hp: max, maxHp: max, lastHitSec: 0 }]] : [];
+    return {
+      ...snapshot,
+      stats: { ...snapshot.stats, cargoValue: 0 },
+      world: { ...snapshot.world, components: { ...snapshot.world.components, shield } }
+    };
+  },
+  // v4: weapon loadout (ships from before `weaponData.js` only had the laser).
+  3: (snapshot) => ({ ...snapshot, loadout: createLoadout(snapshot.shipData ?? {}) }),
+  // v5: lead aim toggle (on by default).
+  4: (snapshot) => ({ ...snapshot, leadAim: true }),
+  // v6: station upgrades (none bought yet).
+  5: (snapshot) => ({ ...snapshot, upgrades: createUpgrades() }),
+  // v7: hangar of owned ships, each with its own loadout/upgrades (the single ship's move in).
+  6: (snapshot) => {
+    const { loadout, upgrades, ...rest } = snapshot;
+    return { ...rest, hangar: { [snapshot.shipData?.id ?? 'scout']: { loadout, upgrades } } };
+  },
+  // v8: ship schema (class, hardpoints, engines, mesh, price...); saved stats keep precedence.
+  7: (snapshot) => ({ ...snapshot, shipData: { ...getShip(snapshot.shipData?.id), ...snapshot.shipData } }),
+  // v9: asteroids/planets stream in by sector chunk; the old fixed field is dropped and regenerates around the player.
+  8: (snapshot) => {
+    const { entities, components } = snapshot.world;
+    const dropped = new Set((components.objectMeta ?? [])
+      .filter(([, meta]) => meta.type === 'asteroid' || meta.type === 'planet')
+      .map(([id]) => id));
+    const kept = {};
+    for (const [name, entries] of Object.entries(components)) kept[name] = entries.filter(([id]) => !dropped.has(id));
+    return {
+      ...snapshot,
+      sector: { cleared: {} },
+      world: { ...snapshot.world, entities: entities.filter((id) => !dropped.has(id)), components: kept }
+    };
+  },
+  // v10: cargo per resource (`stats.cargo`) instead of one `stats.storage` count; what was aboard becomes salvage.
+  9: (snapshot) => {
+    const { storage, ...stats } = snapshot.stats;
+    return { ...snapshot, stats: { ...stats, cargo: { coin: storage ?? 0 } } };
+  },
+  // v11: the hold is the player's `World.inventory` (stacks by item type) instead of `stats.cargo`.
+  10: (snapshot) => {
+    const { cargo, ...stats } = snapshot.stats;
+    const stacks = Object.fromEntries(Object.entries(cargo ?? {}).filter(([, n]) => n > 0));
+    const inventory = snapshot.playerEntityId ? [[snapshot.playerEntityId, { stacks }]] : [];
+    return {
+      ...snapshot,
+      stats,
+      world: { ...snapshot.world, components: { ...snapshot.world.components, inventory } }
+    };
+  },
+  // v12: station market (`market: null` opens a fresh one); credits are only earned by selling, so the unsold
+  // cargo's pickup value comes back off `stats.loot`.
+  11: (snapshot) => {
+    const { cargoValue, ...stats } = snapshot.stats;
+    return { ...snapshot, stats: { ...stats, loot: Math.max(0, stats.loot - (cargoValue ?? 0)) }, market: null };
+  },
+  // v13: fire cooldown, current target and missile lock, so a resumed game ticks on exactly like the original.
+  12: (snapshot) => ({
+    ...snapshot,
+    targeting: { currentTargetEntityId: null, manual: false, outOfConeSec: 0 },
+    combat: { lastShotTime: null, lockTargetId: null, lockHeldSec: 0 }
+  }),
+  // v14: projectiles carry `hostile` (fixed at launch) instead of checking whether their owner is still an AI ship.
+  13: (snapshot) => {
+    const { components } = snapshot.world;
+    const ai = new Set((components.ai ?? []).map(([id]) => id));
+    const projectile = (components.projectile ?? [])
+      .map(([id, p]) => [id, { ...p, hostile: p.ownerId != null && ai.has(p.ownerId) }]);
+    return { ...snapshot, world: { ...snapshot.world, components: { ...components, projectile } } };
+  },
+  // v15: projectile shots cycle through the ship's hardpoints (`combat.hardpointIndex`).
+  14: (snapshot) => ({ ...snapshot, combat: { ...snapshot.combat, hardpointIndex: 0 } })
+};
+
+/**
+ * @param {import('../../game.js').Game} game
+ * @returns {any}
+ */
+export function createSaveSnapshot(game) {
+  return {
+    version: SAVE_VERSION,
+    savedAt: new Date().toISOString(),
+    seed: game.seed,
+    rngState: game.rng.getState(),
+    simTimeSec: game._simTimeSec,
+    shipData: { ...game.shipData },
+    stats: { ...game.stats },
+    leadAim: game.leadAim,
+    // `lastShotTime` starts at -Infinity (JSON null).
+    targeting: {
+      currentTargetEntityId: game.currentTargetEntityId,
+      manual: game.targeting.manual,
+      outOfConeSec: game.targeting.outOfConeSec
+    },
+    combat: {
+      lastShotTime: Number.isFinite(game.lastShotTime) ? game.lastShotTime : null,
+      lockTargetId: game.combat.lockTargetId,
+      lockHeldSec: game.combat.lockHeldSec,
+      hardpointIndex: game.combat.hardpointIndex
+    },
+    hangar: cloneHangar(game.hangar),
+    currentSpeed: game.currentSpeed,
+    playerEntityId: game.playerEntityId,
+    baseStationEntityId: game.baseStationEntityId,
+    world: game.world.toSnapshot(),
+    sector: game.sector.toSnapshot(),
+    market: game.market.toSnapshot()
+  };
+}
+
+/**
+ * Brings any older snapshot up to `SAVE_VERSION`.
+ * @param {any} snapshot
+ * @returns {any}
+ */
+export function migrateSave(snapshot) {
+  if (!snapshot || typeof snapshot.version !== 'number' || !snapshot.world) {
+    throw new Error('Not a WreckSpace save file');
+  }
+  if (snapshot.version > SAVE_VERSION) {
+    throw new Error(`Save version ${snapshot.version} is newer than this game (${SAVE_VERSION})`);
+  }
+
+  let out = snapshot;
+  while (out.version < SAVE_VERSION) {
+    const migrate = SAVE_MIGRATIONS[out.version];
+    if (!migrate) throw new Error(`No save migration from version ${out.version}`);
+    out = { ...migrate(out), version: out.version + 1 };
+  }
+  return out;
+}
+
+/**
+ * Restores simulation state. Does not touch meshes; callers (`Game.initWorld`) build those from `World`.
+ * @param {import('../../game.js').Game} game
+ * @param {any} snapshot already migrated
+ */
+export function applySaveSnapshot(game, snapshot) {
+  game.world.loadSnapshot(snapshot.world);
+  game.sector.loadSnapshot(snapshot.sector);
+  game.rng.setState(snapshot.rngState);
+  game._simTimeSec = snapshot.simTimeSec;
+  game.market.loadSnapshot(snapshot.market);
+  game.shipData = { ...snapshot.shipData };
+  Object.assign(game.stats, snapshot.stats);
+  game.leadAim = snapshot.leadAim;
+  game.hangar = cloneHangar(snapshot.hangar);
+  if (!game.hangar[game.shipData.id]) {
+    game.hangar[game.shipData.id] = { loadout: createLoadout(game.shipData), upgrades: createUpgrades() };
+  }
+  const active = game.hangar[game.shipData.id];
+  game.loadout = active.loadout;
+  game.upgrades = active.upgrades;
+  game.currentSpeed = snapshot.currentSpeed ?? 0;
+  game.playerEntityId = snapshot.playerEntityId;
+  game.baseStationEntityId = snapshot.baseStationEntityId;
+  game.currentTargetEntityId = snapshot.targeting.currentTargetEntityId;
+  game.targeting.manual = snapshot.targeting.manual;
+  game.targeting.outOfConeSec = snapshot.targeting.outOfConeSec;
+  game.lastShotTime = snapshot.combat.lastShotTime ?? -Infinity;
+  game.combat.lockTargetId = snapshot.combat.lockTargetId;
+  game.combat.lockHeldSec = snapshot.combat.lockHeldSec;
+  game.combat.hardpointIndex = snapshot.combat.hardpointIndex;
+}
+
+/**
+ * Deep copy of `game.hangar` (fills in upgrades added since the save).
+ * @param {Record<string, { loadout: { weapons: string[], active: number }, upgrades: Record<string, number>, hull?: number, shield?: number }>} hangar
+ * @returns {typeof hangar}
+ */
+function cloneHangar(hangar) {
+  const out = {};
+  for (const [shipId, ship] of Object.entries(hangar)) {
+    out[shipId] = {
+      loadout: { weapons: [...ship.loadout.weapons], active: ship.loadout.active },
+      upgrades: { ...createUpgrades(), ...ship.upgrades }
+    };
+    if (ship.hull != null) out[shipId].hull = ship.hull;
+    if (ship.shield != null) out[shipId].shield = ship.shield;
+  }
+  return out;
+}
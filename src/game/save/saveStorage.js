@@ -0,0 +1,46 @@
+import { migrateSave } from './saveGame.js';
+import { downloadJson, readJsonFile } from '../../ui/fileIO.js';
+
+const SAVE_STORAGE_KEY = 'wreckspace.save';
+
+/**
+ * @param {any} snapshot
+ * @param {Storage} [storage]
+ */
+export function writeLocalSave(snapshot, storage = window.localStorage) {
+  storage.setItem(SAVE_STORAGE_KEY, JSON.stringify(snapshot));
+}
+
+/**
+ * @param {Storage} [storage]
+ * @returns {any|null} migrated snapshot, or null when there is no save
+ */
+export function readLocalSave(storage = window.localStorage) {
+  const raw = storage.getItem(SAVE_STORAGE_KEY);
+  if (!raw) return null;
+  return migrateSave(JSON.parse(raw));
+}
+
+/**
+ * @param {Storage} [storage]
+ * @returns {boolean}
+ */
+export function hasLocalSave(storage = window.localStorage) {
+  return storage.getItem(SAVE_STORAGE_KEY) != null;
+}
+
+/**
+ * Triggers a browser download of the snapshot as JSON.
+ * @param {any} snapshot
+ */
+export function downloadSaveFile(snapshot) {
+  downloadJson(snapshot, `wreckspace-${snapshot.seed}-${snapshot.savedAt.slice(0, 10)}.json`);
+}
+
+/**
+ * @param {File} file
+ * @returns {Promise<any>} migrated snapshot
+ */
+export async function readSaveFile(file) {
+  return migrateSave(await readJsonFile(file));
+}
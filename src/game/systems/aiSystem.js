@@ -0,0 +1,245 @@
+import * as THREE from 'three';
+
+/**
+ * Hostile ship archetypes. Distances are world units, speeds/turn rates are per tick (@60Hz),
+ * `fireCooldown` is in ticks.
+ */
+export const ENEMY_TYPES = {
+  raider: {
+    hp: 40,
+    radius: 3,
+    lootValue: 60,
+    patrolSpeed: 0.35,
+    pursueSpeed: 0.6,
+    turnRate: 0.03,
+    patrolRadius: 250,
+    detectRange: 350,
+    attackRange: 180,
+    disengageRange: 700,
+    fleeHpFraction: 0.3,
+    fleeSafeRange: 500,
+    fireCone: 0.97, // dot(forward, dirToPlayer) needed to shoot
+    fireCooldown: 50,
+    projectileSpeed: 9,
+    projectileDamage: 6,
+    projectileLife: 120,
+    spread: 0.03
+  }
+};
+
+/**
+ * Steering + behavior state machine for hostile ships (`World.ai`).
+ * - patrol: wander between waypoints around `home`
+ * - pursue: player within `detectRange` -> close in
+ * - attack: within `attackRange` -> hold distance, fire when lined up
+ * - flee: hull below `fleeHpFraction` -> run until `fleeSafeRange`, then patrol again
+ * Everything is world-first (headless-safe) and uses `game.rng`, so runs replay deterministically.
+ */
+export class AiSystem {
+  /**
+   * @param {import('../../game.js').Game} game
+   */
+  constructor(game) {
+    this.game = game;
+
+    // Scratch to avoid per-frame allocations.
+    this._toTarget = new THREE.Vector3();
+    this._desired = new THREE.Vector3();
+    this._forward = new THREE.Vector3();
+    this._quat = new THREE.Quaternion();
+    this._targetQuat = new THREE.Quaternion();
+    this._euler = new THREE.Euler(0, 0, 0, 'XYZ');
+    this._axisZ = new THREE.Vector3(0, 0, 1);
+    this._muzzle = new THREE.Vector3();
+    this._shotDir = new THREE.Vector3();
+    this._shotQuat = new THREE.Quaternion();
+    this._spread = new THREE.Vector3();
+  }
+
+  /**
+   * Seeds a hostile ship in `World` (and its mesh when rendering).
+   * @param {keyof typeof ENEMY_TYPES} kind
+   * @param {{ x: number, y: number, z: number }} pos
+   * @returns {number} entityId
+   */
+  spawnEnemy(kind, pos) {
+    const g = this.game;
+    const def = ENEMY_TYPES[kind];
+    const entityId = g.world.createObject({ type: 'enemy', hp: def.hp, maxHp: def.hp, lootValue: def.lootValue });
+    g.world.transform.set(entityId, {
+      x: pos.x,
+      y: pos.y,
+      z: pos.z,
+      rx: 0,
+      ry: 0,
+      rz: 0,
+      sx: def.radius,
+      sy: def.radius,
+      sz: def.radius
+    });
+    g.world.velocity.set(entityId, { x: 0, y: 0, z: 0 });
+    g.world.rotationQuat.set(entityId, { x: 0, y: 0, z: 0, w: 1 });
+    g.world.ai.set(entityId, {
+      kind,
+      state: 'patrol',
+      home: { x: pos.x, y: pos.y, z: pos.z },
+      waypoint: this._pickWaypoint(pos, def.patrolRadius),
+      fireCooldown: def.fireCooldown
+    });
+
+    if (g.scene) g.createEnemyMesh(entityId);
+    return entityId;
+  }
+
+  /**
+   * @param {number} dtSec
+   * @param {number} nowSec
+   */
+  update(dtSec, nowSec) {
+    void nowSec;
+    const g = this.game;
+    const k = dtSec * 60;
+    const player = g.playerEntityId ? g.world.transform.get(g.playerEntityId) : null;
+
+    for (const [entityId, ai] of g.world.ai) {
+      const def = ENEMY_TYPES[ai.kind];
+      const t = g.world.transform.get(entityId);
+      const v = g.world.velocity.get(entityId);
+      const rq = g.world.rotationQuat.get(entityId);
+      const h = g.world.health.get(entityId);
+      if (!def || !t || !v || !rq || !h) continue;
+
+      const distToPlayer = player ? Math.hypot(player.x - t.x, player.y - t.y, player.z - t.z) : Infinity;
+      this._updateState(ai, def, h, distToPlayer);
+
+      // Steering: pick a desired heading + speed for the current behavior.
+      let speed = def.patrolSpeed;
+      if (ai.state === 'patrol') {
+        this._toTarget.set(ai.waypoint.x - t.x, ai.waypoint.y - t.y, ai.waypoint.z - t.z);
+        if (this._toTarget.lengthSq() < 30 * 30) {
+          ai.waypoint = this._pickWaypoint(ai.home, def.patrolRadius);
+        }
+      } else if (ai.state === 'flee') {
+        this._toTarget.set(t.x - player.x, t.y - player.y, t.z - player.z);
+        speed = def.pursueSpeed * 1.1;
+      } else {
+        this._toTarget.set(player.x - t.x, player.y - t.y, player.z - t.z);
+        // Attack: ease off when close so it circles the player instead of ramming.
+        speed =
+          ai.state === 'attack'
+            ? def.pursueSpeed * Math.max(0.3, Math.min(1, distToPlayer / def.attackRange))
+            : def.pursueSpeed;
+      }
+
+      this._quat.set(rq.x, rq.y, rq.z, rq.w);
+      if (this._toTarget.lengthSq() > 1e-6) {
+        this._desired.copy(this._toTarget).normalize();
+        this._targetQuat.setFromUnitVectors(this._axisZ, this._desired);
+        this._quat.rotateTowards(this._targetQuat, def.turnRate * k);
+      }
+
+      this._forward.set(0, 0, 1).applyQuaternion(this._quat);
+      const accel = 1 - Math.pow(1 - 0.05, k);
+      v.x += (this._forward.x * speed - v.x) * accel;
+      v.y += (this._forward.y * speed - v.y) * accel;
+      v.z += (this._forward.z * speed - v.z) * accel;
+      t.x += v.x * k;
+      t.y += v.y * k;
+      t.z += v.z * k;
+
+      rq.x = this._quat.x;
+      rq.y = this._quat.y;
+      rq.z = this._quat.z;
+      rq.w = this._quat.w;
+      this._euler.setFromQuaternion(this._quat, 'XYZ');
+      t.rx = this._euler.x;
+      t.ry = this._euler.y;
+      t.rz = this._euler.z;
+
+      ai.fireCooldown = Math.max(0, ai.fireCooldown - k);
+      if (ai.state === 'attack' && ai.fireCooldown <= 0 && player) {
+        this._toTarget.set(player.x - t.x, player.y - t.y, player.z - t.z).normalize();
+        if (this._forward.dot(this._toTarget) >= def.fireCone) {
+          this.fireAtPlayer(entityId, def, t);
+          ai.fireCooldown = def.fireCooldown * (0.75 + g.rng.next() * 0.5);
+        }
+      }
+    }
+  }
+
+  /**
+   * @param {{ state: string }} ai
+   * @param {typeof ENEMY_TYPES.raider} def
+   * @param {{ hp: number, maxHp: number }} h
+   * @param {number} distToPlayer
+   */
+  _updateState(ai, def, h, distToPlayer) {
+    const g = this.game;
+    if (!isFinite(distToPlayer) || g.isPlayerDead()) {
+      ai.state = 'patrol';
+      return;
+    }
+
+    if (h.hp / h.maxHp <= def.fleeHpFraction) {
+      ai.state = distToPlayer < def.fleeSafeRange ? 'flee' : 'patrol';
+      return;
+    }
+
+    if (ai.state === 'patrol') {
+      if (distToPlayer < def.detectRange) ai.state = 'pursue';
+    } else if (distToPlayer > def.disengageRange) {
+      ai.state = 'patrol';
+    } else {
+      ai.state = distToPlayer < def.attackRange ? 'attack' : 'pursue';
+    }
+  }
+
+  /**
+   * @param {number} entityId
+   * @param {typeof ENEMY_TYPES.raider} def
+   * @param {{ x: number, y: number, z: number }} t
+   */
+  fireAtPlayer(entityId, def, t) {
+    const g = this.game;
+    this._shotDir
+      .copy(this._toTarget)
+      .add(
+        this._spread.set(
+          (g.rng.next() - 0.5) * def.spread,
+          (g.rng.next() - 0.5) * def.spread,
+          (g.rng.next() - 0.5) * def.spread
+        )
+      )
+      .normalize();
+    this._muzzle.set(t.x, t.y, t.z).addScaledVector(this._forward, def.radius + 1);
+    this._shotQuat.setFromUnitVectors(this._axisZ, this._shotDir);
+
+    g.combat.spawnProjectile({
+      ownerId: entityId,
+      position: this._muzzle,
+      quaternion: this._shotQuat,
+      velocity: this._shotDir.multiplyScalar(def.projectileSpeed),
+      damage: def.projectileDamage,
+      life: def.projectileLife
+    });
+
+    if (g.scene) {
+      g.vfx.spawnMuzzleFlash(this._muzzle);
+      g.soundManager.playEnemyShoot();
+    }
+  }
+
+  /**
+   * @param {{ x: number, y: number, z: number }} center
+   * @param {number} radius
+   * @returns {{ x: number, y: number, z: number }}
+   */
+  _pickWaypoint(center, radius) {
+    const g = this.game;
+    return {
+      x: center.x + (g.rng.next() - 0.5) * 2 * radius,
+      y: center.y + (g.rng.next() - 0.5) * 2 * radius,
+      z: center.z + (g.rng.next() - 0.5) * 2 * radius
+    };
+  }
+}
@@ -31,15 +31,16 @@ export class CameraSystem {
     const upLerp = 1 - Math.pow(1 - 0.1, k);
     const fovLerp = 1 - Math.pow(1 - 0.04, k);
 
-    const offsetZ = g.keys['KeyZ'] ? -30 : -25;
-    const offsetY = g.keys['KeyZ'] ? 12 : 14;
+    const boost = g.controls.boost;
+    const offsetZ = boost ? -30 : -25;
+    const offsetY = boost ? 12 : 14;
 
     this._idealOffset.set(0, offsetY, offsetZ);
 
-    if (g.keys['KeyZ'] || g.cameraShake > 0) {
-      const shakeAmt = g.keys['KeyZ'] ? 0.2 : g.cameraShake;
-      this._idealOffset.x += (Math.random() - 0.5) * shakeAmt;
-      this._idealOffset.y += (Math.random() - 0.5) * shakeAmt;
+    if (boost || g.cameraShake > 0) {
+      const shakeAmt = boost ? 0.2 : g.cameraShake;
+      this._idealOffset.x += (g.fxRng.next() - 0.5) * shakeAmt;
+      this._idealOffset.y += (g.fxRng.next() - 0.5) * shakeAmt;
       if (g.cameraShake > 0) g.cameraShake *= Math.pow(0.9, k);
     }
 
@@ -51,11 +52,12 @@ export class CameraSystem {
 
     this._lookTarget.set(0, 0, 60).applyQuaternion(this._playerQuat).add(this._playerPos);
     g.camera.lookAt(this._lookTarget);
+    if (g.backdrop) g.backdrop.position.copy(g.camera.position);
 
     this._playerUp.set(0, 1, 0).applyQuaternion(this._playerQuat);
     g.camera.up.lerp(this._playerUp, upLerp);
 
-    const targetFOV = g.keys['KeyZ'] ? 70 : 60;
+    const targetFOV = boost ? 70 : 60;
     g.camera.fov = THREE.MathUtils.lerp(g.camera.fov, targetFOV, fovLerp);
     g.camera.updateProjectionMatrix();
   }
@@ -0,0 +1,106 @@
+import * as THREE from 'three';
+
+/** Player ship bounding sphere (world units). Shared with hostile-fire hit tests. */
+export const PLAYER_RADIUS = 2.5;
+
+// Bounce: 0 = stick to the surface, 1 = perfectly elastic.
+const RESTITUTION = 0.4;
+// Fraction of the remaining velocity scrubbed off by an impact.
+const IMPACT_VELOCITY_LOSS = 0.3;
+// Closing speeds (world units per tick) below this just bump.
+const MIN_DAMAGE_SPEED = 0.3;
+const HULL_DAMAGE_PER_SPEED = 30;
+
+/**
+ * Ship-vs-object collision. Objects are spheres of radius `t.sx` (uniform scale, same as bullet hits);
+ * the player is a `PLAYER_RADIUS` sphere. Overlaps push the ship out, reflect the closing velocity and
+ * deal hull damage scaled by impact speed. Runs after `SpatialIndexSystem` so moving objects are indexed.
+ */
+export class CollisionSystem {
+  /**
+   * @param {import('../../game.js').Game} game
+   */
+  constructor(game) {
+    this.game = game;
+
+    // Scratch to avoid per-frame allocations.
+    this._normal = new THREE.Vector3();
+    /** @type {number[]} */
+    this._candidates = [];
+  }
+
+  /**
+   * @param {number} dtSec
+   * @param {number} nowSec
+   */
+  update(dtSec, nowSec) {
+    void dtSec;
+    void nowSec;
+    const g = this.game;
+    if (!g.playerEntityId || g.isPlayerDead()) return;
+    const t = g.world.transform.get(g.playerEntityId);
+    const v = g.world.velocity.get(g.playerEntityId);
+    if (!t || !v) return;
+
+    this._candidates.length = 0;
+    g.spatial.objects.queryRadius(t.x, t.y, t.z, PLAYER_RADIUS, this._candidates);
+
+    let moved = false;
+    for (const entityId of this._candidates) {
+      if (!g.world.objectMeta.has(entityId)) continue;
+      const ot = g.world.transform.get(entityId);
+      if (!ot) continue;
+
+      this._normal.set(t.x - ot.x, t.y - ot.y, t.z - ot.z);
+      const dist = this._normal.length();
+      const reach = PLAYER_RADIUS + ot.sx;
+      if (dist >= reach) continue;
+      if (dist > 1e-6) this._normal.divideScalar(dist);
+      else this._normal.set(0, 1, 0);
+
+      // Push out of the surface.
+      const depth = reach - dist;
+      t.x += this._normal.x * depth;
+      t.y += this._normal.y * depth;
+      t.z += this._normal.z * depth;
+      moved = true;
+
+      // Closing speed relative to the object (enemies move; asteroids/planets don't).
+      const ov = g.world.velocity.get(entityId);
+      const closing = -(
+        (v.x - (ov?.x ?? 0)) * this._normal.x +
+        (v.y - (ov?.y ?? 0)) * this._normal.y +
+        (v.z - (ov?.z ?? 0)) * this._normal.z
+      );
+      if (closing <= 0) continue;
+
+      this.onImpact(v, closing);
+    }
+
+    if (moved && g.player) g.player.position.set(t.x, t.y, t.z);
+  }
+
+  /**
+   * Bounce + velocity loss, then damage/feedback scaled by `closing` speed.
+   * @param {{ x: number, y: number, z: number }} v player velocity (mutated)
+   * @param {number} closing speed into the surface along `this._normal`
+   */
+  onImpact(v, closing) {
+    const g = this.game;
+    const n = this._normal;
+    const bounce = (1 + RESTITUTION) * closing;
+    const keep = 1 - IMPACT_VELOCITY_LOSS;
+    v.x = (v.x + n.x * bounce) * keep;
+    v.y = (v.y + n.y * bounce) * keep;
+    v.z = (v.z + n.z * bounce) * keep;
+    g.currentSpeed *= keep;
+
+    if (closing < MIN_DAMAGE_SPEED) {
+      g.shakeCamera(closing * 1.5);
+      return;
+    }
+    g.damagePlayer((closing - MIN_DAMAGE_SPEED) * HULL_DAMAGE_PER_SPEED);
+    // After damagePlayer(): its hit shake is smaller than a hard crash.
+    g.shakeCamera(Math.min(2.5, Math.max(0.8, closing * 1.5)));
+  }
+}
@@ -1,4 +1,20 @@
 import * as THREE from 'three';
+import { PLAYER_RADIUS } from './collisionSystem.js';
+import { damageFalloff, getWeapon } from '../../weaponData.js';
+
+// Mouse clicks / key presses on a beam weapon fire it this long (held fire keeps it on).
+const BEAM_TAP_TICKS = 12;
+// Beams apply damage, energy drain and feedback in pulses rather than every tick.
+const BEAM_PULSE_TICKS = 6;
+
+// Lock-on beeps every this many ticks while a lock builds.
+const LOCK_BEEP_TICKS = 10;
+
+// Projectile shots leave from the tip of a hardpoint's barrel (the gun mesh is 2 long, centred on the hardpoint).
+const GUN_MUZZLE_Z = 1;
+
+// Hostile bolts share the laser shape, in red.
+const HOSTILE_VISUAL = { color: 0xff2200, coreColor: 0xffaa88, radius: 0.25, length: 12 };
 
 export class CombatSystem {
   /**
@@ -10,13 +26,57 @@ export class CombatSystem {
     // Scratch to avoid per-frame allocations.
     this._forward = new THREE.Vector3();
     this._dirToObj = new THREE.Vector3();
-    this._targetPos = new THREE.Vector3();
     this._targetWorldPos = new THREE.Vector3();
+    this._leadScreen = new THREE.Vector3();
     this._bulletPos = new THREE.Vector3();
     this._noseOffset = new THREE.Vector3(0, 0, 2);
+    this._muzzleOffset = new THREE.Vector3();
     this._playerPos = new THREE.Vector3();
     this._playerQuat = new THREE.Quaternion();
     this._noseWorld = new THREE.Vector3();
+    this._shotDir = new THREE.Vector3();
+    this._shotQuat = new THREE.Quaternion();
+    this._axisZ = new THREE.Vector3(0, 0, 1);
+    this._spreadAxis = new THREE.Vector3();
+    this._pelletDir = new THREE.Vector3();
+    this._homingQuat = new THREE.Quaternion();
+    this._homingTargetQuat = new THREE.Quaternion();
+    this._beamEnd = new THREE.Vector3();
+    /** @type {number[]} */
+    this._hitCandidates = [];
+
+    // Beam state: remaining tap ticks and ticks until the next damage pulse.
+    this._beamTapTicks = 0;
+    this._beamPulseTicks = 0;
+    this._beamActive = false;
+    /** @type {THREE.Mesh|null} */
+    this._beamMesh = null;
+
+    /** Where a shot from the nose meets the current target (valid while `hasLead`); see `solveIntercept()`. */
+    this.leadPoint = new THREE.Vector3();
+    this.hasLead = false;
+
+    /** Hardpoint (`shipData.hardpoints`) the next projectile shot leaves from; shots cycle through them. Saved. */
+    this.hardpointIndex = 0;
+
+    // Missile lock: the target being locked and how long (sim seconds) it has stayed the target.
+    /** @type {number|null} */
+    this.lockTargetId = null;
+    this.lockHeldSec = 0;
+    this._lockBeepTicks = 0;
+
+    // Shared geometry/materials per visual; meshes are pooled per visual and bound per projectile entity.
+    /** @type {Map<string, { geo: THREE.BufferGeometry, mat: THREE.Material, coreGeo: THREE.BufferGeometry, coreMat: THREE.Material }>} */
+    this._visuals = new Map();
+    /** @type {Map<string, THREE.Mesh[]>} */
+    this._bulletPools = new Map();
+    this._bulletPoolLimit = 100;
+  }
+
+  /** @returns {ReturnType<typeof getWeapon>} */
+  get activeWeapon() {
+    const { weapons, active } = this.game.loadout;
+    return getWeapon(weapons[active]);
   }
 
   /**
@@ -25,227 +85,750 @@ export class CombatSystem {
    */
   update(dtSec, nowSec) {
     void nowSec;
-    this.updateTargetLock();
-    this.updateBullets(dtSec);
+    this.updateMissileLock(dtSec);
+    this.updateLead();
+    // Held fire (gamepad trigger); `shoot()` enforces the fire rate.
+    if (this.game.controls.fire) this.shoot();
+    this.updateBeam(dtSec);
+    this.updateProjectiles(dtSec);
   }
 
-  updateTargetLock() {
+  /**
+   * Builds a missile lock while the active weapon needs one and the target stays the same.
+   * Switching target or weapon restarts it.
+   * @param {number} dtSec
+   */
+  updateMissileLock(dtSec) {
     const g = this.game;
-    if (!g.playerEntityId || !g.camera) return;
-    const pt = g.world.transform.get(g.playerEntityId);
-    const prq = g.world.rotationQuat.get(g.playerEntityId);
-    if (!pt || !prq) return;
-
-    let bestTargetEntityId = null;
-    let bestAngle = 0.25; // Slightly wider cone
-    const maxDist = 500; // Increased range
-
-    this._playerPos.set(pt.x, pt.y, pt.z);
-    this._playerQuat.set(prq.x, prq.y, prq.z, prq.w);
-    this._forward.set(0, 0, 1).applyQuaternion(this._playerQuat).normalize();
+    const lockTime = this.activeWeapon.homing?.lockTime ?? 0;
+    const target = g.currentTargetEntityId;
+    if (!lockTime || target == null) {
+      this.lockTargetId = null;
+      this.lockHeldSec = 0;
+      if (g.hud) g.hud.crosshairSetLockProgress(null);
+      return;
+    }
 
-    for (const [entityId] of g.world.objectMeta) {
-      const t = g.world.transform.get(entityId);
-      if (!t) continue;
-      this._dirToObj.set(t.x - this._playerPos.x, t.y - this._playerPos.y, t.z - this._playerPos.z);
-      const dist = this._dirToObj.length();
-      if (dist > maxDist) continue;
-
-      this._dirToObj.normalize();
-      const angle = 1 - this._forward.dot(this._dirToObj); // 0 means perfectly aligned
-      if (angle < bestAngle) {
-        bestAngle = angle;
-        bestTargetEntityId = entityId;
+    if (target !== this.lockTargetId) {
+      this.lockTargetId = target;
+      this.lockHeldSec = 0;
+      this._lockBeepTicks = 0;
+    }
+    const wasLocked = this.lockHeldSec >= lockTime;
+    this.lockHeldSec = Math.min(lockTime, this.lockHeldSec + dtSec);
+    const progress = this.lockHeldSec / lockTime;
+
+    if (progress >= 1 && !wasLocked) {
+      g.soundManager.playLockAcquired();
+    } else if (progress < 1) {
+      this._lockBeepTicks -= dtSec * 60;
+      if (this._lockBeepTicks <= 0) {
+        this._lockBeepTicks += LOCK_BEEP_TICKS;
+        g.soundManager.playLockTone(progress);
       }
     }
+    if (g.hud) g.hud.crosshairSetLockProgress(progress);
+  }
 
-    g.currentTargetEntityId = bestTargetEntityId;
+  /**
+   * @returns {boolean} true when the current target has been held long enough for the active weapon
+   */
+  isLockReady() {
+    const lockTime = this.activeWeapon.homing?.lockTime ?? 0;
+    if (this.lockTargetId == null || this.lockTargetId !== this.game.currentTargetEntityId) return false;
+    return this.lockHeldSec >= lockTime;
+  }
 
-    if (!g.hud) return;
-    if (g.currentTargetEntityId) {
-      g.hud.crosshairSetLocked(true);
-      const t = g.world.transform.get(g.currentTargetEntityId);
-      if (!t) return;
-      this._targetWorldPos.set(t.x, t.y, t.z);
-      this._targetPos.copy(this._targetWorldPos).project(g.camera);
-      const x = (this._targetPos.x * 0.5 + 0.5) * window.innerWidth;
-      const y = (this._targetPos.y * -0.5 + 0.5) * window.innerHeight;
-      g.hud.crosshairSetScreenPos(x, y);
-      g.hud.crosshairSetLockedTransform();
-    } else {
-      g.hud.crosshairSetLocked(false);
-      g.hud.crosshairResetToCenter();
+  /**
+   * Refreshes `leadPoint` for the current target and the active weapon, and places the HUD lead pip on it.
+   */
+  updateLead() {
+    const g = this.game;
+    this.hasLead = !!g.playerEntityId && this._setNose() && this._computeLead(this.activeWeapon);
+    if (!g.hud || !g.camera) return;
+
+    // The pip only helps when it is off the target, i.e. the target is moving.
+    const v = this.hasLead ? g.world.velocity.get(g.currentTargetEntityId) : null;
+    if (!v || v.x * v.x + v.y * v.y + v.z * v.z < 1e-6) {
+      g.hud.setLeadPip(null);
+      return;
     }
+    this._leadScreen.copy(this.leadPoint).project(g.camera);
+    if (this._leadScreen.z > 1) {
+      g.hud.setLeadPip(null); // behind the camera
+      return;
+    }
+    g.hud.setLeadPip({
+      x: (this._leadScreen.x * 0.5 + 0.5) * window.innerWidth,
+      y: (this._leadScreen.y * -0.5 + 0.5) * window.innerHeight,
+      assist: g.leadAim
+    });
+  }
+
+  /**
+   * Intercept of the current target for `weapon` shots leaving `_bulletPos` (call `_setNose()` first).
+   * Beams are hitscan, so they never lead.
+   * @param {ReturnType<typeof getWeapon>} weapon
+   * @returns {boolean} true when `leadPoint` was set
+   */
+  _computeLead(weapon) {
+    const g = this.game;
+    if (weapon.kind !== 'projectile' || g.currentTargetEntityId == null) return false;
+    const t = g.world.transform.get(g.currentTargetEntityId);
+    if (!t) return false;
+    const v = g.world.velocity.get(g.currentTargetEntityId);
+    this._targetWorldPos.set(t.x, t.y, t.z);
+    if (!v) {
+      this.leadPoint.copy(this._targetWorldPos);
+      return true;
+    }
+    return solveIntercept(this._bulletPos, this._targetWorldPos, v, weapon.projectileSpeed, this.leadPoint) >= 0;
   }
 
   shoot() {
     const g = this.game;
-    const now = Date.now();
-    if (g.isPaused || g.stats.energy <= 0 || now - g.lastShotTime < g.fireRate) return;
+    const weapon = this.activeWeapon;
+    if (weapon.kind === 'beam') {
+      // Beams fire while held; a press/click is a short burst.
+      if (!g.isPaused && g.stats.energy > 0) this._beamTapTicks = BEAM_TAP_TICKS;
+      return;
+    }
+
+    const now = g._simTimeSec * 1000; // sim clock keeps fire rate stable headless/replayed
+    if (g.isPaused || g.stats.energy <= 0 || now - g.lastShotTime < weapon.fireRate / g.fireRateMultiplier) return;
     if (!g.playerEntityId) return;
-    if (!g.scene) return;
-    const pt = g.world.transform.get(g.playerEntityId);
-    const prq = g.world.rotationQuat.get(g.playerEntityId);
-    if (!pt || !prq) return;
-    this._playerPos.set(pt.x, pt.y, pt.z);
-    this._playerQuat.set(prq.x, prq.y, prq.z, prq.w);
+    const hardpoints = g.shipData.hardpoints ?? [];
+    if (!this._aimFrom(weapon, this._gunMuzzle(hardpoints))) return;
+    if (hardpoints.length) this.hardpointIndex = (this.hardpointIndex + 1) % hardpoints.length;
 
     // Ensure audio is ready on first interaction
     g.soundManager.init();
-    g.soundManager.playShoot();
+    g.soundManager[weapon.sound]?.();
 
     g.lastShotTime = now;
     if (g.hud) g.hud.crosshairPulseFiring();
 
-    // Laser Geometry: Much beefier and longer for "Heavy Laser" feel
-    const laserGeo = new THREE.CylinderGeometry(0.25, 0.25, 12, 8);
-    laserGeo.rotateX(Math.PI / 2);
+    for (let i = 0; i < weapon.pellets; i++) {
+      this._pelletDir.copy(this._shotDir);
+      if (weapon.spread > 0) this._applySpread(this._pelletDir, weapon.spread);
+      this._shotQuat.setFromUnitVectors(this._axisZ, this._pelletDir);
+      this.spawnProjectile({
+        ownerId: g.playerEntityId,
+        position: this._bulletPos,
+        quaternion: this._shotQuat,
+        velocity: this._pelletDir.multiplyScalar(weapon.projectileSpeed), // per-tick velocity (fixed timestep @ 60Hz)
+        damage: g.weaponPower * weapon.damage,
+        life: weapon.life,
+        weapon: weapon.id,
+        // Without a completed lock, homing weapons fire unguided.
+        targetId: weapon.homing && this.isLockReady() ? g.currentTargetEntityId : null
+      });
+    }
 
-    const laserMat = new THREE.MeshBasicMaterial({
-      color: 0x00ffff,
-      transparent: true,
-      opacity: 1.0,
-      blending: THREE.AdditiveBlending
-    });
-    const bullet = new THREE.Mesh(laserGeo, laserMat);
+    // Muzzle Flash Effect
+    if (g.scene) g.vfx.spawnMuzzleFlash(this._bulletPos);
 
-    // Brighter Core
-    const coreGeo = new THREE.CylinderGeometry(0.1, 0.1, 12.2, 8);
-    coreGeo.rotateX(Math.PI / 2);
-    const coreMat = new THREE.MeshBasicMaterial({ color: 0xffffff });
-    const core = new THREE.Mesh(coreGeo, coreMat);
-    bullet.add(core);
+    // Feedback: Stronger Camera shake on fire
+    g.shakeCamera(0.5);
 
-    // Start exactly at the nose of the ship
-    this._noseWorld.copy(this._noseOffset).applyQuaternion(this._playerQuat);
+    g.stats.energy = Math.max(0, g.stats.energy - weapon.energyCost);
+    g.updateHudStats();
+  }
+
+  /**
+   * Ship-space muzzle of the hardpoint due to fire next (scaled like the ship mesh); the nose for ships without any.
+   * @param {Array<{ x: number, y: number, z: number }>} hardpoints
+   * @returns {THREE.Vector3}
+   */
+  _gunMuzzle(hardpoints) {
+    if (!hardpoints.length) return this._noseOffset;
+    const p = hardpoints[this.hardpointIndex % hardpoints.length];
+    const scale = this.game.shipData.mesh?.scale ?? 1;
+    return this._muzzleOffset.set(p.x, p.y, p.z + GUN_MUZZLE_Z).multiplyScalar(scale);
+  }
+
+  /**
+   * Sets `_playerPos`/`_playerQuat` from the player and `_bulletPos` to the ship's nose.
+   * @returns {boolean} false without a player transform
+   */
+  _setNose() {
+    return this._setMuzzle(this._noseOffset);
+  }
+
+  /**
+   * Sets `_playerPos`/`_playerQuat` from the player and `_bulletPos` to `offset` (ship space) on the ship.
+   * @param {THREE.Vector3} offset
+   * @returns {boolean} false without a player transform
+   */
+  _setMuzzle(offset) {
+    const g = this.game;
+    const pt = g.world.transform.get(g.playerEntityId);
+    const prq = g.world.rotationQuat.get(g.playerEntityId);
+    if (!pt || !prq) return false;
+    this._playerPos.set(pt.x, pt.y, pt.z);
+    this._playerQuat.set(prq.x, prq.y, prq.z, prq.w);
+
+    this._noseWorld.copy(offset).applyQuaternion(this._playerQuat);
     this._bulletPos.copy(this._playerPos).add(this._noseWorld);
-    bullet.position.copy(this._bulletPos);
-
-    // Direction and rotation
-    let forward;
-    if (g.currentTargetEntityId) {
-      const t = g.world.transform.get(g.currentTargetEntityId);
-      if (t) {
-        this._targetWorldPos.set(t.x, t.y, t.z);
-        forward = this._dirToObj.subVectors(this._targetWorldPos, this._bulletPos).normalize();
-        bullet.lookAt(this._targetWorldPos);
-      } else {
-        forward = this._forward.set(0, 0, 1).applyQuaternion(this._playerQuat);
-        bullet.quaternion.copy(this._playerQuat);
-      }
+    return true;
+  }
+
+  /**
+   * Sets `_bulletPos` to `offset` on the ship and `_shotDir` to the aim direction from there: towards the locked
+   * target if any, at its intercept point when lead aim (`game.leadAim`) is on.
+   * @param {ReturnType<typeof getWeapon>} weapon
+   * @param {THREE.Vector3} offset ship-space muzzle (`_noseOffset` or from `_gunMuzzle()`)
+   * @returns {boolean} false without a player transform
+   */
+  _aimFrom(weapon, offset) {
+    const g = this.game;
+    if (!this._setMuzzle(offset)) return false;
+
+    const t = g.currentTargetEntityId ? g.world.transform.get(g.currentTargetEntityId) : null;
+    if (t && g.leadAim && this._computeLead(weapon)) {
+      this._shotDir.subVectors(this.leadPoint, this._bulletPos).normalize();
+    } else if (t) {
+      this._targetWorldPos.set(t.x, t.y, t.z);
+      this._shotDir.subVectors(this._targetWorldPos, this._bulletPos).normalize();
     } else {
-      forward = this._forward.set(0, 0, 1).applyQuaternion(this._playerQuat);
-      bullet.quaternion.copy(this._playerQuat);
+      this._shotDir.set(0, 0, 1).applyQuaternion(this._playerQuat);
     }
+    return true;
+  }
 
-    bullet.userData = {
-      // IMPORTANT: copy the direction vector. `_forward/_dirToObj` are scratch vectors reused
-      // during target-lock updates; bullets need stable per-instance velocity.
-      velocity: new THREE.Vector3().copy(forward).multiplyScalar(15), // per-tick velocity (fixed timestep @ 60Hz)
-      life: 200
-    };
+  /**
+   * Tilts unit vector `dir` by a random angle up to `maxAngle` (gameplay rng: spread affects hits).
+   * @param {THREE.Vector3} dir
+   * @param {number} maxAngle radians
+   */
+  _applySpread(dir, maxAngle) {
+    const g = this.game;
+    this._spreadAxis.set(g.rng.next() - 0.5, g.rng.next() - 0.5, g.rng.next() - 0.5).cross(dir);
+    if (this._spreadAxis.lengthSq() < 1e-9) return;
+    this._spreadAxis.normalize();
+    dir.applyAxisAngle(this._spreadAxis, g.rng.next() * maxAngle);
+  }
 
-    g.scene.add(bullet);
-    g.bullets.push(bullet);
+  /**
+   * Continuous beam weapons: hitscan along the aim direction while fire is held (or briefly after a tap).
+   * Damage/energy/feedback are applied in pulses so the sim and audio stay cheap.
+   * @param {number} dtSec
+   */
+  updateBeam(dtSec) {
+    const g = this.game;
+    const k = dtSec * 60;
+    const weapon = this.activeWeapon;
+    if (weapon.kind !== 'beam') {
+      this._beamTapTicks = 0;
+      this._setBeamVisible(false);
+      return;
+    }
 
-    // Muzzle Flash Effect
-    const flashGeo = new THREE.SphereGeometry(0.5, 8, 8);
-    const flashMat = new THREE.MeshBasicMaterial({ color: 0xffffff, transparent: true, opacity: 0.8 });
-    const flash = new THREE.Mesh(flashGeo, flashMat);
-    flash.position.copy(this._bulletPos);
-    g.scene.add(flash);
-    setTimeout(() => {
-      g.scene.remove(flash);
-    }, 50);
+    if (g.controls.fire && g.stats.energy > 0) this._beamTapTicks = Math.max(this._beamTapTicks, 1);
+    const firing = this._beamTapTicks > 0 && g.stats.energy > 0 && !!g.playerEntityId && this._aimFrom(weapon, this._noseOffset);
+    this._beamTapTicks = Math.max(0, this._beamTapTicks - k);
+    if (!firing) {
+      this._beamActive = false;
+      this._setBeamVisible(false);
+      return;
+    }
 
-    // Feedback: Stronger Camera shake on fire
-    g.cameraShake = 0.5;
+    const hit = this._raycastObjects(this._bulletPos, this._shotDir, weapon.range);
+    const length = hit ? hit.distance : weapon.range;
+    this._beamEnd.copy(this._bulletPos).addScaledVector(this._shotDir, length);
+    this._updateBeamMesh(weapon, length);
+
+    // First tick of a burst pulses immediately, then every BEAM_PULSE_TICKS.
+    if (!this._beamActive) this._beamPulseTicks = 0;
+    this._beamActive = true;
+    this._beamPulseTicks -= k;
+    if (this._beamPulseTicks > 0) return;
+    this._beamPulseTicks += BEAM_PULSE_TICKS;
 
-    // Energy cost per shot (simple baseline; can become data-driven later).
-    g.stats.energy = Math.max(0, g.stats.energy - g.shotEnergyCost);
+    const pulseSec = BEAM_PULSE_TICKS / 60;
+    g.soundManager.init();
+    g.soundManager[weapon.sound]?.();
+    g.stats.energy = Math.max(0, g.stats.energy - weapon.energyCost * pulseSec);
+    if (hit) {
+      const type = g.world.objectMeta.get(hit.entityId)?.type;
+      const damage =
+        g.weaponPower * weapon.damage * pulseSec * damageFalloff(weapon, hit.distance) * (weapon.damageVs?.[type] ?? 1);
+      this.onProjectileHit(hit.entityId, damage, this._beamEnd);
+    }
     g.updateHudStats();
   }
 
-  updateBullets(dtSec) {
+  /**
+   * Nearest object sphere (`t.sx` radius) hit by a ray.
+   * @param {THREE.Vector3} origin
+   * @param {THREE.Vector3} dir unit
+   * @param {number} range
+   * @returns {{ entityId: number, distance: number } | null}
+   */
+  _raycastObjects(origin, dir, range) {
+    const g = this.game;
+    const half = range / 2;
+    this._hitCandidates.length = 0;
+    g.spatial.objects.queryRadius(
+      origin.x + dir.x * half,
+      origin.y + dir.y * half,
+      origin.z + dir.z * half,
+      half,
+      this._hitCandidates
+    );
+
+    let best = null;
+    let bestDist = range;
+    for (const entityId of this._hitCandidates) {
+      if (!g.world.objectMeta.has(entityId)) continue;
+      const t = g.world.transform.get(entityId);
+      if (!t) continue;
+      // Ray-sphere: distance along the ray to the first surface crossing.
+      const ox = t.x - origin.x;
+      const oy = t.y - origin.y;
+      const oz = t.z - origin.z;
+      const along = ox * dir.x + oy * dir.y + oz * dir.z;
+      const perpSq = ox * ox + oy * oy + oz * oz - along * along;
+      const r = t.sx;
+      if (perpSq > r * r) continue;
+      const dist = Math.max(0, along - Math.sqrt(r * r - perpSq));
+      if (along + r < 0 || dist > bestDist) continue;
+      bestDist = dist;
+      best = entityId;
+    }
+    return best == null ? null : { entityId: best, distance: bestDist };
+  }
+
+  /**
+   * @param {ReturnType<typeof getWeapon>} weapon
+   * @param {number} length
+   */
+  _updateBeamMesh(weapon, length) {
     const g = this.game;
     if (!g.scene) return;
+    if (!this._beamMesh) {
+      const geo = new THREE.CylinderGeometry(1, 1, 1, 8, 1, true);
+      geo.rotateX(Math.PI / 2);
+      geo.translate(0, 0, 0.5); // origin at the emitter, +Z along the beam
+      const mat = new THREE.MeshBasicMaterial({
+        color: weapon.visual.color,
+        transparent: true,
+        opacity: 0.7,
+        blending: THREE.AdditiveBlending,
+        depthWrite: false
+      });
+      this._beamMesh = new THREE.Mesh(geo, mat);
+      g.scene.add(this._beamMesh);
+    }
+    const mesh = this._beamMesh;
+    mesh.material.color.setHex(weapon.visual.color);
+    mesh.visible = true;
+    mesh.position.copy(this._bulletPos);
+    mesh.quaternion.setFromUnitVectors(this._axisZ, this._shotDir);
+    // Flicker is cosmetic (fxRng).
+    const r = weapon.visual.radius * (0.8 + g.fxRng.next() * 0.4);
+    mesh.scale.set(r, r, length);
+  }
+
+  /**
+   * @param {boolean} visible
+   */
+  _setBeamVisible(visible) {
+    if (this._beamMesh) this._beamMesh.visible = visible;
+  }
+
+  /**
+   * Creates a projectile entity in `World` and (when rendering) binds a pooled mesh to it.
+   * Vectors are copied; callers may pass scratch instances.
+   * @param {{ ownerId: number|null, position: THREE.Vector3, quaternion: THREE.Quaternion, velocity: THREE.Vector3, damage: number, life: number, weapon?: string, targetId?: number|null }} spec
+   * @returns {number} entityId
+   */
+  spawnProjectile(spec) {
+    const g = this.game;
+    const entityId = g.world.createProjectile({
+      ownerId: spec.ownerId,
+      // Fixed at launch: bolts stay hostile after the ship that fired them is destroyed.
+      hostile: spec.ownerId != null && g.world.ai.has(spec.ownerId),
+      damage: spec.damage,
+      life: spec.life,
+      weapon: spec.weapon ?? null,
+      targetId: spec.targetId ?? null,
+      traveled: 0
+    });
+    g.world.transform.set(entityId, {
+      x: spec.position.x,
+      y: spec.position.y,
+      z: spec.position.z,
+      rx: 0,
+      ry: 0,
+      rz: 0,
+      sx: 1,
+      sy: 1,
+      sz: 1
+    });
+    g.world.velocity.set(entityId, { x: spec.velocity.x, y: spec.velocity.y, z: spec.velocity.z });
+    g.world.rotationQuat.set(entityId, {
+      x: spec.quaternion.x,
+      y: spec.quaternion.y,
+      z: spec.quaternion.z,
+      w: spec.quaternion.w
+    });
+
+    if (g.scene) this.createProjectileMesh(entityId);
+    return entityId;
+  }
+
+  /**
+   * Binds a pooled bullet mesh to a projectile entity already in `World`.
+   * @param {number} entityId
+   */
+  createProjectileMesh(entityId) {
+    const g = this.game;
+    const t = g.world.transform.get(entityId);
+    const rq = g.world.rotationQuat.get(entityId);
+    if (!t || !rq) return;
+    const p = g.world.projectile.get(entityId);
+    const hostile = !!p && p.ownerId !== g.playerEntityId;
+    const mesh = this._acquireBulletMesh(hostile ? 'hostile' : getWeapon(p?.weapon).id);
+    mesh.position.set(t.x, t.y, t.z);
+    mesh.quaternion.set(rq.x, rq.y, rq.z, rq.w);
+    g.renderRegistry.bind(entityId, mesh);
+    g.scene.add(mesh);
+  }
+
+  /**
+   * @param {number} entityId
+   */
+  removeProjectile(entityId) {
+    const g = this.game;
+    const mesh = g.renderRegistry.get(entityId);
+    g.renderRegistry.unbind(entityId);
+    g.world.removeEntity(entityId);
+    if (mesh) {
+      if (g.scene) g.scene.remove(mesh);
+      this._releaseBulletMesh(mesh);
+    }
+  }
+
+  /**
+   * Headless projectile simulation: integrate, age, and collide against `World.transform`.
+   * @param {number} dtSec
+   */
+  updateProjectiles(dtSec) {
+    const g = this.game;
     const k = dtSec * 60;
 
-    for (let i = g.bullets.length - 1; i >= 0; i--) {
-      const b = g.bullets[i];
-      b.position.addScaledVector(b.userData.velocity, k);
-      b.userData.life--;
+    for (const [entityId, p] of g.world.projectile) {
+      const t = g.world.transform.get(entityId);
+      const v = g.world.velocity.get(entityId);
+      if (!t || !v) {
+        this.removeProjectile(entityId);
+        continue;
+      }
+
+      if (p.targetId != null) this._steerHoming(entityId, p, t, v, k);
+
+      t.x += v.x * k;
+      t.y += v.y * k;
+      t.z += v.z * k;
+      p.life -= k;
+      p.traveled = (p.traveled ?? 0) + Math.hypot(v.x, v.y, v.z) * k;
 
-      if (b.userData.life <= 0) {
-        g.scene.remove(b);
-        g.bullets.splice(i, 1);
+      if (p.life <= 0) {
+        this.removeProjectile(entityId);
         continue;
       }
 
-      // Collision with objects (world-first)
-      const bx = b.position.x;
-      const by = b.position.y;
-      const bz = b.position.z;
-      let hit = false;
-
-      for (const [entityId] of g.world.objectMeta) {
-        const t = g.world.transform.get(entityId);
-        if (!t) continue;
-        const dx = bx - t.x;
-        const dy = by - t.y;
-        const dz = bz - t.z;
-        const dist2 = dx * dx + dy * dy + dz * dz;
-        const radius = t.sx; // objects are uniformly scaled
-        if (dist2 > radius * radius) continue;
-
-        const obj = g.renderRegistry.get(entityId);
-        if (!obj) continue;
-
-          // Subtle hit flash
-          if (obj.material) {
-            const originalIntensity = obj.userData.type === 'planet' ? 0.1 : 0;
-            const originalColor = obj.userData.type === 'planet' ? obj.material.color.getHex() : 0x000000;
-
-            obj.material.emissive.setHex(0xffffff);
-            obj.material.emissiveIntensity = 0.25; // Significantly reduced for elegance
-
-            setTimeout(() => {
-              if (obj && obj.material) {
-                obj.material.emissiveIntensity = originalIntensity;
-                obj.material.emissive.setHex(originalColor);
-              }
-            }, 60);
-          }
+      // Guided shots detonate near their target; otherwise collide with objects (world-first), swept over this
+      // tick's movement so fast shots can't tunnel.
+      let hitEntityId = p.targetId != null ? this._checkProximityFuse(p, t) : null;
+      if (hitEntityId == null) hitEntityId = this._findProjectileHit(t, v.x * k, v.y * k, v.z * k, p);
+      if (hitEntityId == null) continue;
+
+      this._bulletPos.set(t.x, t.y, t.z);
+      this.removeProjectile(entityId);
+      // Player-fired shots lose damage over distance per their weapon; hostile bolts don't.
+      const damage = p.weapon ? p.damage * damageFalloff(getWeapon(p.weapon), p.traveled) : p.damage;
+      if (hitEntityId === g.playerEntityId) g.damagePlayer(damage);
+      else this.onProjectileHit(hitEntityId, damage, this._bulletPos);
+    }
+
+    this.syncProjectilesFromWorld();
+  }
+
+  /**
+   * Turns a homing projectile's velocity towards its target by at most `homing.turnRate` per tick.
+   * Loses the target (flies straight) once it is destroyed.
+   * @param {number} entityId
+   * @param {{ weapon: string|null, targetId: number|null }} p
+   * @param {{ x: number, y: number, z: number }} t
+   * @param {{ x: number, y: number, z: number }} v
+   * @param {number} k
+   */
+  _steerHoming(entityId, p, t, v, k) {
+    const g = this.game;
+    const homing = getWeapon(p.weapon).homing;
+    const tt = g.world.transform.get(p.targetId);
+    if (!homing || !tt) {
+      p.targetId = null;
+      return;
+    }
+    const speed = Math.hypot(v.x, v.y, v.z);
+    if (speed < 1e-6) return;
+
+    this._forward.set(v.x / speed, v.y / speed, v.z / speed);
+    this._dirToObj.set(tt.x - t.x, tt.y - t.y, tt.z - t.z).normalize();
+    this._homingQuat.setFromUnitVectors(this._axisZ, this._forward);
+    this._homingTargetQuat.setFromUnitVectors(this._axisZ, this._dirToObj);
+    this._homingQuat.rotateTowards(this._homingTargetQuat, homing.turnRate * k);
+    this._forward.set(0, 0, 1).applyQuaternion(this._homingQuat);
+    v.x = this._forward.x * speed;
+    v.y = this._forward.y * speed;
+    v.z = this._forward.z * speed;
+
+    const rq = g.world.rotationQuat.get(entityId);
+    if (rq) {
+      rq.x = this._homingQuat.x;
+      rq.y = this._homingQuat.y;
+      rq.z = this._homingQuat.z;
+      rq.w = this._homingQuat.w;
+    }
+  }
+
+  /**
+   * @param {{ weapon: string|null, targetId: number|null }} p
+   * @param {{ x: number, y: number, z: number }} pos
+   * @returns {number|null} the target when within the weapon's `fuseRadius` of its surface
+   */
+  _checkProximityFuse(p, pos) {
+    const fuse = getWeapon(p.weapon).homing?.fuseRadius ?? 0;
+    const tt = this.game.world.transform.get(p.targetId);
+    if (!fuse || !tt) return null;
+    const reach = tt.sx + fuse;
+    const dx = pos.x - tt.x;
+    const dy = pos.y - tt.y;
+    const dz = pos.z - tt.z;
+    return dx * dx + dy * dy + dz * dz <= reach * reach ? p.targetId : null;
+  }
+
+  /**
+   * First sphere crossed by the segment `pos - step -> pos` (the projectile's movement this tick).
+   * @param {{ x: number, y: number, z: number }} pos end of the step
+   * @param {number} sx
+   * @param {number} sy
+   * @param {number} sz
+   * @param {{ ownerId: number|null, hostile?: boolean }} p the projectile component
+   * @returns {number|null}
+   */
+  _findProjectileHit(pos, sx, sy, sz, p) {
+    const g = this.game;
+    const ax = pos.x - sx;
+    const ay = pos.y - sy;
+    const az = pos.z - sz;
+    const { ownerId, hostile } = p;
+    if (hostile && g.playerEntityId) {
+      const pt = g.world.transform.get(g.playerEntityId);
+      if (pt && segmentHitsSphere(ax, ay, az, sx, sy, sz, pt, PLAYER_RADIUS) >= 0) return g.playerEntityId;
+    }
+
+    const halfLen = Math.hypot(sx, sy, sz) / 2;
+    this._hitCandidates.length = 0;
+    g.spatial.objects.queryRadius(ax + sx / 2, ay + sy / 2, az + sz / 2, halfLen, this._hitCandidates);
+
+    let best = null;
+    let bestT = Infinity;
+    for (const entityId of this._hitCandidates) {
+      if (entityId === ownerId || !g.world.objectMeta.has(entityId)) continue;
+      // No friendly fire between hostiles.
+      if (hostile && g.world.ai.has(entityId)) continue;
+      const t = g.world.transform.get(entityId);
+      if (!t) continue;
+      const radius = t.sx; // objects are uniformly scaled
+      const at = segmentHitsSphere(ax, ay, az, sx, sy, sz, t, radius);
+      if (at >= 0 && at < bestT) {
+        bestT = at;
+        best = entityId;
+      }
+    }
+    return best;
+  }
 
-          g.vfx.createHitEffect(b.position);
-          g.soundManager.playHit();
-          const h = g.world.damage(entityId, g.shipData.weaponPower);
-
-          // Show and update health bar
-          if (obj.userData.healthBar) {
-            obj.userData.healthBar.sprite.visible = true;
-            g.updateHealthBar(obj);
-
-            // Hide after 3 seconds of no hits
-            if (obj.userData.hbTimeout) clearTimeout(obj.userData.hbTimeout);
-            obj.userData.hbTimeout = setTimeout(() => {
-              if (obj.userData && obj.userData.healthBar) {
-                obj.userData.healthBar.sprite.visible = false;
-              }
-            }, 3000);
+  /**
+   * Applies damage in `World`, then plays render/audio feedback if the target has a mesh.
+   * @param {number} entityId
+   * @param {number} damage
+   * @param {THREE.Vector3} hitPos
+   */
+  onProjectileHit(entityId, damage, hitPos) {
+    const g = this.game;
+    const h = g.world.damage(entityId, damage);
+    const obj = g.renderRegistry.get(entityId);
+
+    if (obj) {
+      // Subtle hit flash
+      if (obj.material) {
+        const originalIntensity = obj.userData.type === 'planet' ? 0.1 : 0;
+        const originalColor = obj.userData.type === 'planet' ? obj.material.color.getHex() : 0x000000;
+
+        obj.material.emissive.setHex(0xffffff);
+        obj.material.emissiveIntensity = 0.25; // Significantly reduced for elegance
+
+        setTimeout(() => {
+          if (obj && obj.material) {
+            obj.material.emissiveIntensity = originalIntensity;
+            obj.material.emissive.setHex(originalColor);
           }
+        }, 60);
+      }
+
+      g.vfx.createHitEffect(hitPos);
+      g.soundManager.playHit();
 
-          g.scene.remove(b);
-          g.bullets.splice(i, 1);
+      // Show and update health bar
+      if (obj.userData.healthBar) {
+        obj.userData.healthBar.sprite.visible = true;
+        g.updateHealthBar(obj);
 
-          if (h && h.hp <= 0) {
-            g.destroyObjectEntity(entityId);
+        // Hide after 3 seconds of no hits
+        if (obj.userData.hbTimeout) clearTimeout(obj.userData.hbTimeout);
+        obj.userData.hbTimeout = setTimeout(() => {
+          if (obj.userData && obj.userData.healthBar) {
+            obj.userData.healthBar.sprite.visible = false;
           }
-          hit = true;
-          break;
+        }, 3000);
       }
+    }
+
+    if (h && h.hp <= 0) {
+      g.destroyObjectEntity(entityId);
+    }
+  }
+
+  syncProjectilesFromWorld() {
+    const g = this.game;
+    for (const [entityId, p] of g.world.projectile) {
+      const mesh = g.renderRegistry.get(entityId);
+      const t = g.world.transform.get(entityId);
+      if (!mesh || !t) continue;
+      mesh.position.set(t.x, t.y, t.z);
+      if (p.weapon && getWeapon(p.weapon).homing) {
+        const rq = g.world.rotationQuat.get(entityId);
+        if (rq) mesh.quaternion.set(rq.x, rq.y, rq.z, rq.w);
+        // Missile exhaust (cosmetic)
+        if (g.fxRng.next() > 0.5) g.vfx.spawnEngineTrail(mesh.position, false);
+      }
+    }
+  }
+
+  /**
+   * @param {string} key weapon id, or 'hostile'
+   */
+  _getVisual(key) {
+    let visual = this._visuals.get(key);
+    if (visual) return visual;
+
+    const v = key === 'hostile' ? HOSTILE_VISUAL : getWeapon(key).visual;
+    const geo = new THREE.CylinderGeometry(v.radius, v.radius, v.length, 8);
+    geo.rotateX(Math.PI / 2);
+    const mat = new THREE.MeshBasicMaterial({
+      color: v.color,
+      transparent: true,
+      opacity: 1.0,
+      blending: THREE.AdditiveBlending
+    });
+    const coreGeo = new THREE.CylinderGeometry(v.radius * 0.4, v.radius * 0.4, v.length + 0.2, 8);
+    coreGeo.rotateX(Math.PI / 2);
+    const coreMat = new THREE.MeshBasicMaterial({ color: v.coreColor });
+    visual = { geo, mat, coreGeo, coreMat };
+    this._visuals.set(key, visual);
+    return visual;
+  }
+
+  /**
+   * @param {string} key weapon id, or 'hostile'
+   */
+  _acquireBulletMesh(key) {
+    const mesh = this._bulletPools.get(key)?.pop() ?? null;
+    if (mesh) {
+      mesh.visible = true;
+      return mesh;
+    }
+
+    // Glowing shell with a brighter core.
+    const { geo, mat, coreGeo, coreMat } = this._getVisual(key);
+    const bullet = new THREE.Mesh(geo, mat);
+    bullet.add(new THREE.Mesh(coreGeo, coreMat));
+    bullet.userData.visualKey = key;
+    return bullet;
+  }
+
+  _releaseBulletMesh(mesh) {
+    mesh.visible = false;
+    const key = mesh.userData.visualKey;
+    let pool = this._bulletPools.get(key);
+    if (!pool) {
+      pool = [];
+      this._bulletPools.set(key, pool);
+    }
+    if (pool.length < this._bulletPoolLimit) pool.push(mesh);
+  }
+}
+
+/**
+ * @param {number} ax segment start
+ * @param {number} ay
+ * @param {number} az
+ * @param {number} dx segment vector
+ * @param {number} dy
+ * @param {number} dz
+ * @param {{ x: number, y: number, z: number }} c sphere center
+ * @param {number} r sphere radius
+ * @returns {number} 0..1 position of the closest approach along the segment, or -1 if it misses
+ */
+function segmentHitsSphere(ax, ay, az, dx, dy, dz, c, r) {
+  const lenSq = dx * dx + dy * dy + dz * dz;
+  const ox = c.x - ax;
+  const oy = c.y - ay;
+  const oz = c.z - az;
+  const at = lenSq > 0 ? Math.max(0, Math.min(1, (ox * dx + oy * dy + oz * dz) / lenSq)) : 0;
+  const px = ox - dx * at;
+  const py = oy - dy * at;
+  const pz = oz - dz * at;
+  return px * px + py * py + pz * pz <= r * r ? at : -1;
+}
 
-      if (hit) continue;
+/**
+ * Where a projectile fired from `from` at `speed` meets a target at `pos` moving with constant `vel`
+ * (`speed` and `vel` in the same units, e.g. world units per tick).
+ * @param {{ x: number, y: number, z: number }} from
+ * @param {{ x: number, y: number, z: number }} pos
+ * @param {{ x: number, y: number, z: number }} vel
+ * @param {number} speed
+ * @param {THREE.Vector3} out intercept point
+ * @returns {number} time to impact (in `speed`'s time unit), or -1 if the projectile can't catch it (`out` untouched)
+ */
+export function solveIntercept(from, pos, vel, speed, out) {
+  const dx = pos.x - from.x;
+  const dy = pos.y - from.y;
+  const dz = pos.z - from.z;
+  // |d + vel * t| = speed * t  ->  a t^2 + 2 b t + c = 0
+  const a = vel.x * vel.x + vel.y * vel.y + vel.z * vel.z - speed * speed;
+  const b = dx * vel.x + dy * vel.y + dz * vel.z;
+  const c = dx * dx + dy * dy + dz * dz;
+
+  let t = -1;
+  if (Math.abs(a) < 1e-9) {
+    if (b < 0) t = -c / (2 * b);
+  } else {
+    const disc = b * b - a * c;
+    if (disc >= 0) {
+      const root = Math.sqrt(disc);
+      const t1 = (-b - root) / a;
+      const t2 = (-b + root) / a;
+      t = Math.min(t1, t2) >= 0 ? Math.min(t1, t2) : Math.max(t1, t2);
     }
   }
+  if (!(t >= 0)) return -1;
+  out.set(pos.x + vel.x * t, pos.y + vel.y * t, pos.z + vel.z * t);
+  return t;
 }
@@ -1,4 +1,10 @@
 import * as THREE from 'three';
+import { formatCargo, getResource, resources } from '../../resourceData.js';
+
+// Jettisoned cargo drifts off before the magnet may pull it back in.
+const JETTISON_PICKUP_DELAY_SEC = 5;
+// Distance from the base station that docks the ship.
+const DOCKING_RANGE = 30;
 
 export class LootSystem {
   /**
@@ -7,6 +13,10 @@ export class LootSystem {
   constructor(game) {
     this.game = game;
     this._dir = new THREE.Vector3();
+    /** @type {number[]} */
+    this._nearby = [];
+    /** Launched from the base (or started the run) and not yet out of docking range. */
+    this._launched = true;
   }
 
   /**
@@ -15,7 +25,7 @@ export class LootSystem {
    */
   update(dtSec, nowSec) {
     this.updateLoot(dtSec, nowSec);
-    this.checkDeposit();
+    this.checkDocking();
   }
 
   /**
@@ -29,7 +39,7 @@ export class LootSystem {
     const playerT = g.world.transform.get(g.playerEntityId);
     if (!playerT) return;
 
-    for (const [entityId, meta] of g.world.loot) {
+    for (const [entityId] of g.world.loot) {
       const t = g.world.transform.get(entityId);
       const v = g.world.velocity.get(entityId);
       const m = g.world.lootMotion.get(entityId);
@@ -51,13 +61,23 @@ export class LootSystem {
       t.rx += m.rotationSpeed.x * k;
       t.ry += m.rotationSpeed.y * k;
       t.rz += m.rotationSpeed.z * k;
+    }
+
+    // 4) Magnet + collect check, only for loot the spatial index places near the player.
+    g.spatial.syncLoot();
+    const magnetRange = g.magnetRange;
+    this._nearby.length = 0;
+    g.spatial.loot.queryRadius(playerT.x, playerT.y, playerT.z, magnetRange, this._nearby);
+
+    for (const entityId of this._nearby) {
+      const meta = g.world.loot.get(entityId);
+      const t = g.world.transform.get(entityId);
+      if (!meta || !t || meta.pickupAfterSec > nowSec) continue;
 
-      // 4) Magnet + collect check (player still lives in Three for now)
       const dx = playerT.x - t.x;
       const dy = playerT.y - t.y;
       const dz = playerT.z - t.z;
       const dist = Math.sqrt(dx * dx + dy * dy + dz * dz);
-      const magnetRange = 50;
 
       if (dist < magnetRange && dist > 0.0001) {
         const inv = 1 / dist;
@@ -75,38 +95,56 @@ export class LootSystem {
         }
       }
 
-      // Sync mesh from world state (render side) and update ring visuals.
-      const lootObj = g.renderRegistry.get(entityId);
-      if (lootObj) {
-        lootObj.position.set(t.x, t.y, t.z);
-        lootObj.rotation.set(t.rx, t.ry, t.rz);
-        lootObj.scale.set(t.sx, t.sy, t.sz);
-
-        const ring = lootObj.userData?.ring;
-        if (ring) {
-          ring.rotation.z += 0.05 * k;
-          ring.material.opacity = 0.4 + Math.sin(nowSec * 5) * 0.2;
-        }
+      if (dist < 5) {
+        this.collectLootEntity(entityId, meta);
       }
+    }
 
-      if (dist < 5) {
-        this.collectLootEntity(entityId, meta.value);
+    this.syncLootFromWorld(k, nowSec);
+  }
+
+  /**
+   * Sync meshes from world state (render side) and update ring visuals.
+   * @param {number} k
+   * @param {number} nowSec
+   */
+  syncLootFromWorld(k, nowSec) {
+    const g = this.game;
+    for (const [entityId] of g.world.loot) {
+      const lootObj = g.renderRegistry.get(entityId);
+      const t = g.world.transform.get(entityId);
+      if (!lootObj || !t) continue;
+      lootObj.position.set(t.x, t.y, t.z);
+      lootObj.rotation.set(t.rx, t.ry, t.rz);
+      lootObj.scale.set(t.sx, t.sy, t.sz);
+
+      const ring = lootObj.userData?.ring;
+      if (ring) {
+        ring.rotation.z += 0.05 * k;
+        ring.material.opacity = 0.4 + Math.sin(nowSec * 5) * 0.2;
       }
     }
   }
 
-  collectLootEntity(entityId, value) {
+  /**
+   * @param {number} entityId
+   * @param {{ type: string, value: number }} meta the entity's `World.loot`
+   */
+  collectLootEntity(entityId, meta) {
     const g = this.game;
-    if (g.stats.storage >= g.stats.maxStorage) {
-      g.showMessage('Storage Full! Return to base.');
+    const inventory = g.inventory;
+    if (!inventory) return;
+    // Loot from older saves may predate `resourceData.js`: it counts as salvage.
+    const type = resources[meta.type] ? meta.type : 'coin';
+    if (g.cargoUsed + getResource(type).volume > g.stats.maxStorage) {
+      g.showMessage('Storage Full! Jettison cargo or return to base.');
       return;
     }
 
     // Remove simulation entity first; mesh may be pooled.
     g.world.removeEntity(entityId);
 
-    g.stats.storage += 1;
-    g.stats.loot += value;
+    inventory.stacks[type] = (inventory.stacks[type] ?? 0) + 1;
     g.soundManager.playCollect();
     const lootObj = g.renderRegistry.get(entityId);
     if (lootObj) {
@@ -116,26 +154,65 @@ export class LootSystem {
     g.updateHudStats();
   }
 
-  checkDeposit() {
+  /**
+   * Docks whenever the ship comes back within range of the base, cargo or not (the shop, hangar and contracts need
+   * no hold). After launching, the ship has to leave range first, so it doesn't dock again straight away.
+   */
+  checkDocking() {
     const g = this.game;
-    if (!g.playerEntityId || !g.baseStation) return;
+    if (!g.playerEntityId || !g.baseStationEntityId) return;
     const t = g.world.transform.get(g.playerEntityId);
-    if (!t) return;
-    const dx = t.x - g.baseStation.position.x;
-    const dy = t.y - g.baseStation.position.y;
-    const dz = t.z - g.baseStation.position.z;
-    if (Math.sqrt(dx * dx + dy * dy + dz * dz) < 30) {
-      if (g.stats.storage > 0) this.depositLoot();
-    }
+    const base = g.world.transform.get(g.baseStationEntityId);
+    if (!t || !base) return;
+    const dx = t.x - base.x;
+    const dy = t.y - base.y;
+    const dz = t.z - base.z;
+    if (Math.sqrt(dx * dx + dy * dy + dz * dz) >= DOCKING_RANGE) this._launched = false;
+    else if (!this._launched) this.dock();
   }
 
-  depositLoot() {
+  /**
+   * Opens the base menu (market, shop, hangar); cargo stays aboard until sold there.
+   */
+  dock() {
     const g = this.game;
     g.isPaused = true;
     if (g.hud) g.hud.setBaseMenuVisible(true);
-    g.stats.storage = 0;
+    g.refreshStationUi();
     g.soundManager.playDeposit();
-    g.showMessage('Loot deposited! Energy refilled.');
+    const cargo = formatCargo(g.inventory.stacks);
+    g.showMessage(cargo ? `Docked with ${cargo}. Energy refilled.` : 'Docked. Energy refilled.');
+    g.updateHudStats();
+  }
+
+  /**
+   * Leaving the base menu: no docking again until the ship has been out of range.
+   */
+  launch() {
+    this._launched = true;
+  }
+
+  /**
+   * Dumps up to `count` units of one stack out of the hold as loot entities around the ship (in flight only).
+   * @param {string} type resource id
+   * @param {number} count
+   */
+  jettison(type, count) {
+    const g = this.game;
+    const inventory = g.inventory;
+    const t = g.playerEntityId ? g.world.transform.get(g.playerEntityId) : null;
+    if (!inventory || !t || g.isPaused || g.isDead) return;
+    const n = Math.min(Math.floor(count), inventory.stacks[type] ?? 0);
+    if (!(n > 0)) return;
+
+    const res = getResource(type);
+    inventory.stacks[type] -= n;
+    if (inventory.stacks[type] === 0) delete inventory.stacks[type];
+
+    const spawned = g.spawner.spawnLoot('jettison', t, { count: n, table: [{ type, value: res.value, weight: 1 }] });
+    for (const entityId of spawned) g.world.loot.get(entityId).pickupAfterSec = g._simTimeSec + JETTISON_PICKUP_DELAY_SEC;
+
+    g.showMessage(`Jettisoned ${n} ${res.name}.`);
     g.updateHudStats();
   }
 }
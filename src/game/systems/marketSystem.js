@@ -0,0 +1,263 @@
+import { Rng } from '../../core/rng.js';
+import { ORES, getResource, resources } from '../../resourceData.js';
+
+// Prices move (and the history chart gets a point) once per this many sim seconds.
+const MARKET_STEP_SEC = 30;
+// Chart length in steps (24 minutes).
+const HISTORY_LENGTH = 48;
+// Dumped supply halves over this long, so prices recover while the player is out mining.
+const SUPPLY_HALF_LIFE_SEC = 300;
+// Per-step random walk of each resource's demand, pulled back towards 1 and kept within bounds.
+const TREND_VOLATILITY = 0.08;
+const TREND_REVERSION = 0.1;
+const TREND_MIN = 0.6;
+const TREND_MAX = 1.6;
+
+// Contracts: station buy orders for one ore at a premium, paid per unit plus a bonus on completion.
+const MAX_CONTRACTS = 3;
+const CONTRACT_CHANCE = 0.25; // per step, while below `MAX_CONTRACTS`
+const CONTRACT_PREMIUM = [1.3, 1.8];
+const CONTRACT_WORTH = [400, 1500]; // quantity is sized to about this many credits at base price...
+const CONTRACT_MAX_VOLUME = 150; // ...but never more hold volume than this (a hauler's worth, with upgrades)
+const CONTRACT_DURATION_SEC = [480, 1200];
+const CONTRACT_BONUS = 0.25; // of the contract's worth at base price
+
+/**
+ * @typedef {{ id: number, resource: string, quantity: number, delivered: number, price: number, bonus: number, expiresSec: number }} Contract
+ */
+
+/**
+ * The base station's commodity market. Each resource sells for its base `value` times a demand trend (a seeded
+ * random walk, stepped every `MARKET_STEP_SEC`) divided by the supply the player has dumped recently; contracts
+ * come and go on the same steps. The market has its own rng stream (`<seed>:market`, saved with its state), so it
+ * never shifts `game.rng`. Runs on sim time only: prices hold still while docked.
+ */
+export class MarketSystem {
+  /**
+   * @param {import('../../game.js').Game} game
+   */
+  constructor(game) {
+    this.game = game;
+    this.reset();
+  }
+
+  /**
+   * Fresh market for the game's seed, with a full price history (new games and saves from before the market).
+   */
+  reset() {
+    const g = this.game;
+    this.rng = new Rng(`${g.seed}:market`);
+    /** Recently sold units per resource (decays). @type {Record<string, number>} */
+    this.supply = {};
+    /** Demand multiplier per resource. @type {Record<string, number>} */
+    this.trend = {};
+    /** Price per step, oldest first. @type {Record<string, number[]>} */
+    this.history = {};
+    for (const id of Object.keys(resources)) {
+      this.supply[id] = 0;
+      this.trend[id] = 1;
+      this.history[id] = [];
+    }
+    /** @type {Contract[]} */
+    this.contracts = [];
+    this.nextContractId = 1;
+    this.nextStepSec = g._simTimeSec;
+    for (let i = 0; i < HISTORY_LENGTH; i++) this.step(g._simTimeSec);
+    this.nextStepSec = g._simTimeSec + MARKET_STEP_SEC;
+  }
+
+  /**
+   * @param {number} dtSec
+   * @param {number} nowSec
+   */
+  update(dtSec, nowSec) {
+    const decay = Math.pow(0.5, dtSec / SUPPLY_HALF_LIFE_SEC);
+    for (const id in this.supply) this.supply[id] *= decay;
+    if (nowSec < this.nextStepSec) return;
+    while (nowSec >= this.nextStepSec) {
+      this.step(nowSec);
+      this.nextStepSec += MARKET_STEP_SEC;
+    }
+    // The cargo screen values the hold at market prices.
+    this.game.refreshCargoUi();
+  }
+
+  /**
+   * One market step: demand drifts, the chart gets a point, expired contracts go and a new one may be posted.
+   * @param {number} nowSec
+   */
+  step(nowSec) {
+    const rng = this.rng;
+    for (const id of Object.keys(resources)) {
+      let trend = this.trend[id] * (1 + (rng.next() - 0.5) * 2 * TREND_VOLATILITY);
+      trend += (1 - trend) * TREND_REVERSION;
+      this.trend[id] = Math.min(TREND_MAX, Math.max(TREND_MIN, trend));
+      const history = this.history[id];
+      history.push(this.price(id));
+      if (history.length > HISTORY_LENGTH) history.shift();
+    }
+
+    this.contracts = this.contracts.filter((c) => c.expiresSec > nowSec);
+    if (this.contracts.length < MAX_CONTRACTS && rng.next() < CONTRACT_CHANCE) {
+      const res = getResource(rng.pick(ORES));
+      const worth = rng.range(CONTRACT_WORTH[0], CONTRACT_WORTH[1]);
+      const fits = Math.floor(CONTRACT_MAX_VOLUME / res.volume);
+      const quantity = Math.max(1, Math.min(Math.round(worth / res.value), fits));
+      this.contracts.push({
+        id: this.nextContractId++,
+        resource: res.id,
+        quantity,
+        delivered: 0,
+        price: Math.round(res.value * rng.range(CONTRACT_PREMIUM[0], CONTRACT_PREMIUM[1])),
+        bonus: Math.round(quantity * res.value * CONTRACT_BONUS),
+        expiresSec: nowSec + rng.range(CONTRACT_DURATION_SEC[0], CONTRACT_DURATION_SEC[1])
+      });
+    }
+  }
+
+  /**
+   * What the station pays for the next unit.
+   * @param {string} id resource id
+   * @returns {number} credits
+   */
+  price(id) {
+    const res = getResource(id);
+    const glut = 1 + (this.supply[res.id] ?? 0) / res.depth;
+    return Math.max(1, Math.round((res.value * (this.trend[res.id] ?? 1)) / glut));
+  }
+
+  /**
+   * Credits the hold would fetch at today's prices (without the slide from selling it all).
+   * @param {Record<string, number>} stacks
+   * @returns {number}
+   */
+  cargoValue(stacks) {
+    return Object.entries(stacks).reduce((sum, [id, n]) => sum + n * this.price(id), 0);
+  }
+
+  /**
+   * Docked sale of up to `count` units from the hold. Each unit sold adds to supply, so big dumps fetch less.
+   * @param {string} id resource id
+   * @param {number} count
+   * @returns {number} credits earned
+   */
+  sell(id, count) {
+    const g = this.game;
+    const inventory = g.inventory;
+    if (!inventory || !g.isDocked) return 0;
+    const n = Math.min(Math.floor(count), inventory.stacks[id] ?? 0);
+    if (!(n > 0)) return 0;
+
+    const res = getResource(id);
+    const earned = this._sellUnits(id, n);
+    inventory.stacks[id] -= n;
+    if (inventory.stacks[id] === 0) delete inventory.stacks[id];
+    g.stats.loot += earned;
+    g.showMessage(`Sold ${n} ${res.name} for ${earned} credits.`);
+    return earned;
+  }
+
+  /**
+   * Docked sale of the whole hold.
+   * @returns {number} credits earned
+   */
+  sellAll() {
+    const g = this.game;
+    const inventory = g.inventory;
+    if (!inventory || !g.isDocked) return 0;
+    let earned = 0;
+    let units = 0;
+    for (const [id, n] of Object.entries(inventory.stacks)) {
+      earned += this._sellUnits(id, n);
+      units += n;
+    }
+    if (units === 0) return 0;
+    inventory.stacks = {};
+    g.stats.loot += earned;
+    g.showMessage(`Sold ${units} units for ${earned} credits.`);
+    return earned;
+  }
+
+  /**
+   * Docked delivery from the hold towards a contract; completing it pays the bonus.
+   * Contract sales don't add to market supply.
+   * @param {number} contractId
+   * @returns {number} credits earned
+   */
+  deliver(contractId) {
+    const g = this.game;
+    const inventory = g.inventory;
+    const contract = this.contracts.find((c) => c.id === contractId);
+    if (!inventory || !contract || !g.isDocked) return 0;
+    const n = Math.min(contract.quantity - contract.delivered, inventory.stacks[contract.resource] ?? 0);
+    if (n <= 0) return 0;
+
+    const res = getResource(contract.resource);
+    inventory.stacks[contract.resource] -= n;
+    if (inventory.stacks[contract.resource] === 0) delete inventory.stacks[contract.resource];
+    contract.delivered += n;
+    let earned = n * contract.price;
+    if (contract.delivered >= contract.quantity) {
+      earned += contract.bonus;
+      this.contracts = this.contracts.filter((c) => c !== contract);
+      g.showMessage(`Contract complete: ${contract.quantity} ${res.name} delivered. +${contract.bonus} bonus.`);
+    } else {
+      g.showMessage(`Delivered ${n} ${res.name} (${contract.delivered}/${contract.quantity}).`);
+    }
+    g.stats.loot += earned;
+    return earned;
+  }
+
+  /**
+   * Sells `n` units into the market one at a time (each at the price the previous ones left).
+   * @param {string} id
+   * @param {number} n
+   * @returns {number} credits
+   */
+  _sellUnits(id, n) {
+    const res = getResource(id);
+    let earned = 0;
+    for (let i = 0; i < n; i++) {
+      earned += this.price(id);
+      this.supply[res.id] += 1;
+    }
+    return earned;
+  }
+
+  /**
+   * @returns {{ rngState: number, nextStepSec: number, supply: Record<string, number>, trend: Record<string, number>, history: Record<string, number[]>, contracts: Contract[], nextContractId: number }}
+   */
+  toSnapshot() {
+    return JSON.parse(JSON.stringify({
+      rngState: this.rng.getState(),
+      nextStepSec: this.nextStepSec,
+      supply: this.supply,
+      trend: this.trend,
+      history: this.history,
+      contracts: this.contracts,
+      nextContractId: this.nextContractId
+    }));
+  }
+
+  /**
+   * Restores a saved market (call after sim time is restored); `null` (saves from before the market) starts fresh.
+   * @param {ReturnType<MarketSystem['toSnapshot']> | null} snapshot
+   */
+  loadSnapshot(snapshot) {
+    if (!snapshot) {
+      this.reset();
+      return;
+    }
+    const data = JSON.parse(JSON.stringify(snapshot));
+    this.rng.setState(data.rngState);
+    this.nextStepSec = data.nextStepSec;
+    this.contracts = data.contracts;
+    this.nextContractId = data.nextContractId;
+    // Resources added since the save start neutral.
+    for (const id of Object.keys(resources)) {
+      this.supply[id] = data.supply[id] ?? 0;
+      this.trend[id] = data.trend[id] ?? 1;
+      this.history[id] = data.history[id] ?? [];
+    }
+  }
+}
@@ -25,7 +25,7 @@ export class MovementSystem {
   update(dtSec, nowSec) {
     void nowSec;
     const g = this.game;
-    if (!g.playerEntityId || !g.player) return;
+    if (!g.playerEntityId) return;
 
     // Keep behavior stable even if stepHz changes.
     const k = dtSec * 60;
@@ -33,7 +33,8 @@ export class MovementSystem {
     const pitchSpeed = 0.010 * k;
     const yawSpeed = 0.010 * k;
     const rollSpeed = 0.015 * k;
-    const acceleration = (g.keys['KeyZ'] ? 0.08 : 0.04) * k;
+    const boost = g.controls.boost;
+    const acceleration = (boost ? 0.08 : 0.04) * g.thrust * k;
     const friction = Math.pow(0.98, k); // convert per-tick friction to dt-aware
 
     const t = g.world.transform.get(g.playerEntityId);
@@ -43,41 +44,28 @@ export class MovementSystem {
 
     this._quat.set(rq.x, rq.y, rq.z, rq.w);
 
-    // Rotational Input (local axes; match Object3D.rotateX/Y/Z semantics)
-    if (g.keys['ArrowUp'] || g.keys['KeyW']) {
-      this._qTmp.setFromAxisAngle(this._axisX, -pitchSpeed);
+    // Rotational Input (local axes; match Object3D.rotateX/Y/Z semantics).
+    // Controls are analog (keys = +-1, mouse/gamepad in between); yaw also banks.
+    const c = g.controls;
+    if (c.pitch) {
+      this._qTmp.setFromAxisAngle(this._axisX, -pitchSpeed * c.pitch);
       this._quat.multiply(this._qTmp);
     }
-    if (g.keys['ArrowDown'] || g.keys['KeyS']) {
-      this._qTmp.setFromAxisAngle(this._axisX, pitchSpeed);
+    if (c.yaw) {
+      this._qTmp.setFromAxisAngle(this._axisY, yawSpeed * c.yaw);
       this._quat.multiply(this._qTmp);
-    }
-
-    if (g.keys['ArrowLeft'] || g.keys['KeyA']) {
-      this._qTmp.setFromAxisAngle(this._axisY, yawSpeed);
-      this._quat.multiply(this._qTmp);
-      this._qTmp.setFromAxisAngle(this._axisZ, rollSpeed * 0.6);
-      this._quat.multiply(this._qTmp);
-    }
-    if (g.keys['ArrowRight'] || g.keys['KeyD']) {
-      this._qTmp.setFromAxisAngle(this._axisY, -yawSpeed);
-      this._quat.multiply(this._qTmp);
-      this._qTmp.setFromAxisAngle(this._axisZ, -rollSpeed * 0.6);
+      this._qTmp.setFromAxisAngle(this._axisZ, rollSpeed * 0.6 * c.yaw);
       this._quat.multiply(this._qTmp);
     }
 
     // Manual Roll
-    if (g.keys['KeyQ']) {
-      this._qTmp.setFromAxisAngle(this._axisZ, rollSpeed);
-      this._quat.multiply(this._qTmp);
-    }
-    if (g.keys['KeyE']) {
-      this._qTmp.setFromAxisAngle(this._axisZ, -rollSpeed);
+    if (c.roll) {
+      this._qTmp.setFromAxisAngle(this._axisZ, rollSpeed * c.roll);
       this._quat.multiply(this._qTmp);
     }
 
     // Velocity & Thrust Calculation
-    const targetSpeedVal = g.keys['KeyZ'] ? 5.0 : 2.5;
+    const targetSpeedVal = (boost ? 5.0 : 2.5) * g.thrust;
     const speedLerp = 1 - Math.pow(1 - 0.05, k);
     g.currentSpeed = THREE.MathUtils.lerp(g.currentSpeed, targetSpeedVal, speedLerp);
 
@@ -95,15 +83,15 @@ export class MovementSystem {
     t.z += v.z;
 
     // Dodge (Side Thrusters)
-    if (g.keys['ShiftLeft'] || g.keys['ShiftRight']) {
+    if (c.strafeLeft || c.strafeRight) {
       const strafeForce = 0.05 * k;
-      if (g.keys['ArrowLeft'] || g.keys['KeyA']) {
+      if (c.strafeLeft) {
         this._left.set(1, 0, 0).applyQuaternion(this._quat);
         v.x += this._left.x * strafeForce;
         v.y += this._left.y * strafeForce;
         v.z += this._left.z * strafeForce;
       }
-      if (g.keys['ArrowRight'] || g.keys['KeyD']) {
+      if (c.strafeRight) {
         this._right.set(-1, 0, 0).applyQuaternion(this._quat);
         v.x += this._right.x * strafeForce;
         v.y += this._right.y * strafeForce;
@@ -121,6 +109,9 @@ export class MovementSystem {
     t.ry = this._euler.y;
     t.rz = this._euler.z;
 
+    // Render side (absent when running headless)
+    if (!g.player) return;
+
     // Sync render mesh from world (player is still a Three Group for now)
     g.player.position.set(t.x, t.y, t.z);
     g.player.quaternion.copy(this._quat);
@@ -129,7 +120,7 @@ export class MovementSystem {
     if (g.engineOffsets) {
       g.engineOffsets.forEach((offset) => {
         this._enginePos.copy(offset).applyQuaternion(this._quat).add(g.player.position);
-        if (Math.random() > 0.4) g.vfx.spawnEngineTrail(this._enginePos, g.keys['KeyZ']);
+        if (g.fxRng.next() > 0.4) g.vfx.spawnEngineTrail(this._enginePos, boost);
       });
     }
   }
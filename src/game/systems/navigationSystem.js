@@ -9,6 +9,7 @@ export class NavigationSystem {
     this._targetPos = new THREE.Vector3();
     this._camDir = new THREE.Vector3();
     this._dirToTarget = new THREE.Vector3();
+    this._basePos = new THREE.Vector3();
   }
 
   /**
@@ -19,16 +20,18 @@ export class NavigationSystem {
     void dtSec;
     void nowSec;
     const g = this.game;
-    if (!g.hud || !g.baseStation || !g.playerEntityId || !g.camera) return;
+    if (!g.hud || !g.baseStationEntityId || !g.playerEntityId || !g.camera) return;
     const t = g.world.transform.get(g.playerEntityId);
-    if (!t) return;
+    const base = g.world.transform.get(g.baseStationEntityId);
+    if (!t || !base) return;
 
-    const dx0 = t.x - g.baseStation.position.x;
-    const dy0 = t.y - g.baseStation.position.y;
-    const dz0 = t.z - g.baseStation.position.z;
+    const dx0 = t.x - base.x;
+    const dy0 = t.y - base.y;
+    const dz0 = t.z - base.z;
     const dist = Math.sqrt(dx0 * dx0 + dy0 * dy0 + dz0 * dz0);
 
-    this._targetPos.copy(g.baseStation.position).project(g.camera);
+    this._basePos.set(base.x, base.y, base.z);
+    this._targetPos.copy(this._basePos).project(g.camera);
 
     const widthHalf = window.innerWidth / 2;
     const heightHalf = window.innerHeight / 2;
@@ -37,7 +40,7 @@ export class NavigationSystem {
     let y = -this._targetPos.y * heightHalf + heightHalf;
 
     g.camera.getWorldDirection(this._camDir);
-    this._dirToTarget.subVectors(g.baseStation.position, g.camera.position).normalize();
+    this._dirToTarget.subVectors(this._basePos, g.camera.position).normalize();
     const dot = this._camDir.dot(this._dirToTarget);
 
     const isOffScreen =
@@ -0,0 +1,181 @@
+import { chunkCoord, chunkKey, generateChunk, parseChunkKey } from '../world/sectorChunks.js';
+
+// Chunks within this many chunks of the player's (on every axis) are loaded...
+const LOAD_RADIUS = 1;
+// ...and stay loaded until they are further than this (slack so hovering on a border doesn't thrash).
+const UNLOAD_RADIUS = 2;
+// Crossing a border brings in up to 9 chunks; spread them over a few ticks.
+const MAX_CHUNK_LOADS_PER_TICK = 2;
+
+// Offsets within `LOAD_RADIUS`, nearest first, so the chunks around the player fill in before the corners.
+const LOAD_OFFSETS = [];
+for (let dx = -LOAD_RADIUS; dx <= LOAD_RADIUS; dx++) {
+  for (let dy = -LOAD_RADIUS; dy <= LOAD_RADIUS; dy++) {
+    for (let dz = -LOAD_RADIUS; dz <= LOAD_RADIUS; dz++) LOAD_OFFSETS.push([dx, dy, dz]);
+  }
+}
+LOAD_OFFSETS.sort((a, b) => (a[0] ** 2 + a[1] ** 2 + a[2] ** 2) - (b[0] ** 2 + b[1] ** 2 + b[2] ** 2));
+
+/**
+ * Streams asteroids and planets in sector chunks around the player (`sectorChunks.js` generates each chunk from
+ * the seed). Far chunks unload with their `World` entities and meshes; objects the player destroyed are remembered
+ * per chunk (and saved) so they stay gone when the chunk comes back.
+ * Streamed entities carry `World.sectorChunk` (`{ key, index }`), which is how the loaded set is rebuilt after a load.
+ */
+export class SectorSystem {
+  /**
+   * @param {import('../../game.js').Game} game
+   */
+  constructor(game) {
+    this.game = game;
+
+    /**
+     * Loaded chunks by key; `entities` maps each live object's index in its chunk to its entity id.
+     * @type {Map<string, { cx: number, cy: number, cz: number, entities: Map<number, number> }>}
+     */
+    this.chunks = new Map();
+    /**
+     * Destroyed object indices per chunk key.
+     * @type {Map<string, Set<number>>}
+     */
+    this.cleared = new Map();
+  }
+
+  /**
+   * @param {number} dtSec
+   * @param {number} nowSec
+   */
+  update(dtSec, nowSec) {
+    void dtSec;
+    void nowSec;
+    const center = this._playerChunk();
+    if (!center) return;
+    this.unloadFarChunks(center);
+    this.loadNearChunks(center, MAX_CHUNK_LOADS_PER_TICK);
+  }
+
+  /**
+   * Loads everything in range at once (new game).
+   */
+  loadAll() {
+    const center = this._playerChunk();
+    if (center) this.loadNearChunks(center, Infinity);
+  }
+
+  /**
+   * @param {{ cx: number, cy: number, cz: number }} center
+   * @param {number} maxLoads
+   */
+  loadNearChunks(center, maxLoads) {
+    let loads = 0;
+    for (const [dx, dy, dz] of LOAD_OFFSETS) {
+      if (loads >= maxLoads) return;
+      const cx = center.cx + dx;
+      const cy = center.cy + dy;
+      const cz = center.cz + dz;
+      if (this.chunks.has(chunkKey(cx, cy, cz))) continue;
+      this.loadChunk(cx, cy, cz);
+      loads++;
+    }
+  }
+
+  /**
+   * Seeds a chunk's objects into `World` (skipping destroyed ones) and builds their meshes when rendering.
+   * @param {number} cx
+   * @param {number} cy
+   * @param {number} cz
+   */
+  loadChunk(cx, cy, cz) {
+    const g = this.game;
+    const key = chunkKey(cx, cy, cz);
+    const cleared = this.cleared.get(key);
+    const base = g.world.transform.get(g.baseStationEntityId) ?? null;
+    const chunk = { cx, cy, cz, entities: new Map() };
+    this.chunks.set(key, chunk);
+
+    generateChunk(g.seed, cx, cy, cz, base).forEach((obj, index) => {
+      if (cleared?.has(index)) return;
+      const entityId = g.world.createObject({
+        type: obj.type,
+        hp: obj.hp,
+        maxHp: obj.hp,
+        lootValue: obj.lootValue,
+        field: obj.field,
+        ore: obj.ore
+      });
+      g.world.transform.set(entityId, obj.transform);
+      g.world.spin.set(entityId, obj.spin);
+      g.world.sectorChunk.set(entityId, { key, index });
+      chunk.entities.set(index, entityId);
+
+      if (!g.scene) return;
+      if (obj.type === 'planet') g.createPlanetMesh(entityId);
+      else if (obj.type === 'wreck') g.createWreckMesh(entityId);
+      else g.createAsteroidMesh(entityId);
+    });
+  }
+
+  /**
+   * @param {{ cx: number, cy: number, cz: number }} center
+   */
+  unloadFarChunks(center) {
+    for (const [key, chunk] of this.chunks) {
+      const dist = Math.max(Math.abs(chunk.cx - center.cx), Math.abs(chunk.cy - center.cy), Math.abs(chunk.cz - center.cz));
+      if (dist <= UNLOAD_RADIUS) continue;
+      for (const entityId of chunk.entities.values()) this.game.unloadObjectEntity(entityId);
+      this.chunks.delete(key);
+    }
+  }
+
+  /**
+   * Remembers that a streamed object was destroyed (call before its entity is removed).
+   * @param {number} entityId
+   */
+  markDestroyed(entityId) {
+    const tag = this.game.world.sectorChunk.get(entityId);
+    if (!tag) return;
+    let cleared = this.cleared.get(tag.key);
+    if (!cleared) {
+      cleared = new Set();
+      this.cleared.set(tag.key, cleared);
+    }
+    cleared.add(tag.index);
+    this.chunks.get(tag.key)?.entities.delete(tag.index);
+  }
+
+  /**
+   * @returns {{ cleared: Record<string, number[]> }}
+   */
+  toSnapshot() {
+    const cleared = {};
+    for (const [key, indices] of this.cleared) cleared[key] = [...indices];
+    return { cleared };
+  }
+
+  /**
+   * Restores destroyed indices and rebuilds the loaded chunks from `World.sectorChunk` (call after `World` loads).
+   * @param {{ cleared: Record<string, number[]> }} snapshot
+   */
+  loadSnapshot(snapshot) {
+    this.cleared = new Map(Object.entries(snapshot.cleared).map(([key, indices]) => [key, new Set(indices)]));
+    this.chunks.clear();
+    for (const [entityId, tag] of this.game.world.sectorChunk) {
+      let chunk = this.chunks.get(tag.key);
+      if (!chunk) {
+        chunk = { ...parseChunkKey(tag.key), entities: new Map() };
+        this.chunks.set(tag.key, chunk);
+      }
+      chunk.entities.set(tag.index, entityId);
+    }
+  }
+
+  /**
+   * @returns {{ cx: number, cy: number, cz: number } | null}
+   */
+  _playerChunk() {
+    const g = this.game;
+    const t = g.playerEntityId ? g.world.transform.get(g.playerEntityId) : null;
+    if (!t) return null;
+    return { cx: chunkCoord(t.x), cy: chunkCoord(t.y), cz: chunkCoord(t.z) };
+  }
+}
@@ -0,0 +1,55 @@
+// Shields recharge after this long without taking damage...
+const SHIELD_REGEN_DELAY_SEC = 3;
+// ...at this fraction of capacity per second.
+const SHIELD_REGEN_FRACTION_PER_SEC = 0.2;
+
+/**
+ * Regenerating shields (`World.shield`). Damage drains the shield first; whatever it can't absorb is
+ * returned so the caller applies it to `World.health` (hull).
+ */
+export class ShieldSystem {
+  /**
+   * @param {import('../../game.js').Game} game
+   */
+  constructor(game) {
+    this.game = game;
+  }
+
+  /**
+   * @param {number} dtSec
+   * @param {number} nowSec
+   */
+  update(dtSec, nowSec) {
+    const g = this.game;
+    let changed = false;
+    for (const [entityId, s] of g.world.shield) {
+      if (s.hp >= s.maxHp || nowSec - s.lastHitSec < SHIELD_REGEN_DELAY_SEC) continue;
+      s.hp = Math.min(s.maxHp, s.hp + s.maxHp * SHIELD_REGEN_FRACTION_PER_SEC * dtSec);
+      if (entityId === g.playerEntityId) changed = true;
+    }
+    if (changed && g.hud) g.updateHudStats();
+  }
+
+  /**
+   * @param {number} entityId
+   * @param {number} amount
+   * @param {number} nowSec
+   * @returns {number} damage left over for the hull
+   */
+  absorb(entityId, amount, nowSec) {
+    const s = this.game.world.shield.get(entityId);
+    if (!s) return amount;
+    s.lastHitSec = nowSec;
+    const absorbed = Math.min(s.hp, amount);
+    s.hp -= absorbed;
+    return amount - absorbed;
+  }
+
+  /**
+   * @param {number} entityId
+   */
+  refill(entityId) {
+    const s = this.game.world.shield.get(entityId);
+    if (s) s.hp = s.maxHp;
+  }
+}
@@ -0,0 +1,88 @@
+import { SpatialGrid } from '../world/spatialGrid.js';
+
+/**
+ * Keeps spatial indexes in sync with `World.transform` so targeting, projectile and loot queries
+ * don't scan every entity per tick.
+ * - `objects`: `World.objectMeta` entities (radius = uniform scale `t.sx`), synced in `update()`.
+ *   Objects are static unless they carry `World.velocity`, so a sync only inserts new ids, moves movers
+ *   and prunes removed ones; it never re-reads every asteroid.
+ * - `loot`: `World.loot` entities (point-sized, always moving), synced by `LootSystem` right after it moves loot.
+ */
+export class SpatialIndexSystem {
+  /**
+   * @param {import('../../game.js').Game} game
+   */
+  constructor(game) {
+    this.game = game;
+    this.objects = new SpatialGrid(100);
+    this.loot = new SpatialGrid(100);
+
+    this._objectsSyncedToId = 1;
+    this._worldGeneration = game.world.generation;
+  }
+
+  /**
+   * @param {number} dtSec
+   * @param {number} nowSec
+   */
+  update(dtSec, nowSec) {
+    void dtSec;
+    void nowSec;
+    this.syncObjects();
+  }
+
+  syncObjects() {
+    const g = this.game;
+    const w = g.world;
+
+    if (w.generation !== this._worldGeneration) {
+      // World was replaced (save loaded): rebuild from scratch.
+      this._worldGeneration = w.generation;
+      this.objects.clear();
+      this.loot.clear();
+      this._objectsSyncedToId = 1;
+    }
+
+    // Entities created since the last sync (ids only grow).
+    for (let entityId = this._objectsSyncedToId; entityId < w.nextId; entityId++) {
+      if (w.objectMeta.has(entityId)) this._setObject(entityId);
+    }
+    this._objectsSyncedToId = w.nextId;
+
+    // Moving objects.
+    for (const [entityId] of w.velocity) {
+      if (w.objectMeta.has(entityId)) this._setObject(entityId);
+    }
+
+    this._prune(this.objects, w.objectMeta);
+  }
+
+  syncLoot() {
+    const g = this.game;
+    for (const [entityId] of g.world.loot) {
+      const t = g.world.transform.get(entityId);
+      if (t) this.loot.set(entityId, t.x, t.y, t.z, 0);
+    }
+    this._prune(this.loot, g.world.loot);
+  }
+
+  /**
+   * @param {number} entityId
+   */
+  _setObject(entityId) {
+    const t = this.game.world.transform.get(entityId);
+    if (t) this.objects.set(entityId, t.x, t.y, t.z, t.sx);
+  }
+
+  /**
+   * Drops entities removed from World since the last sync.
+   * @param {SpatialGrid} grid
+   * @param {Map<number, any>} source component map defining membership
+   */
+  _prune(grid, source) {
+    if (grid.size <= source.size) return;
+    for (const entityId of grid.ids()) {
+      if (!source.has(entityId)) grid.remove(entityId);
+    }
+  }
+}
@@ -1,4 +1,9 @@
 import * as THREE from 'three';
+import { fieldDropCount, getField, pickWeighted } from '../../asteroidFieldData.js';
+import { DEFAULT_LOOT_TABLE, compositionLootTable, getResource } from '../../resourceData.js';
+
+const GEM_BASE_SCALE = { x: 2.0, y: 2.0, z: 2.0 };
+const COIN_BASE_SCALE = { x: 1.5, y: 0.8, z: 2.5 };
 
 export class SpawnSystem {
   /**
@@ -24,13 +29,21 @@ export class SpawnSystem {
   }
 
   /**
-   * Spawns debris fragments and loot for a destroyed object.
-   * Caller owns removing the destroyed object from the scene/arrays.
-   * @param {THREE.Mesh} obj
+   * Spawns debris fragments (render-only) and loot entities for a destroyed object.
+   * Reads type/position from `World`; call before the entity is removed. Caller owns removal.
+   * @param {number} entityId
    */
-  spawnOnDestroyed(obj) {
-    this.spawnFragments(obj);
-    this.spawnLoot(obj);
+  spawnOnDestroyed(entityId) {
+    const g = this.game;
+    const meta = g.world.objectMeta.get(entityId);
+    const t = g.world.transform.get(entityId);
+    if (!meta || !t) return;
+
+    const obj = g.renderRegistry.get(entityId);
+    if (obj && g.scene) this.spawnFragments(obj);
+    const field = getField(meta.field);
+    if (field && meta.ore) this.spawnLoot(meta.type, t, { count: fieldDropCount(field, t.sx), table: compositionLootTable(meta.ore) });
+    else this.spawnLoot(meta.type, t);
   }
 
   /**
@@ -42,25 +55,25 @@ export class SpawnSystem {
 
     const fragmentCount = obj.userData.type === 'planet' ? 12 : 5;
     for (let i = 0; i < fragmentCount; i++) {
-      const fragSize = (Math.random() * 0.5 + 0.5) * (obj.scale.x * 0.4);
+      const fragSize = (g.fxRng.next() * 0.5 + 0.5) * (obj.scale.x * 0.4);
       const fragment = this._acquireFragment(obj);
       fragment.scale.setScalar(fragSize);
 
       fragment.position.copy(obj.position);
-      fragment.rotation.set(Math.random() * Math.PI, Math.random() * Math.PI, Math.random() * Math.PI);
+      fragment.rotation.set(g.fxRng.next() * Math.PI, g.fxRng.next() * Math.PI, g.fxRng.next() * Math.PI);
 
       fragment.userData = {
         velocity: new THREE.Vector3(
-          (Math.random() - 0.5) * 1.5,
-          (Math.random() - 0.5) * 1.5,
-          (Math.random() - 0.5) * 1.5
+          (g.fxRng.next() - 0.5) * 1.5,
+          (g.fxRng.next() - 0.5) * 1.5,
+          (g.fxRng.next() - 0.5) * 1.5
         ),
         rotVelocity: new THREE.Vector3(
-          (Math.random() - 0.5) * 0.1,
-          (Math.random() - 0.5) * 0.1,
-          (Math.random() - 0.5) * 0.1
+          (g.fxRng.next() - 0.5) * 0.1,
+          (g.fxRng.next() - 0.5) * 0.1,
+          (g.fxRng.next() - 0.5) * 0.1
         ),
-        life: 200 + Math.random() * 100,
+        life: 200 + g.fxRng.next() * 100,
         isFragment: true,
         _poolKind: 'fragment'
       };
@@ -71,70 +84,93 @@ export class SpawnSystem {
   }
 
   /**
-   * @param {THREE.Mesh} obj
+   * Seeds loot entities in `World` around `pos`; binds pooled meshes when rendering.
+   * @param {string} sourceType
+   * @param {{ x: number, y: number, z: number }} pos
+   * @param {{ count: number, table: Array<{ type: string, value: number, weight: number }> }} [drops] ore
+   *   asteroids' drops and jettisoned cargo; otherwise a count by source type from `DEFAULT_LOOT_TABLE`
+   * @returns {number[]} the new loot entity ids
    */
-  spawnLoot(obj) {
+  spawnLoot(sourceType, pos, drops) {
     const g = this.game;
-    const count = obj.userData.type === 'planet' ? 20 : 3;
+    const count = drops?.count ?? (sourceType === 'planet' ? 20 : sourceType === 'wreck' ? 10 : sourceType === 'enemy' ? 6 : 3);
+    const table = drops?.table ?? DEFAULT_LOOT_TABLE;
+    const spawned = [];
 
     for (let i = 0; i < count; i++) {
-      const isGem = Math.random() > 0.8;
+      const drop = pickWeighted(table, g.rng.next());
+      const baseScale = getResource(drop.type).mesh === 'gem' ? GEM_BASE_SCALE : COIN_BASE_SCALE;
 
-      const loot = isGem ? this._acquireGemLoot() : this._acquireCoinLoot();
-      loot.position.copy(obj.position);
-      loot.rotation.set(0, 0, 0);
-      // Scale is reset inside acquire() to the correct base (pooled instances may have been shrunk).
-
-      const entityId = g.world.createLoot({ type: isGem ? 'gem' : 'coin', value: isGem ? 50 : 10 });
-      g.renderRegistry.bind(entityId, loot);
+      const entityId = g.world.createLoot({ type: drop.type, value: drop.value });
 
       const sprayDir = new THREE.Vector3(
-        (Math.random() - 0.5) * 2,
-        (Math.random() - 0.5) * 2,
-        (Math.random() - 0.5) * 2
+        (g.rng.next() - 0.5) * 2,
+        (g.rng.next() - 0.5) * 2,
+        (g.rng.next() - 0.5) * 2
       )
         .normalize()
-        .multiplyScalar(Math.random() * 20 + 10);
-
-      // Simulation state lives in World; keep mesh userData for render-only handles.
-      const ring = loot.userData.ring;
-      const glow = loot.userData.glow;
-      const baseScale = loot.userData.baseScale;
-      loot.userData = { ring, glow, baseScale, entityId };
+        .multiplyScalar(g.rng.next() * 20 + 10);
 
       g.world.transform.set(entityId, {
-        x: loot.position.x,
-        y: loot.position.y,
-        z: loot.position.z,
+        x: pos.x,
+        y: pos.y,
+        z: pos.z,
         rx: 0,
         ry: 0,
         rz: 0,
-        sx: loot.scale.x,
-        sy: loot.scale.y,
-        sz: loot.scale.z
+        sx: baseScale.x,
+        sy: baseScale.y,
+        sz: baseScale.z
       });
       g.world.velocity.set(entityId, { x: sprayDir.x, y: sprayDir.y, z: sprayDir.z });
       g.world.lootMotion.set(entityId, {
         rotationSpeed: {
-          x: (Math.random() - 0.5) * 0.15,
-          y: (Math.random() - 0.5) * 0.15,
-          z: (Math.random() - 0.5) * 0.15
+          x: (g.rng.next() - 0.5) * 0.15,
+          y: (g.rng.next() - 0.5) * 0.15,
+          z: (g.rng.next() - 0.5) * 0.15
         },
-        driftOffset: Math.random() * 100,
-        floatBaseY: loot.position.y
+        driftOffset: g.rng.next() * 100,
+        floatBaseY: pos.y
       });
 
-      g.scene.add(loot);
+      if (g.scene) this.createLootMesh(entityId);
+      spawned.push(entityId);
     }
+    return spawned;
+  }
+
+  /**
+   * Binds a pooled loot mesh to a loot entity already seeded in `World`.
+   * @param {number} entityId
+   */
+  createLootMesh(entityId) {
+    const g = this.game;
+    const meta = g.world.loot.get(entityId);
+    const t = g.world.transform.get(entityId);
+    if (!meta || !t) return;
+    const res = getResource(meta.type);
+    const isGem = res.mesh === 'gem';
+
+    const loot = isGem ? this._acquireGemLoot(res.color) : this._acquireCoinLoot();
+    loot.position.set(t.x, t.y, t.z);
+    loot.rotation.set(t.rx, t.ry, t.rz);
+    loot.scale.set(t.sx, t.sy, t.sz);
+
+    // Simulation state lives in World; keep mesh userData for render-only handles.
+    const { ring, glow, light } = loot.userData;
+    loot.userData = { ring, glow, light, baseScale: isGem ? GEM_BASE_SCALE : COIN_BASE_SCALE, type: meta.type, mesh: res.mesh };
+    g.renderRegistry.bind(entityId, loot);
+
+    g.scene.add(loot);
   }
 
   releaseLoot(loot) {
     if (!loot) return;
-    const kind = loot.userData?.type;
+    const kind = loot.userData?.mesh;
     const entityId = loot.userData?.entityId;
     if (entityId) this.game.renderRegistry.unbind(entityId);
     loot.visible = false;
-    loot.userData = { ring: loot.userData?.ring, glow: loot.userData?.glow };
+    loot.userData = { ring: loot.userData?.ring, glow: loot.userData?.glow, light: loot.userData?.light };
 
     if (kind === 'gem') {
       if (this._gemLootPool.length < this._lootPoolLimit) this._gemLootPool.push(loot);
@@ -154,7 +190,10 @@ export class SpawnSystem {
   }
 
   _acquireFragment(obj) {
-    const srcMat = Array.isArray(obj.material) ? obj.material[0] : obj.material;
+    // Groups (enemy ships, glTF models) take the first material found inside.
+    let src = obj.material;
+    if (!src) obj.traverse((child) => { if (!src && child.material) src = child.material; });
+    const srcMat = Array.isArray(src) ? src[0] : src;
 
     const frag = this._fragmentPool.pop() ?? null;
     if (frag) {
@@ -168,23 +207,30 @@ export class SpawnSystem {
     return mesh;
   }
 
-  _acquireGemLoot() {
+  /**
+   * Gems and ores share one pool; each pickup is tinted with its resource colour.
+   * @param {number} color
+   */
+  _acquireGemLoot(color) {
     const g = this.game;
     const loot = this._gemLootPool.pop() ?? null;
     if (loot) {
       loot.visible = true;
       loot.scale.setScalar(2.0);
-      loot.material.color.setHex(0x00ffff);
-      loot.material.emissive.setHex(0x00ffff);
+      loot.material.color.setHex(color);
+      loot.material.emissive.setHex(color);
       loot.material.emissiveIntensity = 1.5;
       loot.material.metalness = 0.9;
       loot.material.roughness = 0.0;
+      loot.userData.glow.material.color.setHex(color);
+      loot.userData.ring.material.color.setHex(color);
+      loot.userData.light.color.setHex(color);
       return loot;
     }
 
     const mat = new THREE.MeshStandardMaterial({
-      color: 0x00ffff,
-      emissive: 0x00ffff,
+      color,
+      emissive: color,
       emissiveIntensity: 1.5,
       metalness: 0.9,
       roughness: 0.0
@@ -194,8 +240,8 @@ export class SpawnSystem {
 
     const glow = new THREE.Sprite(
       new THREE.SpriteMaterial({
-        map: g.vfx.createGlowTexture('#00ffff'),
-        color: 0x00ffff,
+        map: g.vfx.createGlowTexture('#ffffff'),
+        color,
         transparent: true,
         opacity: 0.8,
         blending: THREE.AdditiveBlending
@@ -207,7 +253,7 @@ export class SpawnSystem {
     const ring = new THREE.Mesh(
       new THREE.TorusGeometry(3.0, 0.03, 8, 64),
       new THREE.MeshBasicMaterial({
-        color: 0x00ffff,
+        color,
         transparent: true,
         opacity: 0.6,
         side: THREE.DoubleSide,
@@ -218,10 +264,10 @@ export class SpawnSystem {
     ring.rotation.x = Math.PI / 2;
     mesh.add(ring);
 
-    const light = new THREE.PointLight(0x00ffff, 5, 10);
+    const light = new THREE.PointLight(color, 5, 10);
     mesh.add(light);
 
-    mesh.userData = { ring, glow, baseScale: { x: 2.0, y: 2.0, z: 2.0 } };
+    mesh.userData = { ring, glow, light, baseScale: GEM_BASE_SCALE };
     return mesh;
   }
 
@@ -275,7 +321,7 @@ export class SpawnSystem {
     ring.rotation.x = Math.PI / 2;
     mesh.add(ring);
 
-    mesh.userData = { ring, glow, baseScale: { x: 1.5, y: 0.8, z: 2.5 } };
+    mesh.userData = { ring, glow, baseScale: COIN_BASE_SCALE };
     return mesh;
   }
 
@@ -0,0 +1,256 @@
+import * as THREE from 'three';
+import { formatComposition } from '../../resourceData.js';
+
+const TARGET_RANGE = 500;
+// Auto-lock cone, as `1 - dot(forward, dirToTarget)` (0 = dead ahead).
+const AUTO_LOCK_ANGLE = 0.25;
+// Auto locks survive leaving the cone this long; manual ones hold anywhere in range.
+const STICKY_GRACE_SEC = 1.5;
+// Locks drop beyond this multiple of `TARGET_RANGE` (a little slack so they don't flicker at the edge).
+const STICKY_RANGE_FACTOR = 1.2;
+// `targetType` cycles through types in this order; unknown types sort after.
+const TYPE_ORDER = ['enemy', 'wreck', 'asteroid', 'planet'];
+
+/**
+ * Owns `game.currentTargetEntityId`: automatic cone lock, sticky locks, manual cycling
+ * (next/previous/nearest/by type, driven by recorded input events) and the HUD target panel.
+ */
+export class TargetingSystem {
+  /**
+   * @param {import('../../game.js').Game} game
+   */
+  constructor(game) {
+    this.game = game;
+
+    /** True when the current target was picked by the player (not the auto cone). */
+    this.manual = false;
+    /** Sim seconds the current auto target has been outside the cone. */
+    this.outOfConeSec = 0;
+
+    // Scratch to avoid per-frame allocations.
+    this._playerPos = new THREE.Vector3();
+    this._playerQuat = new THREE.Quaternion();
+    this._forward = new THREE.Vector3();
+    this._dirToObj = new THREE.Vector3();
+    this._targetPos = new THREE.Vector3();
+    this._targetWorldPos = new THREE.Vector3();
+    /** @type {number[]} */
+    this._candidates = [];
+    /** @type {Array<{ entityId: number, angle: number, dist: number, type: string }>} */
+    this._ranked = [];
+  }
+
+  /**
+   * @param {number} dtSec
+   * @param {number} nowSec
+   */
+  update(dtSec, nowSec) {
+    void nowSec;
+    this.updateTargetLock(dtSec);
+    this.updateHud();
+  }
+
+  /**
+   * Keeps the current target while it stays valid (sticky), otherwise auto-locks the best-aligned object in the cone.
+   * @param {number} dtSec
+   */
+  updateTargetLock(dtSec) {
+    const g = this.game;
+    if (!this._readPlayer()) return;
+
+    const current = g.currentTargetEntityId;
+    if (current != null && !this._keepTarget(current, dtSec)) this.clearTarget();
+    if (g.currentTargetEntityId != null) return;
+
+    let bestTargetEntityId = null;
+    let bestAngle = AUTO_LOCK_ANGLE;
+
+    this._candidates.length = 0;
+    g.spatial.objects.queryCone(this._playerPos, this._forward, TARGET_RANGE, 1 - bestAngle, this._candidates);
+
+    for (const entityId of this._candidates) {
+      const info = this._measure(entityId);
+      if (!info || info.dist > TARGET_RANGE) continue;
+      if (info.angle < bestAngle) {
+        bestAngle = info.angle;
+        bestTargetEntityId = entityId;
+      }
+    }
+
+    g.currentTargetEntityId = bestTargetEntityId;
+    this.manual = false;
+    this.outOfConeSec = 0;
+  }
+
+  /**
+   * @param {number} entityId
+   * @param {number} dtSec
+   * @returns {boolean}
+   */
+  _keepTarget(entityId, dtSec) {
+    const info = this._measure(entityId);
+    if (!info || info.dist > TARGET_RANGE * STICKY_RANGE_FACTOR) return false;
+    if (this.manual) return true;
+    if (info.angle <= AUTO_LOCK_ANGLE) {
+      this.outOfConeSec = 0;
+      return true;
+    }
+    this.outOfConeSec += dtSec;
+    return this.outOfConeSec <= STICKY_GRACE_SEC;
+  }
+
+  clearTarget() {
+    this.game.currentTargetEntityId = null;
+    this.manual = false;
+    this.outOfConeSec = 0;
+  }
+
+  /**
+   * Steps through targets in range ordered by angle off the nose (most centred first).
+   * @param {1|-1} dir
+   */
+  cycleTarget(dir) {
+    const ranked = this._rankTargets();
+    if (!ranked.length) return;
+    const idx = ranked.findIndex((r) => r.entityId === this.game.currentTargetEntityId);
+    const next = idx < 0 ? (dir > 0 ? 0 : ranked.length - 1) : (idx + dir + ranked.length) % ranked.length;
+    this._select(ranked[next].entityId);
+  }
+
+  targetNearest() {
+    let best = null;
+    for (const r of this._rankTargets()) {
+      if (!best || r.dist < best.dist) best = r;
+    }
+    if (best) this._select(best.entityId);
+  }
+
+  /**
+   * Jumps to the nearest target of the next type present in range (enemy -> asteroid -> planet -> ...).
+   */
+  cycleTargetType() {
+    const g = this.game;
+    const ranked = this._rankTargets();
+    if (!ranked.length) return;
+    const types = [...new Set(ranked.map((r) => r.type))].sort((a, b) => typeRank(a) - typeRank(b));
+    const currentType = g.currentTargetEntityId != null ? g.world.objectMeta.get(g.currentTargetEntityId)?.type : null;
+    const typeIdx = currentType ? types.indexOf(currentType) : -1;
+    const nextType = types[(typeIdx + 1) % types.length];
+
+    let best = null;
+    for (const r of ranked) {
+      if (r.type === nextType && (!best || r.dist < best.dist)) best = r;
+    }
+    if (best) this._select(best.entityId);
+  }
+
+  /**
+   * @param {number} entityId
+   */
+  _select(entityId) {
+    const g = this.game;
+    if (entityId === g.currentTargetEntityId && this.manual) return;
+    g.currentTargetEntityId = entityId;
+    this.manual = true;
+    this.outOfConeSec = 0;
+    g.soundManager.playTargetSelect();
+  }
+
+  /**
+   * Every object in `TARGET_RANGE`, sorted by angle off the nose (ties by id so cycling is stable).
+   * @returns {Array<{ entityId: number, angle: number, dist: number, type: string }>}
+   */
+  _rankTargets() {
+    const g = this.game;
+    this._ranked.length = 0;
+    if (!this._readPlayer()) return this._ranked;
+
+    this._candidates.length = 0;
+    g.spatial.objects.queryRadius(this._playerPos.x, this._playerPos.y, this._playerPos.z, TARGET_RANGE, this._candidates);
+    for (const entityId of this._candidates) {
+      const info = this._measure(entityId);
+      if (!info || info.dist > TARGET_RANGE) continue;
+      this._ranked.push({ entityId, angle: info.angle, dist: info.dist, type: info.type });
+    }
+    this._ranked.sort((a, b) => a.angle - b.angle || a.entityId - b.entityId);
+    return this._ranked;
+  }
+
+  /**
+   * @returns {boolean} false without a player transform
+   */
+  _readPlayer() {
+    const g = this.game;
+    if (!g.playerEntityId) return false;
+    const pt = g.world.transform.get(g.playerEntityId);
+    const prq = g.world.rotationQuat.get(g.playerEntityId);
+    if (!pt || !prq) return false;
+    this._playerPos.set(pt.x, pt.y, pt.z);
+    this._playerQuat.set(prq.x, prq.y, prq.z, prq.w);
+    this._forward.set(0, 0, 1).applyQuaternion(this._playerQuat).normalize();
+    return true;
+  }
+
+  /**
+   * Distance/angle from the player (call `_readPlayer()` first).
+   * @param {number} entityId
+   * @returns {{ dist: number, angle: number, type: string } | null} null if it is not a live object
+   */
+  _measure(entityId) {
+    const g = this.game;
+    const meta = g.world.objectMeta.get(entityId);
+    const t = g.world.transform.get(entityId);
+    if (!meta || !t) return null;
+    this._dirToObj.set(t.x - this._playerPos.x, t.y - this._playerPos.y, t.z - this._playerPos.z);
+    const dist = this._dirToObj.length();
+    if (dist === 0) return { dist, angle: 0, type: meta.type };
+    this._dirToObj.divideScalar(dist);
+    return { dist, angle: 1 - this._forward.dot(this._dirToObj), type: meta.type }; // angle 0 = perfectly aligned
+  }
+
+  updateHud() {
+    const g = this.game;
+    if (!g.hud) return;
+    const entityId = g.currentTargetEntityId;
+    const meta = entityId != null ? g.world.objectMeta.get(entityId) : null;
+    const t = entityId != null ? g.world.transform.get(entityId) : null;
+
+    if (!meta || !t) {
+      g.hud.setTargetInfo(null);
+    } else {
+      const h = g.world.getHealth(entityId);
+      g.hud.setTargetInfo({
+        type: meta.type,
+        distance: Math.hypot(t.x - this._playerPos.x, t.y - this._playerPos.y, t.z - this._playerPos.z),
+        hp: h ? h.hp : 0,
+        maxHp: h ? h.maxHp : 0,
+        lootValue: meta.lootValue,
+        ore: meta.ore ? formatComposition(meta.ore) : '',
+        manual: this.manual
+      });
+    }
+
+    if (!g.camera) return;
+    if (t) {
+      g.hud.crosshairSetLocked(true);
+      this._targetWorldPos.set(t.x, t.y, t.z);
+      this._targetPos.copy(this._targetWorldPos).project(g.camera);
+      const x = (this._targetPos.x * 0.5 + 0.5) * window.innerWidth;
+      const y = (this._targetPos.y * -0.5 + 0.5) * window.innerHeight;
+      g.hud.crosshairSetScreenPos(x, y);
+      g.hud.crosshairSetLockedTransform();
+    } else {
+      g.hud.crosshairSetLocked(false);
+      g.hud.crosshairResetToCenter();
+    }
+  }
+}
+
+/**
+ * @param {string} type
+ * @returns {number}
+ */
+function typeRank(type) {
+  const idx = TYPE_ORDER.indexOf(type);
+  return idx < 0 ? TYPE_ORDER.length : idx;
+}
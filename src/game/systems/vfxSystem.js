@@ -24,11 +24,14 @@ export class VfxSystem {
     this._fireballPool = [];
     /** @type {THREE.Mesh[]} */
     this._hitSparkPool = [];
+    /** @type {THREE.Mesh[]} */
+    this._muzzleFlashPool = [];
 
     this._smokePoolLimit = 800;
     this._sparkPoolLimit = 2000;
     this._fireballPoolLimit = 400;
     this._hitSparkPoolLimit = 600;
+    this._muzzleFlashPoolLimit = 20;
 
     this._smokeGeo = new THREE.SphereGeometry(1, 4, 4); // scaled per instance
     this._sparkGeo = new THREE.BoxGeometry(1, 1, 1); // scaled per instance
@@ -70,9 +73,9 @@ export class VfxSystem {
 
     // Random scatter (wider spread when boosting)
     const spread = isBoosting ? 0.3 : 0.15;
-    p.position.x += (Math.random() - 0.5) * spread;
-    p.position.y += (Math.random() - 0.5) * spread;
-    p.position.z += (Math.random() - 0.5) * spread;
+    p.position.x += (g.fxRng.next() - 0.5) * spread;
+    p.position.y += (g.fxRng.next() - 0.5) * spread;
+    p.position.z += (g.fxRng.next() - 0.5) * spread;
 
     p.userData = {
       life,
@@ -148,11 +151,11 @@ export class VfxSystem {
     fireball.position.copy(position);
     fireball.scale.setScalar(size);
 
-    const initialLife = 40 + Math.random() * 40;
+    const initialLife = 40 + g.fxRng.next() * 40;
     fireball.userData = {
       isFireball: true,
       velocity: new THREE.Vector3(0, 0, 0),
-      expandSpeed: 1.02 + Math.random() * 0.03,
+      expandSpeed: 1.02 + g.fxRng.next() * 0.03,
       life: initialLife,
       initialLife,
       _poolKind: 'fireball'
@@ -190,7 +193,7 @@ export class VfxSystem {
 
     spark.position.copy(position);
     spark.scale.setScalar(size);
-    spark.userData = { life: 15 + Math.random() * 20, _poolKind: 'spark', velocity: new THREE.Vector3(0, 0, 0) };
+    spark.userData = { life: 15 + g.fxRng.next() * 20, _poolKind: 'spark', velocity: new THREE.Vector3(0, 0, 0) };
 
     g.scene.add(spark);
     g.particles.push(spark);
@@ -224,11 +227,11 @@ export class VfxSystem {
     s.scale.setScalar(0.03);
     s.userData = {
       velocity: new THREE.Vector3(
-        (Math.random() - 0.5) * 1.5,
-        (Math.random() - 0.5) * 1.5,
-        (Math.random() - 0.5) * 1.5
+        (g.fxRng.next() - 0.5) * 1.5,
+        (g.fxRng.next() - 0.5) * 1.5,
+        (g.fxRng.next() - 0.5) * 1.5
       ),
-      life: 8 + Math.random() * 8,
+      life: 8 + g.fxRng.next() * 8,
       _poolKind: 'hitSpark'
     };
 
@@ -236,6 +239,36 @@ export class VfxSystem {
     g.particles.push(s);
   }
 
+  /**
+   * Short-lived muzzle flash at the firing point (~50ms at 60Hz).
+   * @param {THREE.Vector3} position
+   */
+  spawnMuzzleFlash(position) {
+    const g = this.game;
+    if (!g.particles) g.particles = [];
+
+    let flash = this._muzzleFlashPool.pop() ?? null;
+    if (!flash) {
+      flash = new THREE.Mesh(
+        this._fireballGeo,
+        new THREE.MeshBasicMaterial({
+          color: 0xffffff,
+          transparent: true,
+          opacity: 0.8
+        })
+      );
+    } else {
+      flash.visible = true;
+    }
+
+    flash.position.copy(position);
+    flash.scale.setScalar(0.5);
+    flash.userData = { life: 3, _poolKind: 'muzzleFlash' };
+
+    g.scene.add(flash);
+    g.particles.push(flash);
+  }
+
   /**
    * Updates particle simulation (fragments, smoke, shockwaves, fireballs, engine trails).
    * @param {number} dtSec
@@ -262,7 +295,7 @@ export class VfxSystem {
         p.userData.velocity.multiplyScalar(Math.pow(0.98, k));
 
         // Smoke trail for debris.
-        if (Math.random() > 0.7) {
+        if (g.fxRng.next() > 0.7) {
           this.spawnSmoke(p.position, p.scale.x * 0.5);
         }
       } else if (p.userData.isSmoke) {
@@ -331,6 +364,12 @@ export class VfxSystem {
             p.userData = {};
             this._hitSparkPool.push(p);
           }
+        } else if (kind === 'muzzleFlash') {
+          if (this._muzzleFlashPool.length < this._muzzleFlashPoolLimit) {
+            p.visible = false;
+            p.userData = {};
+            this._muzzleFlashPool.push(p);
+          }
         }
       }
     }
@@ -408,12 +447,12 @@ export class VfxSystem {
     // 2. Fireballs
     const fireballCount = isPlanet ? 25 : 5;
     for (let i = 0; i < fireballCount; i++) {
-      const color = isPlanet ? (Math.random() > 0.5 ? 0xff0000 : 0xffaa00) : 0xffffff;
+      const color = isPlanet ? (g.fxRng.next() > 0.5 ? 0xff0000 : 0xffaa00) : 0xffffff;
       const radius = size * (isPlanet ? 0.3 : 0.2);
       const fireball = this.spawnFireball(position, radius, color, true);
 
-      const dir = new THREE.Vector3((Math.random() - 0.5), (Math.random() - 0.5), (Math.random() - 0.5)).normalize();
-      fireball.userData.velocity.copy(dir).multiplyScalar(Math.random() * size * (isPlanet ? 0.1 : 0.3));
+      const dir = new THREE.Vector3((g.fxRng.next() - 0.5), (g.fxRng.next() - 0.5), (g.fxRng.next() - 0.5)).normalize();
+      fireball.userData.velocity.copy(dir).multiplyScalar(g.fxRng.next() * size * (isPlanet ? 0.1 : 0.3));
     }
 
     // 3. High Velocity Sparks
@@ -423,9 +462,9 @@ export class VfxSystem {
       const sparkColor = isPlanet ? 0xff8800 : 0xffdd44;
       const p = this.spawnSpark(position, sparkSize, sparkColor);
       p.userData.velocity.set(
-        (Math.random() - 0.5) * size * (isPlanet ? 1.5 : 2.5),
-        (Math.random() - 0.5) * size * (isPlanet ? 1.5 : 2.5),
-        (Math.random() - 0.5) * size * (isPlanet ? 1.5 : 2.5)
+        (g.fxRng.next() - 0.5) * size * (isPlanet ? 1.5 : 2.5),
+        (g.fxRng.next() - 0.5) * size * (isPlanet ? 1.5 : 2.5),
+        (g.fxRng.next() - 0.5) * size * (isPlanet ? 1.5 : 2.5)
       );
     }
   }
@@ -442,6 +481,6 @@ export class VfxSystem {
     }
 
     if (g.hud) g.hud.crosshairPulseHit();
-    g.cameraShake = 0.3;
+    g.shakeCamera(0.3);
   }
 }
@@ -0,0 +1,234 @@
+import { Rng } from '../../core/rng.js';
+import { HOME_FIELD, fieldArchetypes, fieldLootValue, getField, pickWeighted } from '../../asteroidFieldData.js';
+import { compositionHardness, rollComposition } from '../../resourceData.js';
+
+/** Edge length of a cubic sector chunk (world units). */
+export const CHUNK_SIZE = 1000;
+/** Regions (one field archetype each, see `asteroidFieldData.js`) are this many chunks per side. */
+export const REGION_CHUNKS = 4;
+// Chunks this close to the base station's (on every axis) are always `HOME_FIELD`.
+const HOME_RADIUS = 1;
+
+// About one planet per 27 chunks outside ring fields, as the old 8 planets in a 6000-unit cube.
+const PLANET_CHANCE = 0.04;
+
+// Belts: a band through the middle of the chunk along the region's axis (half-width across, half-thickness up).
+const BELT_HALF_WIDTH = 200;
+const BELT_HALF_THICKNESS = 60;
+// Rings: between these multiples of the planet's radius, tilted up to `RING_MAX_TILT` radians.
+const RING_INNER = 1.6;
+const RING_OUTER = 2.4;
+const RING_MAX_TILT = 0.4;
+// Debris clouds: a ball this size somewhere in the chunk, around a derelict hull of radius `WRECK_SCALE` that the
+// debris keeps clear of.
+const CLOUD_RADIUS = 180;
+const WRECK_SCALE = 18;
+const WRECK_CLEARANCE = WRECK_SCALE * 1.5;
+
+// Keep the area around the base station clear.
+const ASTEROID_BASE_CLEARANCE = 150;
+const PLANET_BASE_CLEARANCE = 300;
+
+/**
+ * @typedef {{ x: number, y: number, z: number, rx: number, ry: number, rz: number, sx: number, sy: number, sz: number }} Transform
+ * @typedef {{ type: 'asteroid'|'planet'|'wreck', field?: string, ore?: Record<string, number>, hp: number, lootValue: number, transform: Transform, spin: { x: number, y: number, z: number } }} ChunkObject
+ */
+
+/**
+ * @param {number} cx
+ * @param {number} cy
+ * @param {number} cz
+ * @returns {string}
+ */
+export function chunkKey(cx, cy, cz) {
+  return `${cx},${cy},${cz}`;
+}
+
+/**
+ * @param {string} key from `chunkKey()`
+ * @returns {{ cx: number, cy: number, cz: number }}
+ */
+export function parseChunkKey(key) {
+  const [cx, cy, cz] = key.split(',').map(Number);
+  return { cx, cy, cz };
+}
+
+/**
+ * Chunk coordinate containing a world coordinate (same on every axis).
+ * @param {number} v
+ * @returns {number}
+ */
+export function chunkCoord(v) {
+  return Math.floor(v / CHUNK_SIZE);
+}
+
+/**
+ * Field archetype of a region and the axis its belts run along. Pure, like `generateChunk()`.
+ * @param {string} seed
+ * @param {number} rx
+ * @param {number} ry
+ * @param {number} rz
+ * @returns {{ field: typeof fieldArchetypes[keyof typeof fieldArchetypes], beltAxis: 'x'|'z' }}
+ */
+export function regionField(seed, rx, ry, rz) {
+  const rng = new Rng(`${seed}:region:${chunkKey(rx, ry, rz)}`);
+  const field = pickWeighted(Object.values(fieldArchetypes), rng.next());
+  return { field, beltAxis: rng.next() < 0.5 ? 'x' : 'z' };
+}
+
+/**
+ * Field archetype a chunk is generated with (its region's, or `HOME_FIELD` next to the base).
+ * @param {string} seed
+ * @param {number} cx
+ * @param {number} cy
+ * @param {number} cz
+ * @param {{ x: number, y: number, z: number } | null} [base]
+ * @returns {{ field: typeof fieldArchetypes[keyof typeof fieldArchetypes], beltAxis: 'x'|'z' }}
+ */
+export function chunkField(seed, cx, cy, cz, base = null) {
+  const region = regionField(
+    seed,
+    Math.floor(cx / REGION_CHUNKS),
+    Math.floor(cy / REGION_CHUNKS),
+    Math.floor(cz / REGION_CHUNKS)
+  );
+  if (!base) return region;
+  const home = Math.max(
+    Math.abs(cx - chunkCoord(base.x)),
+    Math.abs(cy - chunkCoord(base.y)),
+    Math.abs(cz - chunkCoord(base.z))
+  );
+  return home <= HOME_RADIUS ? { field: getField(HOME_FIELD), beltAxis: 'x' } : region;
+}
+
+/**
+ * Objects in one chunk, laid out by the chunk's field archetype. Pure: the same seed and coordinates always give the
+ * same list in the same order, whatever else has been generated, so a chunk that streams out and back in (or loads
+ * in a replay) comes back identical. An object's index in the list is its stable id within the chunk.
+ * @param {string} seed sector seed
+ * @param {number} cx
+ * @param {number} cy
+ * @param {number} cz
+ * @param {{ x: number, y: number, z: number } | null} [base] base station position to keep clear
+ * @returns {ChunkObject[]}
+ */
+export function generateChunk(seed, cx, cy, cz, base = null) {
+  const rng = new Rng(`${seed}:chunk:${chunkKey(cx, cy, cz)}`);
+  const { field, beltAxis } = chunkField(seed, cx, cy, cz, base);
+  const origin = { x: cx * CHUNK_SIZE, y: cy * CHUNK_SIZE, z: cz * CHUNK_SIZE };
+  const center = { x: origin.x + CHUNK_SIZE / 2, y: origin.y + CHUNK_SIZE / 2, z: origin.z + CHUNK_SIZE / 2 };
+  const randomPos = (margin = 0) => ({
+    x: origin.x + margin + rng.next() * (CHUNK_SIZE - margin * 2),
+    y: origin.y + margin + rng.next() * (CHUNK_SIZE - margin * 2),
+    z: origin.z + margin + rng.next() * (CHUNK_SIZE - margin * 2)
+  });
+  const distToBase = (p) => (base ? Math.hypot(p.x - base.x, p.y - base.y, p.z - base.z) : Infinity);
+  const planet = (pos, scale) => ({
+    type: 'planet',
+    hp: 500,
+    lootValue: 1000,
+    transform: { ...pos, rx: 0, ry: 0, rz: 0, sx: scale, sy: scale, sz: scale },
+    spin: { x: 0, y: 0.001, z: 0 }
+  });
+
+  /** @type {ChunkObject[]} */
+  const objects = [];
+
+  // Rings need their planet (first in the list); too close to the base they scatter instead.
+  let layout = field.layout;
+  let ring = null;
+  if (layout === 'ring') {
+    const scale = 80 + rng.next() * 60;
+    const pos = {
+      x: center.x + (rng.next() - 0.5) * 200,
+      y: center.y + (rng.next() - 0.5) * 200,
+      z: center.z + (rng.next() - 0.5) * 200
+    };
+    const tilt = (rng.next() - 0.5) * 2 * RING_MAX_TILT;
+    if (distToBase(pos) >= scale * RING_OUTER + PLANET_BASE_CLEARANCE) {
+      objects.push(planet(pos, scale));
+      ring = { pos, scale, cos: Math.cos(tilt), sin: Math.sin(tilt) };
+    } else {
+      layout = 'scatter';
+    }
+  }
+  const cloudCenter = layout === 'cloud' ? randomPos(CLOUD_RADIUS) : null;
+
+  const asteroidCount = field.count[0] + rng.int(field.count[1] - field.count[0] + 1);
+  for (let i = 0; i < asteroidCount; i++) {
+    const scale = field.scale[0] + (field.scale[1] - field.scale[0]) * rng.next() ** field.scaleBias;
+    let pos;
+    if (layout === 'belt') {
+      const along = rng.next() * CHUNK_SIZE;
+      const across = (rng.next() + rng.next() - 1) * BELT_HALF_WIDTH;
+      const up = (rng.next() + rng.next() - 1) * BELT_HALF_THICKNESS;
+      pos = beltAxis === 'x'
+        ? { x: origin.x + along, y: center.y + up, z: center.z + across }
+        : { x: center.x + across, y: center.y + up, z: origin.z + along };
+    } else if (layout === 'ring') {
+      const angle = rng.next() * Math.PI * 2;
+      const radius = ring.scale * (RING_INNER + rng.next() * (RING_OUTER - RING_INNER));
+      const x = Math.cos(angle) * radius;
+      const y = (rng.next() - 0.5) * 10;
+      const z = Math.sin(angle) * radius;
+      pos = { x: ring.pos.x + x, y: ring.pos.y + y * ring.cos - z * ring.sin, z: ring.pos.z + y * ring.sin + z * ring.cos };
+    } else if (layout === 'cloud') {
+      // Uniform in a ball, outside the wreck at its centre
+      const u = rng.next() * 2 - 1;
+      const phi = rng.next() * Math.PI * 2;
+      const r = Math.max(WRECK_CLEARANCE, CLOUD_RADIUS * Math.cbrt(rng.next()));
+      const h = Math.sqrt(1 - u * u);
+      pos = { x: cloudCenter.x + r * h * Math.cos(phi), y: cloudCenter.y + r * u, z: cloudCenter.z + r * h * Math.sin(phi) };
+    } else {
+      pos = randomPos();
+    }
+    const rot = { x: rng.next() * Math.PI, y: rng.next() * Math.PI, z: rng.next() * Math.PI };
+    const spin = {
+      x: (rng.next() - 0.5) * 2 * field.spin,
+      y: (rng.next() - 0.5) * 2 * field.spin,
+      z: (rng.next() - 0.5) * 2 * field.spin
+    };
+
+    const ore = rollComposition(field.ore, () => rng.next());
+
+    // Don't place near base
+    if (distToBase(pos) < ASTEROID_BASE_CLEARANCE) pos.x += ASTEROID_BASE_CLEARANCE * 2;
+
+    objects.push({
+      type: 'asteroid',
+      field: field.id,
+      ore,
+      hp: (field.hp.base + field.hp.perScale * scale) * compositionHardness(ore),
+      lootValue: fieldLootValue(field, scale, ore),
+      transform: { ...pos, rx: rot.x, ry: rot.y, rz: rot.z, sx: scale, sy: scale, sz: scale },
+      spin
+    });
+  }
+
+  if (!ring && rng.next() < PLANET_CHANCE) {
+    const scale = 80 + rng.next() * 120;
+    const pos = randomPos();
+    if (distToBase(pos) >= scale + PLANET_BASE_CLEARANCE) objects.push(planet(pos, scale));
+  }
+
+  // The cloud's wreck goes last (unlike a ring's planet) so chunks saved before wrecks keep their object indices.
+  if (cloudCenter) {
+    objects.push({
+      type: 'wreck',
+      hp: 300,
+      lootValue: 400,
+      transform: {
+        ...cloudCenter,
+        rx: rng.next() * Math.PI,
+        ry: rng.next() * Math.PI,
+        rz: rng.next() * Math.PI,
+        sx: WRECK_SCALE,
+        sy: WRECK_SCALE,
+        sz: WRECK_SCALE
+      },
+      spin: { x: 0, y: 0.0005, z: 0.0003 }
+    });
+  }
+
+  return objects;
+}
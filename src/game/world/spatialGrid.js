@@ -0,0 +1,251 @@
+// Cell coords are packed into one integer key: 17 bits per axis (+/- 65536 cells) stays exact in a double.
+const AXIS_OFFSET = 65536;
+const AXIS_SPAN = 131072;
+
+/**
+ * @param {number} ix
+ * @param {number} iy
+ * @param {number} iz
+ * @returns {number}
+ */
+function cellKey(ix, iy, iz) {
+  return ((ix + AXIS_OFFSET) * AXIS_SPAN + (iy + AXIS_OFFSET)) * AXIS_SPAN + (iz + AXIS_OFFSET);
+}
+
+/**
+ * Uniform-grid spatial index over bounding spheres.
+ * Entities are bucketed into every cell their sphere overlaps, so point/radius queries only touch nearby cells.
+ * Results are candidates from the last `set()`; callers re-check against live `World.transform`.
+ */
+export class SpatialGrid {
+  /**
+   * @param {number} [cellSize] world units per cell edge
+   */
+  constructor(cellSize = 100) {
+    this.cellSize = cellSize;
+    this._invCell = 1 / cellSize;
+
+    /** @type {Map<number, Set<number>>} */
+    this._cells = new Map();
+
+    /**
+     * @type {Map<number, { x: number, y: number, z: number, r: number, minX: number, minY: number, minZ: number, maxX: number, maxY: number, maxZ: number, stamp: number }>}
+     */
+    this._entries = new Map();
+    this._queryStamp = 0;
+  }
+
+  get size() {
+    return this._entries.size;
+  }
+
+  /**
+   * @param {number} entityId
+   * @returns {boolean}
+   */
+  has(entityId) {
+    return this._entries.has(entityId);
+  }
+
+  /** @returns {IterableIterator<number>} */
+  ids() {
+    return this._entries.keys();
+  }
+
+  /**
+   * Inserts or moves an entity. Only re-buckets when its cell range changes.
+   * @param {number} entityId
+   * @param {number} x
+   * @param {number} y
+   * @param {number} z
+   * @param {number} radius
+   */
+  set(entityId, x, y, z, radius) {
+    const inv = this._invCell;
+    const minX = Math.floor((x - radius) * inv);
+    const minY = Math.floor((y - radius) * inv);
+    const minZ = Math.floor((z - radius) * inv);
+    const maxX = Math.floor((x + radius) * inv);
+    const maxY = Math.floor((y + radius) * inv);
+    const maxZ = Math.floor((z + radius) * inv);
+
+    let e = this._entries.get(entityId);
+    if (e) {
+      e.x = x;
+      e.y = y;
+      e.z = z;
+      e.r = radius;
+      if (
+        e.minX === minX && e.minY === minY && e.minZ === minZ &&
+        e.maxX === maxX && e.maxY === maxY && e.maxZ === maxZ
+      ) {
+        return;
+      }
+      this._unbucket(entityId, e);
+    } else {
+      e = { x, y, z, r: radius, minX, minY, minZ, maxX, maxY, maxZ, stamp: 0 };
+      this._entries.set(entityId, e);
+    }
+
+    e.minX = minX;
+    e.minY = minY;
+    e.minZ = minZ;
+    e.maxX = maxX;
+    e.maxY = maxY;
+    e.maxZ = maxZ;
+    for (let ix = minX; ix <= maxX; ix++) {
+      for (let iy = minY; iy <= maxY; iy++) {
+        for (let iz = minZ; iz <= maxZ; iz++) {
+          const key = cellKey(ix, iy, iz);
+          let cell = this._cells.get(key);
+          if (!cell) {
+            cell = new Set();
+            this._cells.set(key, cell);
+          }
+          cell.add(entityId);
+        }
+      }
+    }
+  }
+
+  /**
+   * @param {number} entityId
+   */
+  remove(entityId) {
+    const e = this._entries.get(entityId);
+    if (!e) return;
+    this._unbucket(entityId, e);
+    this._entries.delete(entityId);
+  }
+
+  clear() {
+    this._cells.clear();
+    this._entries.clear();
+  }
+
+  /**
+   * Entities whose sphere contains the point.
+   * @param {number} x
+   * @param {number} y
+   * @param {number} z
+   * @param {number[]} [out]
+   * @returns {number[]}
+   */
+  queryPoint(x, y, z, out = []) {
+    const inv = this._invCell;
+    const cell = this._cells.get(cellKey(Math.floor(x * inv), Math.floor(y * inv), Math.floor(z * inv)));
+    if (!cell) return out;
+    for (const id of cell) {
+      const e = this._entries.get(id);
+      const dx = x - e.x;
+      const dy = y - e.y;
+      const dz = z - e.z;
+      if (dx * dx + dy * dy + dz * dz <= e.r * e.r) out.push(id);
+    }
+    return out;
+  }
+
+  /**
+   * Entities whose sphere overlaps the query sphere.
+   * @param {number} x
+   * @param {number} y
+   * @param {number} z
+   * @param {number} radius
+   * @param {number[]} [out]
+   * @returns {number[]}
+   */
+  queryRadius(x, y, z, radius, out = []) {
+    this._forEachNear(x, y, z, radius, (id, e) => {
+      const dx = x - e.x;
+      const dy = y - e.y;
+      const dz = z - e.z;
+      const reach = radius + e.r;
+      if (dx * dx + dy * dy + dz * dz <= reach * reach) out.push(id);
+    });
+    return out;
+  }
+
+  /**
+   * Entities whose center lies within `maxDist` of the origin and inside the cone around `dir`
+   * (`dot(dir, toCenter) >= minDot`; `dir` must be normalized).
+   * @param {{ x: number, y: number, z: number }} origin
+   * @param {{ x: number, y: number, z: number }} dir
+   * @param {number} maxDist
+   * @param {number} minDot
+   * @param {number[]} [out]
+   * @returns {number[]}
+   */
+  queryCone(origin, dir, maxDist, minDot, out = []) {
+    const maxDist2 = maxDist * maxDist;
+    this._forEachNear(origin.x, origin.y, origin.z, maxDist, (id, e) => {
+      const dx = e.x - origin.x;
+      const dy = e.y - origin.y;
+      const dz = e.z - origin.z;
+      const dist2 = dx * dx + dy * dy + dz * dz;
+      if (dist2 > maxDist2) return;
+      const dist = Math.sqrt(dist2);
+      if (dist === 0) return;
+      if ((dx * dir.x + dy * dir.y + dz * dir.z) / dist >= minDot) out.push(id);
+    });
+    return out;
+  }
+
+  /**
+   * Visits each entity bucketed in cells overlapping the query box once.
+   * Falls back to a scan of all entries when the box covers more cells than there are entries.
+   * @param {number} x
+   * @param {number} y
+   * @param {number} z
+   * @param {number} radius
+   * @param {(id: number, e: { x: number, y: number, z: number, r: number }) => void} visit
+   */
+  _forEachNear(x, y, z, radius, visit) {
+    const inv = this._invCell;
+    const minX = Math.floor((x - radius) * inv);
+    const minY = Math.floor((y - radius) * inv);
+    const minZ = Math.floor((z - radius) * inv);
+    const maxX = Math.floor((x + radius) * inv);
+    const maxY = Math.floor((y + radius) * inv);
+    const maxZ = Math.floor((z + radius) * inv);
+
+    const cellCount = (maxX - minX + 1) * (maxY - minY + 1) * (maxZ - minZ + 1);
+    if (cellCount > this._entries.size) {
+      for (const [id, e] of this._entries) visit(id, e);
+      return;
+    }
+
+    const stamp = ++this._queryStamp;
+    for (let ix = minX; ix <= maxX; ix++) {
+      for (let iy = minY; iy <= maxY; iy++) {
+        for (let iz = minZ; iz <= maxZ; iz++) {
+          const cell = this._cells.get(cellKey(ix, iy, iz));
+          if (!cell) continue;
+          for (const id of cell) {
+            const e = this._entries.get(id);
+            if (e.stamp === stamp) continue;
+            e.stamp = stamp;
+            visit(id, e);
+          }
+        }
+      }
+    }
+  }
+
+  /**
+   * @param {number} entityId
+   * @param {{ minX: number, minY: number, minZ: number, maxX: number, maxY: number, maxZ: number }} e
+   */
+  _unbucket(entityId, e) {
+    for (let ix = e.minX; ix <= e.maxX; ix++) {
+      for (let iy = e.minY; iy <= e.maxY; iy++) {
+        for (let iz = e.minZ; iz <= e.maxZ; iz++) {
+          const key = cellKey(ix, iy, iz);
+          const cell = this._cells.get(key);
+          if (!cell) continue;
+          cell.delete(entityId);
+          if (cell.size === 0) this._cells.delete(key);
+        }
+      }
+    }
+  }
+}
@@ -1,3 +1,23 @@
+/**
+ * Component map names on `World`. Snapshots and `removeEntity` iterate this list, so a new component only
+ * needs to be added here (plus a save migration if old data must be converted).
+ */
+export const WORLD_COMPONENTS = [
+  'objectMeta',
+  'health',
+  'loot',
+  'transform',
+  'velocity',
+  'rotationQuat',
+  'lootMotion',
+  'spin',
+  'projectile',
+  'ai',
+  'shield',
+  'sectorChunk',
+  'inventory'
+];
+
 /**
  * Minimal world state container (simulation data).
  * Goal: progressively move "truth" from Three.js meshes into this layer.
@@ -7,16 +27,25 @@ export class World {
     /** @type {number} */
     this._nextId = 1;
 
+    /** Bumped when state is replaced wholesale (`loadSnapshot`) so derived caches know to rebuild. */
+    this.generation = 0;
+
     /** @type {Set<number>} */
     this.entities = new Set();
 
-    /** @type {Map<number, { type: string, lootValue: number }>} */
+    /**
+     * Streamed asteroids also carry `field` (archetype id, `asteroidFieldData.js`) and `ore` (resource id -> share).
+     * @type {Map<number, { type: string, lootValue: number, field?: string, ore?: Record<string, number> }>}
+     */
     this.objectMeta = new Map();
 
     /** @type {Map<number, { hp: number, maxHp: number }>} */
     this.health = new Map();
 
-    /** @type {Map<number, { type: string, value: number }>} */
+    /**
+     * Jettisoned cargo can't be picked up again until sim time `pickupAfterSec`.
+     * @type {Map<number, { type: string, value: number, pickupAfterSec?: number }>}
+     */
     this.loot = new Map();
 
     /**
@@ -46,6 +75,44 @@ export class World {
      * @type {Map<number, { x: number, y: number, z: number }>}
      */
     this.spin = new Map();
+
+    /**
+     * Projectile sim params. Position/velocity live in `transform`/`velocity` (per-tick units).
+     * `ownerId` is the firing entity (never hit by its own shots); `life` counts down in ticks.
+     * Player shots carry their `weapon` id (falloff by `traveled` distance, homing towards `targetId`).
+     * @type {Map<number, { ownerId: number|null, damage: number, life: number, weapon?: string|null, targetId?: number|null, traveled?: number }>}
+     */
+    this.projectile = new Map();
+
+    /**
+     * Hostile ship brain (see `AiSystem`). Ships are also `objectMeta` (type `enemy`) + `health`, so targeting
+     * and bullets treat them like any other object; they move via `transform`/`velocity`/`rotationQuat`.
+     * @type {Map<number, { kind: string, state: 'patrol'|'pursue'|'attack'|'flee', home: { x: number, y: number, z: number }, waypoint: { x: number, y: number, z: number }, fireCooldown: number }>}
+     */
+    this.ai = new Map();
+
+    /**
+     * Regenerating shield in front of `health` (see `ShieldSystem`). `lastHitSec` is sim time.
+     * @type {Map<number, { hp: number, maxHp: number, lastHitSec: number }>}
+     */
+    this.shield = new Map();
+
+    /**
+     * Which sector chunk streamed an object in, and its index there (see `SectorSystem`).
+     * @type {Map<number, { key: string, index: number }>}
+     */
+    this.sectorChunk = new Map();
+
+    /**
+     * Cargo hold (the player's): units per item type, keyed by `resourceData.js` id. Empty stacks are deleted.
+     * @type {Map<number, { stacks: Record<string, number> }>}
+     */
+    this.inventory = new Map();
+  }
+
+  /** @returns {number} next id `createEntity()` will hand out (ids only grow) */
+  get nextId() {
+    return this._nextId;
   }
 
   /** @returns {number} */
@@ -56,12 +123,15 @@ export class World {
   }
 
   /**
-   * @param {{ type: string, hp: number, maxHp: number, lootValue: number }} meta
+   * @param {{ type: string, hp: number, maxHp: number, lootValue: number, field?: string, ore?: Record<string, number> }} meta
    * @returns {number} entityId
    */
   createObject(meta) {
     const id = this.createEntity();
-    this.objectMeta.set(id, { type: meta.type, lootValue: meta.lootValue });
+    const objectMeta = { type: meta.type, lootValue: meta.lootValue };
+    if (meta.field) objectMeta.field = meta.field;
+    if (meta.ore) objectMeta.ore = { ...meta.ore };
+    this.objectMeta.set(id, objectMeta);
     this.health.set(id, { hp: meta.hp, maxHp: meta.maxHp });
     return id;
   }
@@ -76,19 +146,58 @@ export class World {
     return id;
   }
 
+  /**
+   * @param {{ ownerId: number|null, hostile?: boolean, damage: number, life: number, weapon?: string|null, targetId?: number|null, traveled?: number }} meta
+   * @returns {number} entityId
+   */
+  createProjectile(meta) {
+    const id = this.createEntity();
+    this.projectile.set(id, {
+      ownerId: meta.ownerId,
+      hostile: meta.hostile ?? false,
+      damage: meta.damage,
+      life: meta.life,
+      weapon: meta.weapon ?? null,
+      targetId: meta.targetId ?? null,
+      traveled: meta.traveled ?? 0
+    });
+    return id;
+  }
+
   /**
    * @param {number} entityId
    */
   removeEntity(entityId) {
     this.entities.delete(entityId);
-    this.objectMeta.delete(entityId);
-    this.health.delete(entityId);
-    this.loot.delete(entityId);
-    this.transform.delete(entityId);
-    this.velocity.delete(entityId);
-    this.rotationQuat.delete(entityId);
-    this.lootMotion.delete(entityId);
-    this.spin.delete(entityId);
+    for (const name of WORLD_COMPONENTS) this[name].delete(entityId);
+  }
+
+  /**
+   * Plain-JSON copy of all entities and component maps.
+   * @returns {{ nextId: number, entities: number[], components: Record<string, Array<[number, any]>> }}
+   */
+  toSnapshot() {
+    /** @type {Record<string, Array<[number, any]>>} */
+    const components = {};
+    for (const name of WORLD_COMPONENTS) {
+      components[name] = JSON.parse(JSON.stringify([...this[name]]));
+    }
+    return { nextId: this._nextId, entities: [...this.entities], components };
+  }
+
+  /**
+   * Replaces all state with a snapshot from `toSnapshot()`.
+   * Unknown component names are ignored; missing ones load empty.
+   * @param {{ nextId: number, entities: number[], components: Record<string, Array<[number, any]>> }} snapshot
+   */
+  loadSnapshot(snapshot) {
+    this.generation++;
+    this._nextId = snapshot.nextId;
+    this.entities = new Set(snapshot.entities);
+    for (const name of WORLD_COMPONENTS) {
+      const entries = snapshot.components[name] ?? [];
+      this[name] = new Map(JSON.parse(JSON.stringify(entries)));
+    }
   }
 
   /**
@@ -0,0 +1,39 @@
+import { Game } from './game.js';
+import { SoundManager } from './soundManager.js';
+
+/**
+ * Headless entry point: builds `World`, the systems and the fixed-step loop with no renderer,
+ * DOM or audio, so gameplay can be simulated in Node (CI regression runs, bots).
+ *
+ * Drive it with `game.step(n)`; feed input by writing `game.input.keys[code]`
+ * (resolved through `game.actionMap` each tick) and calling `game.shoot()`.
+ *
+ * @param {any} shipData
+ * @param {{ seed?: number|string, snapshot?: any, replay?: import('./game/replay/inputRecording.js').InputRecordingData }} [opts]
+ *   same seed -> same sector and spawn rolls; `snapshot` resumes a migrated save instead of generating;
+ *   `replay` plays back a recording (see `runReplay`)
+ * @returns {Game}
+ */
+export function createHeadlessGame(shipData, opts = {}) {
+  const game = new Game(shipData, {
+    soundManager: new SoundManager({ enabled: false }),
+    seed: opts.seed,
+    snapshot: opts.snapshot,
+    replay: opts.replay
+  });
+  game.initHeadless();
+  return game;
+}
+
+/**
+ * Plays a recording to completion and returns the resulting game for assertions.
+ * @param {import('./game/replay/inputRecording.js').InputRecordingData} recording
+ * @param {{ maxSteps?: number }} [opts] guard against recordings that never finish
+ * @returns {Game}
+ */
+export function runReplay(recording, opts = {}) {
+  const maxSteps = opts.maxSteps ?? recording.ticks + recording.events.length + 1;
+  const game = createHeadlessGame(recording.shipData, { replay: recording });
+  for (let i = 0; i < maxSteps && game.replayer; i++) game.step();
+  return game;
+}
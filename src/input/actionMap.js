@@ -0,0 +1,231 @@
+const BINDINGS_STORAGE_KEY = 'wreckspace.bindings';
+
+/** Key slots per action shown in the rebind UI. */
+export const BINDING_SLOTS = 2;
+
+/**
+ * Rebindable actions, in display order.
+ * `held` actions are sampled every tick into `game.actions` (and recorded); the others fire on key press.
+ * @type {Array<{ id: string, label: string, held: boolean }>}
+ */
+export const ACTIONS = [
+  { id: 'pitchUp', label: 'Pitch Up', held: true },
+  { id: 'pitchDown', label: 'Pitch Down', held: true },
+  { id: 'yawLeft', label: 'Turn Left', held: true },
+  { id: 'yawRight', label: 'Turn Right', held: true },
+  { id: 'rollLeft', label: 'Roll Left', held: true },
+  { id: 'rollRight', label: 'Roll Right', held: true },
+  { id: 'boost', label: 'Boost', held: true },
+  { id: 'fire', label: 'Fire', held: true },
+  { id: 'dodge', label: 'Dodge (with Turn)', held: true },
+  { id: 'strafeLeft', label: 'Strafe Left', held: true },
+  { id: 'strafeRight', label: 'Strafe Right', held: true },
+  { id: 'nextWeapon', label: 'Next Weapon', held: false },
+  { id: 'weapon1', label: 'Weapon Slot 1', held: false },
+  { id: 'weapon2', label: 'Weapon Slot 2', held: false },
+  { id: 'weapon3', label: 'Weapon Slot 3', held: false },
+  { id: 'weapon4', label: 'Weapon Slot 4', held: false },
+  { id: 'targetNext', label: 'Next Target', held: false },
+  { id: 'targetPrev', label: 'Previous Target', held: false },
+  { id: 'targetNearest', label: 'Nearest Target', held: false },
+  { id: 'targetType', label: 'Cycle Target Type', held: false },
+  { id: 'toggleLeadAim', label: 'Toggle Lead Aim', held: false },
+  { id: 'toggleMouseFlight', label: 'Toggle Mouse Flight', held: false },
+  { id: 'toggleCargo', label: 'Cargo Screen', held: false }
+];
+
+/** @type {Record<string, string[]>} */
+export const DEFAULT_BINDINGS = {
+  pitchUp: ['KeyW', 'ArrowUp'],
+  pitchDown: ['KeyS', 'ArrowDown'],
+  yawLeft: ['KeyA', 'ArrowLeft'],
+  yawRight: ['KeyD', 'ArrowRight'],
+  rollLeft: ['KeyQ'],
+  rollRight: ['KeyE'],
+  boost: ['KeyZ'],
+  fire: ['Space'],
+  dodge: ['ShiftLeft', 'ShiftRight'],
+  strafeLeft: [],
+  strafeRight: [],
+  nextWeapon: ['KeyR'],
+  weapon1: ['Digit1'],
+  weapon2: ['Digit2'],
+  weapon3: ['Digit3'],
+  weapon4: ['Digit4'],
+  targetNext: ['KeyT'],
+  targetPrev: ['KeyG'],
+  targetNearest: ['KeyN'],
+  targetType: ['KeyY'],
+  toggleLeadAim: ['KeyL'],
+  toggleMouseFlight: ['KeyM'],
+  toggleCargo: ['KeyC']
+};
+
+const HELD_ACTION_IDS = ACTIONS.filter((a) => a.held).map((a) => a.id);
+
+/** @type {Record<string, string>} */
+const KEY_LABELS = {
+  Space: 'SPACE',
+  ShiftLeft: 'SHIFT',
+  ShiftRight: 'R-SHIFT',
+  ControlLeft: 'CTRL',
+  ControlRight: 'R-CTRL',
+  AltLeft: 'ALT',
+  AltRight: 'R-ALT',
+  ArrowUp: '↑',
+  ArrowDown: '↓',
+  ArrowLeft: '←',
+  ArrowRight: '→',
+  Enter: 'ENTER',
+  Tab: 'TAB',
+  Backspace: 'BKSP',
+  CapsLock: 'CAPS'
+};
+
+/**
+ * @param {string} code `KeyboardEvent.code`
+ * @returns {string} short label for hints/buttons
+ */
+export function keyLabel(code) {
+  if (KEY_LABELS[code]) return KEY_LABELS[code];
+  if (code.startsWith('Key')) return code.slice(3);
+  if (code.startsWith('Digit')) return code.slice(5);
+  if (code.startsWith('Numpad')) return `NUM ${code.slice(6)}`;
+  return code.toUpperCase();
+}
+
+/**
+ * Action -> key codes. Gameplay never sees key codes: `resolveHeld()` turns live keys into held actions,
+ * which is what `Game` records and `resolveControls()` consumes.
+ */
+export class ActionMap {
+  /**
+   * @param {Record<string, string[]>} [bindings]
+   */
+  constructor(bindings = DEFAULT_BINDINGS) {
+    /** @type {Record<string, string[]>} */
+    this.bindings = {};
+    this.setBindings(bindings);
+  }
+
+  /**
+   * Unknown actions are dropped and missing ones fall back to defaults, so stored bindings survive
+   * actions being added or removed.
+   * @param {Record<string, string[]>} bindings
+   */
+  setBindings(bindings) {
+    for (const { id } of ACTIONS) {
+      const codes = Array.isArray(bindings[id]) ? bindings[id] : DEFAULT_BINDINGS[id];
+      this.bindings[id] = codes.filter((code) => typeof code === 'string').slice(0, BINDING_SLOTS);
+    }
+  }
+
+  reset() {
+    this.setBindings(DEFAULT_BINDINGS);
+  }
+
+  /**
+   * Binds `code` to `action` in `slot` (null clears the slot). A code drives one action only, so it is
+   * removed from whatever action had it before.
+   * @param {string} action
+   * @param {number} slot
+   * @param {string|null} code
+   */
+  rebind(action, slot, code) {
+    if (!this.bindings[action]) return;
+    if (code) {
+      for (const id of Object.keys(this.bindings)) {
+        this.bindings[id] = this.bindings[id].filter((c) => c !== code);
+      }
+    }
+    const codes = this.bindings[action].slice();
+    if (code) codes[slot] = code;
+    else codes.splice(slot, 1);
+    this.bindings[action] = codes.filter(Boolean).slice(0, BINDING_SLOTS);
+  }
+
+  /**
+   * @param {string} code
+   * @returns {string|null}
+   */
+  actionForCode(code) {
+    for (const id of Object.keys(this.bindings)) {
+      if (this.bindings[id].includes(code)) return id;
+    }
+    return null;
+  }
+
+  /**
+   * @param {Record<string, boolean>} keys live key state (`e.code` -> held)
+   * @param {Record<string, boolean>} [out]
+   * @returns {Record<string, boolean>} held actions
+   */
+  resolveHeld(keys, out = {}) {
+    for (const id of HELD_ACTION_IDS) {
+      const codes = this.bindings[id];
+      let held = false;
+      for (let i = 0; i < codes.length; i++) {
+        if (keys[codes[i]]) {
+          held = true;
+          break;
+        }
+      }
+      out[id] = held;
+    }
+    return out;
+  }
+
+  /**
+   * @param {string} action
+   * @returns {string} first bound key's label, or '-' when unbound
+   */
+  primaryLabel(action) {
+    const code = this.bindings[action]?.[0];
+    return code ? keyLabel(code) : '-';
+  }
+
+  /**
+   * Text for `#controls-hint`, generated from the active bindings.
+   * @returns {string}
+   */
+  formatHint() {
+    const drive = ['pitchUp', 'yawLeft', 'pitchDown', 'yawRight'].map((id) => this.primaryLabel(id));
+    const roll = [this.primaryLabel('rollLeft'), this.primaryLabel('rollRight')];
+    const parts = [
+      `${drive.join(drive.every((l) => l.length === 1) ? '' : '/')}: Drive`,
+      `${roll.join('/')}: Roll`,
+      `${this.primaryLabel('boost')}: Boost`,
+      `${this.primaryLabel('fire')}: Fire`,
+      `${this.primaryLabel('dodge')}: Dodge`,
+      `${this.primaryLabel('nextWeapon')}: Weapon`,
+      `${this.primaryLabel('targetNext')}: Target`,
+      `${this.primaryLabel('toggleMouseFlight')}: Mouse Flight`,
+      `${this.primaryLabel('toggleCargo')}: Cargo`
+    ];
+    if (this.bindings.strafeLeft.length || this.bindings.strafeRight.length) {
+      parts.splice(5, 0, `${this.primaryLabel('strafeLeft')}/${this.primaryLabel('strafeRight')}: Strafe`);
+    }
+    return parts.join(' | ');
+  }
+}
+
+/**
+ * @param {Storage} [storage]
+ * @returns {Record<string, string[]>} stored bindings (merged over defaults by `ActionMap.setBindings`)
+ */
+export function loadBindings(storage = window.localStorage) {
+  try {
+    const raw = storage.getItem(BINDINGS_STORAGE_KEY);
+    return raw ? JSON.parse(raw) : { ...DEFAULT_BINDINGS };
+  } catch (_) {
+    return { ...DEFAULT_BINDINGS };
+  }
+}
+
+/**
+ * @param {Record<string, string[]>} bindings
+ * @param {Storage} [storage]
+ */
+export function saveBindings(bindings, storage = window.localStorage) {
+  storage.setItem(BINDINGS_STORAGE_KEY, JSON.stringify(bindings));
+}
@@ -0,0 +1,91 @@
+/**
+ * Unified flight controls.
+ *
+ * Input providers only produce *recordable* raw state: held actions in `game.actions` (keyboard codes via the
+ * `ActionMap`, gamepad buttons OR-ed in) and analog `game.axes` (mouse + sticks). Once per tick
+ * `resolveControls()` folds that into a `ControlState`, which is all `MovementSystem`, `CameraSystem` and
+ * `CombatSystem` read. Replays feed the same raw state, so they resolve to the same controls.
+ */
+
+// Axis 1.0 turns as fast as holding the matching key; mouse flicks may go a bit beyond that.
+export const MAX_AXIS = 3;
+
+/**
+ * @typedef {{ pitch: number, yaw: number, roll: number }} FlightAxes
+ *   +pitch = nose up, +yaw = nose left, +roll = roll left (matches W / A / Q).
+ */
+
+/**
+ * @typedef {{
+ *   pitch: number,
+ *   yaw: number,
+ *   roll: number,
+ *   boost: boolean,
+ *   fire: boolean,
+ *   strafeLeft: boolean,
+ *   strafeRight: boolean
+ * }} ControlState
+ *   `fire` is *held* fire (auto-repeats at the fire rate); presses/clicks also send `shoot` input events.
+ */
+
+/** @returns {FlightAxes} */
+export function createAxes() {
+  return { pitch: 0, yaw: 0, roll: 0 };
+}
+
+/** @returns {ControlState} */
+export function createControlState() {
+  return { pitch: 0, yaw: 0, roll: 0, boost: false, fire: false, strafeLeft: false, strafeRight: false };
+}
+
+/**
+ * @param {number} value
+ * @returns {number} clamped to +-`MAX_AXIS` and rounded to 1e-3 so recordings replay bit-exactly
+ */
+export function quantizeAxis(value) {
+  const clamped = Math.max(-MAX_AXIS, Math.min(MAX_AXIS, value));
+  return Math.round(clamped * 1000) / 1000 || 0;
+}
+
+/**
+ * Sums analog sources into `out` (quantized).
+ * @param {FlightAxes} out
+ * @param {...Partial<FlightAxes>} sources
+ * @returns {FlightAxes}
+ */
+export function combineAxes(out, ...sources) {
+  let pitch = 0;
+  let yaw = 0;
+  let roll = 0;
+  for (const s of sources) {
+    pitch += s.pitch ?? 0;
+    yaw += s.yaw ?? 0;
+    roll += s.roll ?? 0;
+  }
+  out.pitch = quantizeAxis(pitch);
+  out.yaw = quantizeAxis(yaw);
+  out.roll = quantizeAxis(roll);
+  return out;
+}
+
+/**
+ * @param {Record<string, boolean>} actions held actions (see `ACTIONS` in `actionMap.js`)
+ * @param {FlightAxes} axes
+ * @param {ControlState} [out]
+ * @returns {ControlState}
+ */
+export function resolveControls(actions, axes, out = createControlState()) {
+  const left = !!actions.yawLeft;
+  const right = !!actions.yawRight;
+
+  out.pitch = (actions.pitchUp ? 1 : 0) - (actions.pitchDown ? 1 : 0) + (axes.pitch ?? 0);
+  out.yaw = (left ? 1 : 0) - (right ? 1 : 0) + (axes.yaw ?? 0);
+  out.roll = (actions.rollLeft ? 1 : 0) - (actions.rollRight ? 1 : 0) + (axes.roll ?? 0);
+
+  out.boost = !!actions.boost;
+  out.fire = !!actions.fire;
+  // Dodge is a modifier on the turn keys; strafe actions (bumpers) dodge directly.
+  out.strafeLeft = (!!actions.dodge && left) || !!actions.strafeLeft;
+  out.strafeRight = (!!actions.dodge && right) || !!actions.strafeRight;
+  return out;
+}
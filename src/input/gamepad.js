@@ -0,0 +1,143 @@
+// Standard Gamepad mapping (https://w3c.github.io/gamepad/#remapping).
+const AXIS_LEFT_X = 0;
+const AXIS_LEFT_Y = 1;
+const AXIS_RIGHT_X = 2;
+const BUTTON_Y = 3;
+const BUTTON_LB = 4;
+const BUTTON_RB = 5;
+const BUTTON_LT = 6;
+const BUTTON_RT = 7;
+const BUTTON_DPAD_UP = 12;
+const BUTTON_DPAD_DOWN = 13;
+const BUTTON_DPAD_LEFT = 14;
+const BUTTON_DPAD_RIGHT = 15;
+
+/** Press-only buttons -> the action they fire on the press edge. */
+const PRESS_BUTTONS = [
+  [BUTTON_Y, 'nextWeapon'],
+  [BUTTON_DPAD_RIGHT, 'targetNext'],
+  [BUTTON_DPAD_LEFT, 'targetPrev'],
+  [BUTTON_DPAD_UP, 'targetNearest'],
+  [BUTTON_DPAD_DOWN, 'targetType']
+];
+
+const STICK_DEADZONE = 0.15;
+const TRIGGER_THRESHOLD = 0.5;
+
+/**
+ * Rescales so output starts at 0 just outside the deadzone and still reaches 1 at full tilt.
+ * @param {number} value
+ * @returns {number}
+ */
+function stick(value) {
+  const mag = Math.abs(value);
+  if (mag <= STICK_DEADZONE) return 0;
+  return Math.sign(value) * Math.min(1, (mag - STICK_DEADZONE) / (1 - STICK_DEADZONE));
+}
+
+/**
+ * @param {GamepadButton|undefined} button
+ * @returns {boolean}
+ */
+function pressed(button) {
+  if (!button) return false;
+  return button.pressed || button.value > TRIGGER_THRESHOLD;
+}
+
+/**
+ * Gamepad API provider.
+ * Left stick = pitch/yaw, right stick X = roll, LT = boost, RT = fire, LB/RB = strafe-dodge, Y = next weapon,
+ * d-pad right/left = next/previous target, up = nearest target, down = cycle target type.
+ * Polled once per simulated tick; the first connected pad with the standard mapping wins.
+ */
+export class GamepadInput {
+  /**
+   * @param {Navigator|null} [nav]
+   */
+  constructor(nav = typeof navigator !== 'undefined' ? navigator : null) {
+    this._nav = nav;
+
+    /** Axes for the current tick (written by `poll()`). */
+    this.axes = { pitch: 0, yaw: 0, roll: 0 };
+
+    /**
+     * Press-only actions whose button went down this tick (written by `poll()`).
+     * @type {string[]}
+     */
+    this.presses = [];
+    /** Button index -> held last tick (for press edges). */
+    this._prevPressed = new Map();
+
+    /** @type {number|null} */
+    this._padIndex = null;
+  }
+
+  /** @returns {Gamepad|null} */
+  _getPad() {
+    if (!this._nav || !this._nav.getGamepads) return null;
+    const pads = this._nav.getGamepads();
+    if (this._padIndex != null && pads[this._padIndex]?.connected) return pads[this._padIndex];
+
+    this._padIndex = null;
+    for (const pad of pads) {
+      if (pad && pad.connected && pad.mapping === 'standard') {
+        this._padIndex = pad.index;
+        return pad;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Reads the pad into `this.axes`, ORs its buttons into held `actions` (call after keyboard resolution)
+   * and collects press-only button edges into `this.presses`.
+   * @param {Record<string, boolean>} actions live held actions
+   * @returns {{ pitch: number, yaw: number, roll: number }}
+   */
+  poll(actions) {
+    const pad = this._getPad();
+    this.presses.length = 0;
+    if (!pad) {
+      this._prevPressed.clear();
+      this.axes.pitch = 0;
+      this.axes.yaw = 0;
+      this.axes.roll = 0;
+      return this.axes;
+    }
+
+    // Stick up (negative Y) = nose up; stick right = yaw/roll right.
+    this.axes.pitch = -stick(pad.axes[AXIS_LEFT_Y] ?? 0);
+    this.axes.yaw = -stick(pad.axes[AXIS_LEFT_X] ?? 0);
+    this.axes.roll = -stick(pad.axes[AXIS_RIGHT_X] ?? 0);
+
+    if (pressed(pad.buttons[BUTTON_LT])) actions.boost = true;
+    if (pressed(pad.buttons[BUTTON_RT])) actions.fire = true;
+    if (pressed(pad.buttons[BUTTON_LB])) actions.strafeLeft = true;
+    if (pressed(pad.buttons[BUTTON_RB])) actions.strafeRight = true;
+
+    for (const [button, action] of PRESS_BUTTONS) {
+      const down = pressed(pad.buttons[button]);
+      if (down && !this._prevPressed.get(button)) this.presses.push(action);
+      this._prevPressed.set(button, down);
+    }
+    return this.axes;
+  }
+
+  /**
+   * Fire-and-forget rumble (no-op when the pad/browser has no vibration actuator).
+   * @param {number} intensity 0..1
+   * @param {number} durationMs
+   */
+  rumble(intensity, durationMs) {
+    const pad = this._getPad();
+    const actuator = pad?.vibrationActuator;
+    if (!actuator || !actuator.playEffect) return;
+    const strong = Math.max(0, Math.min(1, intensity));
+    const req = actuator.playEffect('dual-rumble', {
+      duration: durationMs,
+      strongMagnitude: strong,
+      weakMagnitude: Math.min(1, strong * 1.5)
+    });
+    if (req && req.catch) req.catch(() => {});
+  }
+}
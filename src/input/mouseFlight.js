@@ -0,0 +1,146 @@
+const SETTINGS_STORAGE_KEY = 'wreckspace.mouseFlight';
+
+// Pixels of mouse travel (per tick, at sensitivity 1) that equal one key-rate unit.
+const PIXELS_PER_AXIS_UNIT = 8;
+
+/**
+ * @typedef {{ enabled: boolean, sensitivity: number, invertY: boolean, deadzone: number }} MouseFlightSettings
+ *   `deadzone` is in pixels per tick; smaller movements are ignored (hand jitter on a locked pointer).
+ */
+
+/** @type {MouseFlightSettings} */
+export const DEFAULT_MOUSE_FLIGHT_SETTINGS = {
+  enabled: false,
+  sensitivity: 1,
+  invertY: false,
+  deadzone: 1
+};
+
+/**
+ * @param {Storage} [storage]
+ * @returns {MouseFlightSettings}
+ */
+export function loadMouseFlightSettings(storage = window.localStorage) {
+  try {
+    const raw = storage.getItem(SETTINGS_STORAGE_KEY);
+    return { ...DEFAULT_MOUSE_FLIGHT_SETTINGS, ...(raw ? JSON.parse(raw) : {}) };
+  } catch (_) {
+    return { ...DEFAULT_MOUSE_FLIGHT_SETTINGS };
+  }
+}
+
+/**
+ * @param {MouseFlightSettings} settings
+ * @param {Storage} [storage]
+ */
+export function saveMouseFlightSettings(settings, storage = window.localStorage) {
+  storage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(settings));
+}
+
+/**
+ * @param {number} delta
+ * @param {number} deadzone
+ * @returns {number}
+ */
+function applyDeadzone(delta, deadzone) {
+  const mag = Math.abs(delta);
+  if (mag <= deadzone) return 0;
+  return Math.sign(delta) * (mag - deadzone);
+}
+
+/**
+ * Pointer-lock mouse flight.
+ * Accumulates raw mouse deltas between ticks; `sampleAxes()` turns them into per-tick `pitch`/`yaw` axes
+ * (keyboard-rate units, +pitch = nose up, +yaw = nose left). `Game` combines them with the other providers
+ * into `game.axes` (see `controls.js`).
+ */
+export class MouseFlightInput {
+  /**
+   * @param {MouseFlightSettings} [settings]
+   */
+  constructor(settings = DEFAULT_MOUSE_FLIGHT_SETTINGS) {
+    /** @type {MouseFlightSettings} */
+    this.settings = { ...settings };
+
+    /** Axes for the current tick (written by `sampleAxes()`). */
+    this.axes = { pitch: 0, yaw: 0 };
+
+    this._dx = 0;
+    this._dy = 0;
+
+    /** @type {HTMLElement|null} */
+    this._target = null;
+
+    /** @type {(e: MouseEvent) => void} */
+    this._onMouseMove = (e) => {
+      if (!this.isLocked()) return;
+      this._dx += e.movementX;
+      this._dy += e.movementY;
+    };
+  }
+
+  /**
+   * @param {HTMLElement} target element that receives pointer lock (the canvas)
+   */
+  attach(target) {
+    this._target = target;
+    target.ownerDocument.addEventListener('mousemove', this._onMouseMove);
+  }
+
+  detach() {
+    if (!this._target) return;
+    this.releaseLock();
+    this._target.ownerDocument.removeEventListener('mousemove', this._onMouseMove);
+    this._target = null;
+  }
+
+  /** @returns {boolean} */
+  isLocked() {
+    return !!this._target && this._target.ownerDocument.pointerLockElement === this._target;
+  }
+
+  /** Must run inside a user gesture (click/keydown). */
+  requestLock() {
+    if (!this._target || !this.settings.enabled || this.isLocked()) return;
+    const req = this._target.requestPointerLock();
+    // Newer browsers return a promise that rejects when the gesture requirement isn't met.
+    if (req && req.catch) req.catch(() => {});
+  }
+
+  releaseLock() {
+    if (this.isLocked()) this._target.ownerDocument.exitPointerLock();
+    this._dx = 0;
+    this._dy = 0;
+  }
+
+  /**
+   * @param {Partial<MouseFlightSettings>} patch
+   */
+  updateSettings(patch) {
+    Object.assign(this.settings, patch);
+    if (!this.settings.enabled) this.releaseLock();
+  }
+
+  /**
+   * Consumes accumulated mouse movement into `this.axes`. Call once per simulated tick.
+   * @returns {{ pitch: number, yaw: number }}
+   */
+  sampleAxes() {
+    const s = this.settings;
+    let pitch = 0;
+    let yaw = 0;
+
+    if (s.enabled && this.isLocked()) {
+      const scale = s.sensitivity / PIXELS_PER_AXIS_UNIT;
+      // Mouse forward (negative dy) pulls the nose up unless inverted.
+      pitch = applyDeadzone(-this._dy, s.deadzone) * scale * (s.invertY ? -1 : 1);
+      yaw = applyDeadzone(-this._dx, s.deadzone) * scale;
+    }
+    this._dx = 0;
+    this._dy = 0;
+
+    this.axes.pitch = pitch;
+    this.axes.yaw = yaw;
+    return this.axes;
+  }
+}
@@ -1,33 +1,54 @@
-import { spaceships } from './spaceshipData.js';
+import { shipStatRange, spaceships } from './spaceshipData.js';
 import { Game } from './game.js';
+import { modelUrls } from './modelData.js';
+import { modelLibrary } from './render/modelLibrary.js';
 import { HudController } from './ui/hudController.js';
+import { Rng } from './core/rng.js';
+import { hasLocalSave, readLocalSave, readSaveFile } from './game/save/saveStorage.js';
+import { readJsonFile } from './ui/fileIO.js';
 
 const selectionScreen = document.getElementById('selection-screen');
 const spaceshipList = document.getElementById('spaceship-list');
 const hud = document.getElementById('hud');
+const loadingScreen = document.getElementById('loading-screen');
+const loadingBar = document.getElementById('loading-bar');
+const loadingLabel = document.getElementById('loading-label');
+const seedDisplay = document.getElementById('seed-display');
+const continueBtn = document.getElementById('continue-btn');
+const importSaveBtn = document.getElementById('import-save-btn');
+const importSaveInput = document.getElementById('import-save-input');
+const importReplayBtn = document.getElementById('import-replay-btn');
+const importReplayInput = document.getElementById('import-replay-input');
+
+// Sector seed: `?seed=...` reproduces a sector; otherwise roll one and put it in the URL so it can be shared.
+const urlParams = new URLSearchParams(window.location.search);
+let sectorSeed = urlParams.get('seed');
+if (!sectorSeed) {
+    sectorSeed = Rng.randomSeed();
+    urlParams.set('seed', sectorSeed);
+    window.history.replaceState(null, '', `${window.location.pathname}?${urlParams}`);
+}
 
 let game = null;
 const hudController = new HudController(document);
 
 function initSelectionScreen() {
-    spaceships.forEach(ship => {
+    if (seedDisplay) seedDisplay.textContent = `Sector Seed: ${sectorSeed}`;
+
+    // The rest of the fleet is bought in the station hangar.
+    const starters = spaceships.filter(ship => ship.starter);
+    starters.forEach(ship => {
         const card = document.createElement('div');
         card.className = 'spaceship-card';
         
-        // Determine Ship Class based on ID for flavor text
-        let shipClass = "Standard Class";
-        if (ship.id === 'scout') shipClass = "Reconnaissance Class";
-        else if (ship.id === 'interceptor') shipClass = "Assault Class";
-        else if (ship.id === 'hauler') shipClass = "Industrial Class";
-
-        // Calculate Percentages (Max values estimated from data)
-        const powerPct = (ship.weaponPower / 25) * 100;
-        const speedPct = (ship.speed / 1.5) * 100;
-        const storagePct = (ship.storage / 120) * 100;
+        // Bar percentages relative to the whole fleet (hangar ships included)
+        const powerPct = statPct(ship, 'weaponPower');
+        const speedPct = statPct(ship, 'speed');
+        const storagePct = statPct(ship, 'storage');
 
         card.innerHTML = `
             <h3>${ship.name}</h3>
-            <span class="ship-class">${shipClass}</span>
+            <span class="ship-class">${ship.class}</span>
             
             <div class="stat-row power">
                 <div class="stat-label"><span>Firepower</span> <span>${ship.weaponPower}</span></div>
@@ -62,17 +83,105 @@ function initSelectionScreen() {
             card.querySelectorAll('.stat-value-bar').forEach(bar => {
                 bar.style.width = bar.getAttribute('data-width');
             });
-        }, 100 + spaceships.indexOf(ship) * 100); // Staggered animation
+        }, 100 + starters.indexOf(ship) * 100); // Staggered animation
+    });
+}
+
+/**
+ * Selection-card bar width for a stat: the fleet's weakest ship still shows a sliver, the strongest a full bar.
+ * @param {any} ship
+ * @param {string} key
+ * @returns {number} percent
+ */
+function statPct(ship, key) {
+    const { min, max } = shipStatRange(key);
+    if (max <= min) return 100;
+    return 20 + ((ship[key] - min) / (max - min)) * 80;
+}
+
+function initSaveActions() {
+    if (hasLocalSave()) continueBtn.classList.remove('hidden');
+
+    continueBtn.onclick = async () => {
+        try {
+            const snapshot = readLocalSave();
+            if (snapshot) await startGame(snapshot.shipData, { snapshot });
+        } catch (e) {
+            console.error('Failed to load save', e);
+            window.alert(`Could not load save: ${e.message}`);
+        }
+    };
+
+    importSaveBtn.onclick = () => importSaveInput.click();
+    importSaveInput.onchange = async () => {
+        const file = importSaveInput.files?.[0];
+        importSaveInput.value = '';
+        if (!file) return;
+        try {
+            const snapshot = await readSaveFile(file);
+            await startGame(snapshot.shipData, { snapshot });
+        } catch (e) {
+            console.error('Failed to import save', e);
+            window.alert(`Could not import save: ${e.message}`);
+        }
+    };
+
+    importReplayBtn.onclick = () => importReplayInput.click();
+    importReplayInput.onchange = async () => {
+        const file = importReplayInput.files?.[0];
+        importReplayInput.value = '';
+        if (!file) return;
+        try {
+            const replay = await readJsonFile(file);
+            await startGame(replay.shipData, { replay });
+        } catch (e) {
+            console.error('Failed to import replay', e);
+            window.alert(`Could not play replay: ${e.message}`);
+        }
+    };
+}
+
+/**
+ * Restarts the sector from the current run's recording and plays it back.
+ */
+function watchCurrentReplay() {
+    const replay = game?.getRecording();
+    if (!replay) return;
+    game.dispose();
+    startGame(replay.shipData, { replay });
+}
+
+/**
+ * Loads every glTF model in `modelData.js` / the ship data, showing the loading screen while anything is still
+ * downloading. Models that fail fall back to procedural meshes, so this never rejects.
+ */
+async function loadModels() {
+    const urls = modelUrls();
+    if (modelLibrary.hasAll(urls)) return;
+
+    loadingScreen.classList.remove('hidden');
+    await modelLibrary.preload(urls, ({ loaded, total, fraction }) => {
+        const pct = Math.round(fraction * 100);
+        loadingBar.style.width = `${pct}%`;
+        loadingLabel.textContent = `${pct}% (${loaded}/${total})`;
     });
+    loadingScreen.classList.add('hidden');
 }
 
-function startGame(selectedShip) {
+/**
+ * @param {any} selectedShip
+ * @param {{ snapshot?: any, replay?: any }} [opts] resume a migrated save, or play back a recording
+ */
+async function startGame(selectedShip, opts = {}) {
     selectionScreen.classList.add('hidden');
+    await loadModels();
     hud.classList.remove('hidden');
     
     // Initialize the 3D Game
-    game = new Game(selectedShip, { hud: hudController });
+    game = new Game(selectedShip, { hud: hudController, models: modelLibrary, seed: sectorSeed, snapshot: opts.snapshot, replay: opts.replay });
     game.init();
+    hudController.onWatchReplay(() => watchCurrentReplay());
 }
 
 initSelectionScreen();
+initSaveActions();
@@ -0,0 +1,25 @@
+import { spaceships } from './spaceshipData.js';
+
+/**
+ * glTF models for the station and props (ships declare theirs as `mesh.model` in `spaceshipData.js`). To use a model,
+ * drop the `.glb`/`.gltf` into `public/models/` and point the entry at it; `null` keeps the procedural mesh, and so
+ * does a model that fails to load.
+ *
+ * - `url`: path from the site root (files in `public/` are served there), e.g. `models/station.glb`
+ * - `scale`: uniform scale for the model. Asteroid models should be about 1 unit in radius: each asteroid's own size
+ *   multiplies on top.
+ */
+export const models = {
+    station: null,
+    asteroid: null
+};
+
+/**
+ * Every model URL the game can show (props and all ships, so boarding in the hangar never waits on a download).
+ * @returns {string[]}
+ */
+export function modelUrls() {
+    const urls = Object.values(models).map((m) => m?.url);
+    for (const ship of spaceships) urls.push(ship.mesh?.model);
+    return urls.filter(Boolean);
+}
@@ -0,0 +1,100 @@
+import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
+
+/**
+ * Loads glTF models once per URL and hands out clones. A model that fails to load is cached as missing, so callers
+ * fall back to their procedural mesh instead of retrying every restart.
+ */
+export class ModelLibrary {
+  /**
+   * @param {GLTFLoader} [loader]
+   */
+  constructor(loader = new GLTFLoader()) {
+    this.loader = loader;
+    /** @type {Map<string, Promise<import('three').Object3D | null>>} */
+    this._pending = new Map();
+    /** @type {Map<string, import('three').Object3D | null>} */
+    this._loaded = new Map();
+  }
+
+  /**
+   * @param {string} url
+   * @param {(fraction: number) => void} [onProgress] 0..1 for this file (only when the size is known)
+   * @returns {Promise<import('three').Object3D | null>} the model's scene, or null if it could not be loaded
+   */
+  load(url, onProgress) {
+    const cached = this._pending.get(url);
+    if (cached) return cached;
+
+    const pending = new Promise((resolve) => {
+      this.loader.load(
+        url,
+        (gltf) => resolve(gltf.scene),
+        (e) => {
+          if (onProgress && e.lengthComputable && e.total > 0) onProgress(e.loaded / e.total);
+        },
+        (err) => {
+          console.warn(`Model "${url}" failed to load, using the procedural mesh`, err);
+          resolve(null);
+        }
+      );
+    }).then((scene) => {
+      this._loaded.set(url, scene);
+      return scene;
+    });
+    this._pending.set(url, pending);
+    return pending;
+  }
+
+  /**
+   * Loads every URL (duplicates and already-cached ones are free).
+   * @param {string[]} urls
+   * @param {(progress: { loaded: number, total: number, fraction: number }) => void} [onProgress]
+   * @returns {Promise<void>}
+   */
+  async preload(urls, onProgress) {
+    const unique = [...new Set(urls)];
+    const fractions = new Map(unique.map((url) => [url, this._loaded.has(url) ? 1 : 0]));
+    const report = () => {
+      if (!onProgress) return;
+      let sum = 0;
+      let loaded = 0;
+      for (const f of fractions.values()) {
+        sum += f;
+        if (f >= 1) loaded++;
+      }
+      onProgress({ loaded, total: unique.length, fraction: unique.length ? sum / unique.length : 1 });
+    };
+
+    report();
+    await Promise.all(unique.map((url) =>
+      this.load(url, (f) => {
+        fractions.set(url, Math.min(f, 0.99));
+        report();
+      }).then(() => {
+        fractions.set(url, 1);
+        report();
+      })
+    ));
+  }
+
+  /**
+   * @param {string[]} urls
+   * @returns {boolean} true when every URL has finished loading (or failed)
+   */
+  hasAll(urls) {
+    return urls.every((url) => this._loaded.has(url));
+  }
+
+  /**
+   * A fresh copy of a loaded model (geometry and materials are shared with the cache).
+   * @param {string | null | undefined} url
+   * @returns {import('three').Object3D | null} null if the URL is unset, not preloaded, or failed
+   */
+  instantiate(url) {
+    const scene = url ? this._loaded.get(url) : null;
+    return scene ? scene.clone(true) : null;
+  }
+}
+
+/** Shared across games so restarts and replays reuse already-loaded models. */
+export const modelLibrary = new ModelLibrary();
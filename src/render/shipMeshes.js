@@ -0,0 +1,193 @@
+import * as THREE from 'three';
+
+// Ships saved/recorded before the schema had these fields get the original starfighter layout.
+const DEFAULT_HARDPOINTS = [{ x: -4, y: 0, z: 0 }, { x: 4, y: 0, z: 0 }];
+const DEFAULT_ENGINES = [{ x: -2.5, y: 0, z: -2 }, { x: 2.5, y: 0, z: -2 }];
+const DEFAULT_MESH = { recipe: 'fighter' };
+
+// Trails start at the nozzle glow, this far behind the engine centre.
+const ENGINE_TRAIL_OFFSET_Z = -1.5;
+
+const SECONDARY_COLOR = 0x333333;
+
+/**
+ * Builds a ship's render mesh from its data (`spaceshipData.js`): the hull recipe, then engines and guns at the
+ * ship's `engines`/`hardpoints`, all scaled by `mesh.scale`. A loaded glTF `model` replaces all of that (it is
+ * expected to carry its own engines and guns); the `engines` still place the trails.
+ * @param {{ color: number, hardpoints?: Array<{ x: number, y: number, z: number }>, engines?: Array<{ x: number, y: number, z: number }>, mesh?: { recipe: string, scale?: number, model?: string } }} ship
+ * @param {THREE.Object3D | null} [model] instance of `mesh.model` (see `ModelLibrary.instantiate`)
+ * @returns {{ group: THREE.Group, engineOffsets: THREE.Vector3[] }} engine trail positions in ship space
+ */
+export function buildShipMesh(ship, model = null) {
+  const mesh = ship.mesh ?? DEFAULT_MESH;
+  const scale = mesh.scale ?? 1;
+  const group = new THREE.Group();
+  const engines = ship.engines ?? DEFAULT_ENGINES;
+
+  if (model) {
+    group.add(model);
+  } else {
+    const recipe = HULL_RECIPES[mesh.recipe] ?? HULL_RECIPES.fighter;
+    recipe(group, ship.color);
+    for (const p of engines) group.add(createEngine(p));
+    for (const p of ship.hardpoints ?? DEFAULT_HARDPOINTS) group.add(createGun(p));
+  }
+
+  group.scale.setScalar(scale);
+  const engineOffsets = engines.map((p) =>
+    new THREE.Vector3(p.x, p.y, p.z + ENGINE_TRAIL_OFFSET_Z).multiplyScalar(scale)
+  );
+  return { group, engineOffsets };
+}
+
+/** Hull recipes (everything but engines and guns). Keys must match `SHIP_MESH_RECIPES`. */
+const HULL_RECIPES = {
+  /**
+   * High-fidelity "starfighter": sleek fuselage, bubble canopy, forward-swept wings.
+   * @param {THREE.Group} group
+   * @param {number} mainColor
+   */
+  fighter(group, mainColor) {
+    // 1. Fuselage (Central Body) - Sleek and long
+    const fuselageGeo = new THREE.CylinderGeometry(0.5, 1.2, 6, 8);
+    fuselageGeo.rotateX(Math.PI / 2);
+    const fuselageMat = new THREE.MeshStandardMaterial({ color: mainColor, roughness: 0.3, metalness: 0.8 });
+    const fuselage = new THREE.Mesh(fuselageGeo, fuselageMat);
+    fuselage.position.z = 0.5;
+    group.add(fuselage);
+
+    // Nose Cone
+    const noseGeo = new THREE.ConeGeometry(0.5, 3, 8);
+    noseGeo.rotateX(Math.PI / 2);
+    const nose = new THREE.Mesh(noseGeo, fuselageMat);
+    nose.position.z = 5;
+    group.add(nose);
+
+    // 2. Cockpit (Bubble Canopy)
+    const cockpit = createCockpit();
+    cockpit.position.set(0, 0.8, 1.0);
+    group.add(cockpit);
+
+    // 3. Wings (Forward Swept / Aggressive)
+    const wingShape = new THREE.Shape();
+    wingShape.moveTo(0, 0);
+    wingShape.lineTo(4, -2);
+    wingShape.lineTo(4, 1);
+    wingShape.lineTo(0, 3);
+
+    const wingExtrudeSettings = { steps: 1, depth: 0.2, bevelEnabled: true, bevelThickness: 0.1, bevelSize: 0.1, bevelSegments: 2 };
+    const wingGeo = new THREE.ExtrudeGeometry(wingShape, wingExtrudeSettings);
+    const wingMat = new THREE.MeshStandardMaterial({ color: mainColor, roughness: 0.5, metalness: 0.6 });
+
+    // Left Wing
+    const leftWing = new THREE.Mesh(wingGeo, wingMat);
+    leftWing.rotation.x = Math.PI / 2;
+    leftWing.rotation.y = -0.2; // Slight tilt
+    leftWing.position.set(-1, 0, -1);
+    group.add(leftWing);
+
+    // Right Wing (mirrored)
+    const rightWing = new THREE.Mesh(wingGeo, wingMat);
+    rightWing.position.set(1, 0, -1);
+    rightWing.scale.set(1, 1, -1); // Mirror Z
+    rightWing.rotation.set(Math.PI / 2, 0.2, 0);
+    group.add(rightWing);
+  },
+
+  /**
+   * Boxy cargo hauler: armoured block hull, side cargo pods, cockpit up front.
+   * @param {THREE.Group} group
+   * @param {number} mainColor
+   */
+  freighter(group, mainColor) {
+    const hullMat = new THREE.MeshStandardMaterial({ color: mainColor, roughness: 0.6, metalness: 0.5 });
+    const trimMat = new THREE.MeshStandardMaterial({ color: SECONDARY_COLOR, roughness: 0.5, metalness: 0.7 });
+
+    // 1. Main block
+    const hull = new THREE.Mesh(new THREE.BoxGeometry(3, 2.2, 8), hullMat);
+    group.add(hull);
+
+    // Tapered bow
+    const bowGeo = new THREE.CylinderGeometry(0.9, 1.6, 2.5, 4);
+    bowGeo.rotateX(Math.PI / 2);
+    bowGeo.rotateZ(Math.PI / 4);
+    const bow = new THREE.Mesh(bowGeo, hullMat);
+    bow.position.z = 5.2;
+    group.add(bow);
+
+    // 2. Cockpit on top of the bow
+    const cockpit = createCockpit();
+    cockpit.position.set(0, 1.2, 3.2);
+    group.add(cockpit);
+
+    // 3. Cargo pods along the flanks
+    const podGeo = new THREE.CylinderGeometry(0.9, 0.9, 5, 12);
+    podGeo.rotateX(Math.PI / 2);
+    for (const side of [-1, 1]) {
+      const pod = new THREE.Mesh(podGeo, trimMat);
+      pod.position.set(side * 2.4, -0.3, -0.5);
+      group.add(pod);
+
+      // Pod struts
+      const strut = new THREE.Mesh(new THREE.BoxGeometry(1, 0.3, 1.5), trimMat);
+      strut.position.set(side * 1.7, -0.3, -0.5);
+      group.add(strut);
+    }
+  }
+};
+
+function createCockpit() {
+  const cockpitGeo = new THREE.CapsuleGeometry(0.7, 1.5, 4, 8);
+  cockpitGeo.rotateX(Math.PI / 2);
+  const cockpitMat = new THREE.MeshStandardMaterial({
+    color: 0x111111,
+    roughness: 0.0,
+    metalness: 1.0,
+    emissive: 0x00aaff,
+    emissiveIntensity: 0.3
+  });
+  const cockpit = new THREE.Mesh(cockpitGeo, cockpitMat);
+  cockpit.scale.set(1, 0.8, 1);
+  return cockpit;
+}
+
+/**
+ * Heavy thruster with its glow ring and inner core (the nozzle faces -z).
+ * @param {{ x: number, y: number, z: number }} p
+ * @returns {THREE.Mesh}
+ */
+function createEngine(p) {
+  const engineGeo = new THREE.CylinderGeometry(0.6, 0.8, 3, 16);
+  engineGeo.rotateX(Math.PI / 2);
+  const engineMat = new THREE.MeshStandardMaterial({ color: SECONDARY_COLOR, roughness: 0.4, metalness: 0.7 });
+  const engine = new THREE.Mesh(engineGeo, engineMat);
+  engine.position.set(p.x, p.y, p.z);
+
+  // Engine Glow Ring
+  const ring = new THREE.Mesh(
+    new THREE.TorusGeometry(0.7, 0.1, 8, 16),
+    new THREE.MeshBasicMaterial({ color: 0x00ffff, blending: THREE.AdditiveBlending })
+  );
+  ring.position.z = ENGINE_TRAIL_OFFSET_Z;
+  engine.add(ring);
+
+  // Inner Glow
+  const glowGeo = new THREE.CylinderGeometry(0.4, 0.1, 0.2, 16);
+  glowGeo.rotateX(Math.PI / 2);
+  const core = new THREE.Mesh(glowGeo, new THREE.MeshBasicMaterial({ color: 0x00ffff }));
+  core.position.z = ENGINE_TRAIL_OFFSET_Z;
+  engine.add(core);
+
+  return engine;
+}
+
+/**
+ * Weapon mount barrel.
+ * @param {{ x: number, y: number, z: number }} p
+ * @returns {THREE.Mesh}
+ */
+function createGun(p) {
+  const gun = new THREE.Mesh(new THREE.BoxGeometry(0.2, 0.2, 2), new THREE.MeshStandardMaterial({ color: 0x222222 }));
+  gun.position.set(p.x, p.y, p.z);
+  return gun;
+}
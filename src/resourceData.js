@@ -0,0 +1,187 @@
+/**
+ * Cargo resources. Asteroids are made of ores (their shares in `objectMeta.ore`, rolled from the field archetype's
+ * `ore` weights) and drop them when destroyed; planets and hostile ships drop salvage and gems.
+ * The player's hold (`World.inventory`) stacks them by id.
+ *
+ * - `value`: base credits per unit; the station market's prices move around it (`MarketSystem`)
+ * - `depth`: market depth: the price halves once this many recently sold units pile up at the station
+ * - `volume`: hold space per unit (`stats.maxStorage` is in these units)
+ * - `hardness`: ores only; asteroid hp multiplier (weighted by composition)
+ * - `color`: asteroid tint (blended by composition) and loot pickup colour
+ * - `mesh`: loot pickup shape, `gem` or `coin`
+ */
+export const resources = {
+    iron: {
+        id: 'iron',
+        name: 'Iron',
+        value: 8,
+        depth: 60,
+        volume: 1,
+        hardness: 1.2,
+        color: 0x6e5f52,
+        mesh: 'gem'
+    },
+    ice: {
+        id: 'ice',
+        name: 'Ice',
+        value: 5,
+        depth: 80,
+        volume: 2,
+        hardness: 0.6,
+        color: 0xa9c8dd,
+        mesh: 'gem'
+    },
+    crystal: {
+        id: 'crystal',
+        name: 'Crystal',
+        value: 30,
+        depth: 25,
+        volume: 1,
+        hardness: 1,
+        color: 0x8a5cc4,
+        mesh: 'gem'
+    },
+    rare: {
+        id: 'rare',
+        name: 'Rare Metals',
+        value: 75,
+        depth: 12,
+        volume: 1,
+        hardness: 1.8,
+        color: 0xc9a03c,
+        mesh: 'gem'
+    },
+    coin: {
+        id: 'coin',
+        name: 'Salvage',
+        value: 10,
+        depth: 80,
+        volume: 1,
+        color: 0xffd700,
+        mesh: 'coin'
+    },
+    gem: {
+        id: 'gem',
+        name: 'Gems',
+        value: 50,
+        depth: 20,
+        volume: 1,
+        color: 0x00ffff,
+        mesh: 'gem'
+    }
+};
+
+/** Resources asteroids can be made of. */
+export const ORES = ['iron', 'ice', 'crystal', 'rare'];
+
+/** Drops for objects without an ore composition (planets, enemies, asteroids from older saves): 1 in 5 is a gem. */
+export const DEFAULT_LOOT_TABLE = [
+    { type: 'coin', value: resources.coin.value, weight: 4 },
+    { type: 'gem', value: resources.gem.value, weight: 1 }
+];
+
+/**
+ * @param {string} id
+ * @returns {typeof resources[keyof typeof resources]} unknown ids (loot from older saves) count as salvage
+ */
+export function getResource(id) {
+    return resources[id] ?? resources.coin;
+}
+
+/**
+ * @param {Record<string, number>} stacks units per resource id (`World.inventory`)
+ * @returns {number} hold space taken
+ */
+export function cargoVolume(stacks) {
+    return Object.entries(stacks).reduce((sum, [id, n]) => sum + n * getResource(id).volume, 0);
+}
+
+/**
+ * "5 Iron, 2 Ice" (empty stacks left out).
+ * @param {Record<string, number>} stacks
+ * @returns {string}
+ */
+export function formatCargo(stacks) {
+    return Object.entries(stacks)
+        .filter(([, n]) => n > 0)
+        .map(([id, n]) => `${n} ${getResource(id).name}`)
+        .join(', ');
+}
+
+/**
+ * Random ore shares (summing to 1) from per-ore weights; squaring the rolls makes one or two ores dominate.
+ * @param {Record<string, number>} weights
+ * @param {() => number} next uniform [0, 1) source (the chunk's rng)
+ * @returns {Record<string, number>}
+ */
+export function rollComposition(weights, next) {
+    const shares = {};
+    let total = 0;
+    for (const id of ORES) {
+        const share = (weights[id] ?? 0) * next() ** 2;
+        shares[id] = share;
+        total += share;
+    }
+    if (total <= 0) return { iron: 1 };
+    const ore = {};
+    for (const id of ORES) {
+        if (shares[id] > 0) ore[id] = shares[id] / total;
+    }
+    return ore;
+}
+
+/**
+ * @param {Record<string, number>} ore composition
+ * @returns {number} hp multiplier
+ */
+export function compositionHardness(ore) {
+    return Object.entries(ore).reduce((sum, [id, share]) => sum + share * resources[id].hardness, 0);
+}
+
+/**
+ * @param {Record<string, number>} ore composition
+ * @returns {number} average credits per dropped unit
+ */
+export function compositionValue(ore) {
+    return Object.entries(ore).reduce((sum, [id, share]) => sum + share * resources[id].value, 0);
+}
+
+/**
+ * Ore colours blended by share.
+ * @param {Record<string, number>} ore composition
+ * @returns {number} 0xRRGGBB
+ */
+export function compositionColor(ore) {
+    let r = 0;
+    let g = 0;
+    let b = 0;
+    for (const [id, share] of Object.entries(ore)) {
+        const c = resources[id].color;
+        r += ((c >> 16) & 0xff) * share;
+        g += ((c >> 8) & 0xff) * share;
+        b += (c & 0xff) * share;
+    }
+    return (Math.round(r) << 16) | (Math.round(g) << 8) | Math.round(b);
+}
+
+/**
+ * Drop table for an asteroid: one entry per ore it contains, weighted by share.
+ * @param {Record<string, number>} ore composition
+ * @returns {Array<{ type: string, value: number, weight: number }>}
+ */
+export function compositionLootTable(ore) {
+    return Object.entries(ore).map(([id, share]) => ({ type: id, value: resources[id].value, weight: share }));
+}
+
+/**
+ * Target panel readout, e.g. "Iron 62% · Ice 30%" (shares under 5% left out).
+ * @param {Record<string, number>} ore composition
+ * @returns {string}
+ */
+export function formatComposition(ore) {
+    return Object.entries(ore)
+        .filter(([, share]) => share >= 0.05)
+        .sort((a, b) => b[1] - a[1])
+        .map(([id, share]) => `${resources[id].name} ${Math.round(share * 100)}%`)
+        .join(' · ');
+}
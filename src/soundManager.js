@@ -1,5 +1,9 @@
 export class SoundManager {
-    constructor() {
+    /**
+     * @param {{ enabled?: boolean }} [opts] `enabled: false` keeps every call a no-op (headless runs).
+     */
+    constructor(opts = {}) {
+        this.enabled = opts.enabled ?? true;
         this.context = null;
         this.masterGain = null;
         this.initialized = false;
@@ -9,7 +13,7 @@ export class SoundManager {
     }
 
     init() {
-        if (this.initialized) return;
+        if (this.initialized || !this.enabled) return;
 
         try {
             const AudioContext = window.AudioContext || window.webkitAudioContext;
@@ -68,6 +72,49 @@ export class SoundManager {
         this.playTone(600, 'triangle', 0.1, 0.1, 100);
     }
 
+    playSpread() {
+        // Short punchy blast
+        this.playTone(300, 'square', 0.12, 0.2, 80);
+        this.playTone(900, 'triangle', 0.06, 0.1, 300);
+    }
+
+    playMissile() {
+        // Rising whoosh
+        this.playTone(180, 'sawtooth', 0.35, 0.15, 520);
+    }
+
+    playBeam() {
+        // One pulse of a continuous hum (called per beam damage pulse)
+        this.playTone(220, 'triangle', 0.12, 0.08, 230);
+    }
+
+    /**
+     * Lock-on progress beep; pitch climbs as the lock builds.
+     * @param {number} progress 0..1
+     */
+    playLockTone(progress) {
+        this.playTone(600 + progress * 600, 'square', 0.05, 0.06);
+    }
+
+    playLockAcquired() {
+        // Bright dual-tone chirp: lock complete
+        this.playTone(1500, 'square', 0.08, 0.08);
+        this.playTone(1800, 'square', 0.12, 0.08);
+    }
+
+    playWeaponSwitch() {
+        this.playTone(1000, 'square', 0.04, 0.08, 1400);
+    }
+
+    playUpgrade() {
+        // Rising sweep: something got better
+        this.playTone(500, 'triangle', 0.25, 0.25, 1500);
+    }
+
+    playTargetSelect() {
+        this.playTone(1600, 'sine', 0.05, 0.06, 1200);
+    }
+
     playHit() {
         // Short metallic ping
         this.playTone(1200, 'sine', 0.05, 0.2);
@@ -116,6 +163,9 @@ export class SoundManager {
     }
 
     playCollect() {
+        if (!this.initialized) this.init();
+        if (!this.context) return;
+
         // Pleasant chime (Major chord arpeggio)
         const now = this.context.currentTime;
         
@@ -138,6 +188,22 @@ export class SoundManager {
         });
     }
 
+    playEnemyShoot() {
+        // Lower, harsher than the player's laser so incoming fire is readable by ear
+        this.playTone(320, 'sawtooth', 0.12, 0.12, 120);
+    }
+
+    playHullHit() {
+        // Dull thud + crackle
+        this.playTone(90, 'square', 0.18, 0.3, 40);
+        this.playTone(1800, 'sawtooth', 0.05, 0.08, 600);
+    }
+
+    playShieldHit() {
+        // Bright shimmer: the shield took it, the hull didn't
+        this.playTone(1400, 'triangle', 0.12, 0.15, 700);
+    }
+
     playError() {
         // Low buzzer
         this.playTone(150, 'sawtooth', 0.2, 0.2, 100);
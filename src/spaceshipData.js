@@ -1,35 +1,196 @@
+import { weapons } from './weaponData.js';
+
+/**
+ * Ship hulls. Adding a ship is a data change: every entry is checked against the schema below when this module
+ * loads (`validateShip()`), and the selection cards / hangar read everything from here.
+ *
+ * - `id`, `name`, `class` (flavour line on cards), `description`
+ * - stats: `weaponPower`, `speed`, `energy`, `storage`, `hull`, `shield`, `dodge` (numbers >= 0),
+ *   `weaponSlots` (integer >= 1) and the default `loadout` (weapon ids from `weaponData.js`, up to `weaponSlots`)
+ * - `price` (banked loot in the station hangar); `starter` ships can also be picked on the selection screen
+ * - `color`: main hull colour
+ * - `hardpoints`: gun mount positions, `engines`: engine nozzle positions (`{ x, y, z }` in ship space, +z forward,
+ *   before `mesh.scale`); projectile weapons fire from each hardpoint's barrel in turn (beams from the nose), and
+ *   engine trails spawn just behind each engine
+ * - `mesh`: `{ recipe, scale?, model? }`: a procedural recipe from `SHIP_MESH_RECIPES` (`src/render/shipMeshes.js`),
+ *   or a glTF `model` path, with the recipe as the fallback
+ */
 export const spaceships = [
     {
         id: 'scout',
         name: 'Void Scout',
+        class: 'Reconnaissance Class',
         weaponPower: 10,
         speed: 1.2,
         energy: 100,
         storage: 30,
+        hull: 80,
+        shield: 60,
+        weaponSlots: 2,
+        loadout: ['laser', 'beam'],
         dodge: 1.5,
         color: 0x00ffcc,
+        price: 800,
+        starter: true,
+        hardpoints: [{ x: -4, y: 0, z: 0 }, { x: 4, y: 0, z: 0 }],
+        engines: [{ x: -2.5, y: 0, z: -2 }, { x: 2.5, y: 0, z: -2 }],
+        mesh: { recipe: 'fighter', scale: 0.9 },
         description: 'Fast and agile, but limited storage.'
     },
     {
         id: 'interceptor',
         name: 'Star Interceptor',
+        class: 'Assault Class',
         weaponPower: 20,
         speed: 1.0,
         energy: 120,
         storage: 50,
+        hull: 120,
+        shield: 50,
+        weaponSlots: 3,
+        loadout: ['laser', 'spread', 'missile'],
         dodge: 1.2,
         color: 0xff3333,
+        price: 1200,
+        starter: true,
+        hardpoints: [{ x: -4, y: 0, z: 0 }, { x: 4, y: 0, z: 0 }, { x: 0, y: -0.8, z: 3 }],
+        engines: [{ x: -2.5, y: 0, z: -2 }, { x: 2.5, y: 0, z: -2 }],
+        mesh: { recipe: 'fighter' },
         description: 'Balanced fighter with decent power.'
     },
     {
         id: 'hauler',
         name: 'Deep Hauler',
+        class: 'Industrial Class',
         weaponPower: 15,
         speed: 0.7,
         energy: 150,
         storage: 100,
+        hull: 150,
+        shield: 40,
+        weaponSlots: 2,
+        loadout: ['beam', 'laser'],
         dodge: 0.8,
         color: 0xffcc00,
+        price: 1200,
+        starter: true,
+        hardpoints: [{ x: -2, y: 1.2, z: 2 }, { x: 2, y: 1.2, z: 2 }],
+        engines: [{ x: -1.8, y: 0.6, z: -4.5 }, { x: 1.8, y: 0.6, z: -4.5 }, { x: 0, y: -0.6, z: -4.5 }],
+        mesh: { recipe: 'freighter' },
         description: 'Slow but massive cargo capacity.'
+    },
+    {
+        id: 'prospector',
+        name: 'Rock Prospector',
+        class: 'Mining Class',
+        weaponPower: 14,
+        speed: 0.9,
+        energy: 140,
+        storage: 80,
+        hull: 110,
+        shield: 50,
+        weaponSlots: 3,
+        loadout: ['beam', 'laser', 'spread'],
+        dodge: 1.0,
+        color: 0x66ff66,
+        price: 1800,
+        starter: false,
+        hardpoints: [{ x: -2, y: 1.2, z: 2 }, { x: 2, y: 1.2, z: 2 }, { x: 0, y: -1.2, z: 4 }],
+        engines: [{ x: -1.8, y: 0, z: -4.5 }, { x: 1.8, y: 0, z: -4.5 }],
+        mesh: { recipe: 'freighter', scale: 0.85 },
+        description: 'Mining rig with a spare hardpoint.'
+    },
+    {
+        id: 'gunship',
+        name: 'Iron Gunship',
+        class: 'Heavy Assault Class',
+        weaponPower: 24,
+        speed: 0.85,
+        energy: 160,
+        storage: 40,
+        hull: 200,
+        shield: 80,
+        weaponSlots: 4,
+        loadout: ['laser', 'spread', 'missile', 'beam'],
+        dodge: 0.9,
+        color: 0x8899ff,
+        price: 3500,
+        starter: false,
+        hardpoints: [{ x: -4, y: 0, z: 0 }, { x: 4, y: 0, z: 0 }, { x: -4, y: 0.6, z: -1 }, { x: 4, y: 0.6, z: -1 }],
+        engines: [{ x: -2.5, y: 0, z: -2 }, { x: 2.5, y: 0, z: -2 }, { x: 0, y: 0.9, z: -2.5 }],
+        mesh: { recipe: 'fighter', scale: 1.25 },
+        description: 'Heavy brawler: four hardpoints, thick armor.'
     }
 ];
+
+/** Procedural hull recipes `src/render/shipMeshes.js` can build. */
+export const SHIP_MESH_RECIPES = ['fighter', 'freighter'];
+
+const STAT_FIELDS = ['weaponPower', 'speed', 'energy', 'storage', 'hull', 'shield', 'dodge', 'price'];
+
+/**
+ * Throws if `ship` does not match the schema (see the top of this file), listing every problem.
+ * @param {any} ship
+ */
+export function validateShip(ship) {
+    const errors = [];
+    const label = typeof ship?.id === 'string' ? ship.id : '(no id)';
+    const isVec3 = (p) => p && [p.x, p.y, p.z].every((n) => typeof n === 'number' && Number.isFinite(n));
+
+    for (const key of ['id', 'name', 'class', 'description']) {
+        if (typeof ship?.[key] !== 'string' || !ship[key]) errors.push(`${key} must be a non-empty string`);
+    }
+    for (const key of STAT_FIELDS) {
+        if (typeof ship?.[key] !== 'number' || !(ship[key] >= 0)) errors.push(`${key} must be a number >= 0`);
+    }
+    if (!Number.isInteger(ship?.weaponSlots) || ship.weaponSlots < 1) errors.push('weaponSlots must be an integer >= 1');
+    if (!Array.isArray(ship?.loadout) || !ship.loadout.length) {
+        errors.push('loadout must list at least one weapon');
+    } else {
+        for (const id of ship.loadout) if (!weapons[id]) errors.push(`loadout has unknown weapon "${id}"`);
+        if (ship.loadout.length > ship.weaponSlots) errors.push('loadout has more weapons than weaponSlots');
+    }
+    if (typeof ship?.color !== 'number') errors.push('color must be a number (0xRRGGBB)');
+    if (typeof ship?.starter !== 'boolean') errors.push('starter must be true or false');
+    for (const key of ['hardpoints', 'engines']) {
+        if (!Array.isArray(ship?.[key]) || !ship[key].length || !ship[key].every(isVec3)) {
+            errors.push(`${key} must be a non-empty list of { x, y, z }`);
+        }
+    }
+    const mesh = ship?.mesh;
+    if (!mesh || !SHIP_MESH_RECIPES.includes(mesh.recipe)) {
+        errors.push(`mesh.recipe must be one of ${SHIP_MESH_RECIPES.join(', ')}`);
+    } else {
+        if (mesh.scale !== undefined && !(mesh.scale > 0)) errors.push('mesh.scale must be > 0');
+        if (mesh.model !== undefined && (typeof mesh.model !== 'string' || !mesh.model)) {
+            errors.push('mesh.model must be a glTF path');
+        }
+    }
+
+    if (errors.length) throw new Error(`Invalid ship "${label}": ${errors.join('; ')}`);
+}
+
+const shipIds = new Set();
+for (const ship of spaceships) {
+    validateShip(ship);
+    if (shipIds.has(ship.id)) throw new Error(`Duplicate ship id "${ship.id}"`);
+    shipIds.add(ship.id);
+}
+
+/**
+ * @param {string} id
+ * @returns {typeof spaceships[number] | null}
+ */
+export function getShip(id) {
+    return spaceships.find((ship) => ship.id === id) ?? null;
+}
+
+/**
+ * Smallest and largest value of a stat across every ship (selection-card bars scale to this).
+ * @param {string} key e.g. `weaponPower`
+ * @returns {{ min: number, max: number }}
+ */
+export function shipStatRange(key) {
+    const values = spaceships.map((ship) => ship[key]);
+    return { min: Math.min(...values), max: Math.max(...values) };
+}
@@ -0,0 +1,129 @@
+import { ACTIONS, BINDING_SLOTS, keyLabel } from '../input/actionMap.js';
+
+/**
+ * Key rebinding screen (`#controls-menu`).
+ * Click a slot, then press a key: Escape cancels, Backspace/Delete clears the slot.
+ * Only emits intents; `Game` owns the `ActionMap` and persists it.
+ */
+export class ControlsMenu {
+  constructor(doc = document) {
+    this.doc = doc;
+    this.root = doc.getElementById('controls-menu');
+    this.list = doc.getElementById('bindings-list');
+    this.resetBtn = doc.getElementById('reset-bindings-btn');
+    this.backBtn = doc.getElementById('controls-back-btn');
+
+    /** @type {null | { action: string, slot: number, btn: HTMLButtonElement, text: string }} */
+    this._capture = null;
+
+    /** @type {null | ((action: string, slot: number, code: string|null) => void)} */
+    this._rebindHandler = null;
+    /** @type {null | (() => void)} */
+    this._resetHandler = null;
+    /** @type {null | (() => void)} */
+    this._closeHandler = null;
+
+    if (this.resetBtn) {
+      this.resetBtn.addEventListener('click', () => {
+        if (this._resetHandler) this._resetHandler();
+      });
+    }
+    if (this.backBtn) {
+      this.backBtn.addEventListener('click', () => {
+        this._stopCapture();
+        if (this._closeHandler) this._closeHandler();
+      });
+    }
+
+    // Capture phase on window so the key never reaches gameplay listeners.
+    /** @type {(e: KeyboardEvent) => void} */
+    this._onCaptureKey = (e) => {
+      if (!this._capture) return;
+      e.preventDefault();
+      e.stopPropagation();
+      const { action, slot } = this._capture;
+      this._stopCapture();
+      if (e.code === 'Escape') return;
+      const code = e.code === 'Backspace' || e.code === 'Delete' ? null : e.code;
+      if (this._rebindHandler) this._rebindHandler(action, slot, code);
+    };
+  }
+
+  setVisible(visible) {
+    if (!this.root) return;
+    if (!visible) this._stopCapture();
+    if (visible) this.root.classList.remove('hidden');
+    else this.root.classList.add('hidden');
+  }
+
+  /**
+   * @param {import('../input/actionMap.js').ActionMap} actionMap
+   */
+  render(actionMap) {
+    if (!this.list) return;
+    this.list.innerHTML = '';
+    for (const { id, label } of ACTIONS) {
+      const row = this.doc.createElement('div');
+      row.className = 'binding-row';
+
+      const name = this.doc.createElement('span');
+      name.className = 'binding-label';
+      name.textContent = label;
+      row.appendChild(name);
+
+      for (let slot = 0; slot < BINDING_SLOTS; slot++) {
+        const code = actionMap.bindings[id][slot];
+        const btn = this.doc.createElement('button');
+        btn.className = 'binding-key';
+        btn.textContent = code ? keyLabel(code) : '—';
+        btn.addEventListener('click', () => this._startCapture(id, slot, btn));
+        row.appendChild(btn);
+      }
+      this.list.appendChild(row);
+    }
+  }
+
+  /**
+   * @param {(action: string, slot: number, code: string|null) => void} handler
+   */
+  onRebind(handler) {
+    this._rebindHandler = handler;
+  }
+
+  /**
+   * @param {() => void} handler
+   */
+  onReset(handler) {
+    this._resetHandler = handler;
+  }
+
+  /**
+   * @param {() => void} handler
+   */
+  onClose(handler) {
+    this._closeHandler = handler;
+  }
+
+  /**
+   * @param {string} action
+   * @param {number} slot
+   * @param {HTMLButtonElement} btn
+   */
+  _startCapture(action, slot, btn) {
+    this._stopCapture();
+    this._capture = { action, slot, btn, text: btn.textContent };
+    btn.textContent = 'Press key…';
+    btn.classList.add('capturing');
+    this.doc.defaultView?.addEventListener('keydown', this._onCaptureKey, true);
+  }
+
+  _stopCapture() {
+    if (!this._capture) return;
+    const { btn, text } = this._capture;
+    this._capture = null;
+    this.doc.defaultView?.removeEventListener('keydown', this._onCaptureKey, true);
+    // Rebinds re-render the list; this restores the label when capture is cancelled.
+    btn.textContent = text;
+    btn.classList.remove('capturing');
+  }
+}
@@ -0,0 +1,26 @@
+/**
+ * Browser file helpers (download/upload JSON). DOM-only; keep out of headless code paths.
+ */
+
+/**
+ * @param {any} data
+ * @param {string} filename
+ */
+export function downloadJson(data, filename) {
+  const blob = new Blob([JSON.stringify(data)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * @param {File} file
+ * @returns {Promise<any>}
+ */
+export async function readJsonFile(file) {
+  const text = await file.text();
+  return JSON.parse(text);
+}
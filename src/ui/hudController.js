@@ -1,3 +1,5 @@
+import { ControlsMenu } from './controlsMenu.js';
+
 /**
  * HUD DOM wrapper. Keeps DOM queries in one place.
  * Game code should call methods here instead of touching the DOM directly.
@@ -6,6 +8,11 @@ export class HudController {
   constructor(doc = document) {
     this.doc = doc;
 
+    this.hudEl = doc.getElementById('hud');
+    this.hullEl = doc.getElementById('hull-val');
+    this.hullBar = doc.getElementById('hull-bar');
+    this.shieldEl = doc.getElementById('shield-val');
+    this.shieldBar = doc.getElementById('shield-bar');
     this.energyEl = doc.getElementById('energy-val');
     this.energyBar = doc.getElementById('energy-bar');
     this.storageEl = doc.getElementById('storage-val');
@@ -15,8 +22,52 @@ export class HudController {
     this.messagesEl = doc.getElementById('messages');
     this.baseMenu = doc.getElementById('base-menu');
     this.resumeBtn = doc.getElementById('resume-btn');
+    this.deathScreen = doc.getElementById('death-screen');
+    this.deathReasonEl = doc.getElementById('death-reason');
+    this.deathCargoEl = doc.getElementById('death-cargo');
+    this.respawnBtn = doc.getElementById('respawn-btn');
+    this.saveBtn = doc.getElementById('save-btn');
+    this.exportSaveBtn = doc.getElementById('export-save-btn');
+    this.watchReplayBtn = doc.getElementById('watch-replay-btn');
+    this.exportReplayBtn = doc.getElementById('export-replay-btn');
+    this.controlsBtn = doc.getElementById('controls-btn');
+    this.controlsHint = doc.getElementById('controls-hint');
+    this.weaponStatus = doc.getElementById('weapon-status');
+    this.loadoutSlots = doc.getElementById('loadout-slots');
+    this.shopItems = doc.getElementById('shop-items');
+    this.shopCreditsEl = doc.getElementById('shop-credits');
+    this.hangarShips = doc.getElementById('hangar-ships');
+    this.marketCreditsEl = doc.getElementById('market-credits');
+    this.marketChart = doc.getElementById('market-chart');
+    this.marketItems = doc.getElementById('market-items');
+    this.sellAllBtn = doc.getElementById('sell-all-btn');
+    this.contractItems = doc.getElementById('contract-items');
+    this.cargoScreen = doc.getElementById('cargo-screen');
+    this.cargoVolumeEl = doc.getElementById('cargo-volume');
+    this.cargoItems = doc.getElementById('cargo-items');
+    /** Last cargo list shown, so refreshes only rebuild the rows on change. */
+    this._cargoKey = '';
+    this.targetPanel = doc.getElementById('target-panel');
+    this.targetTypeEl = doc.getElementById('target-type');
+    this.targetDistEl = doc.getElementById('target-dist');
+    this.targetHpBar = doc.getElementById('target-hp-bar');
+    this.targetValueEl = doc.getElementById('target-value');
+    this.targetOreRow = doc.getElementById('target-ore-row');
+    this.targetOreEl = doc.getElementById('target-ore');
+    /** Last target panel text shown, so per-tick calls only touch the DOM on change. */
+    this._targetKey = '';
+    this.controlsMenu = new ControlsMenu(doc);
+    this.mouseFlightEnabledInput = doc.getElementById('mouse-flight-enabled');
+    this.mouseFlightSensitivityInput = doc.getElementById('mouse-flight-sensitivity');
+    this.mouseFlightInvertYInput = doc.getElementById('mouse-flight-invert-y');
+    this.mouseFlightDeadzoneInput = doc.getElementById('mouse-flight-deadzone');
 
     this.crosshair = doc.getElementById('crosshair-container');
+    /** Last lock progress shown (percent, -1 = none) so per-tick calls don't touch the DOM. */
+    this._lockPct = -1;
+
+    this.leadPip = doc.getElementById('lead-pip');
+    this._leadPipVisible = false;
 
     this.baseMarker = doc.getElementById('base-marker');
     this.baseMarkerDist = this.baseMarker?.querySelector('.marker-dist') ?? null;
@@ -29,6 +80,97 @@ export class HudController {
         if (this._resumeHandler) this._resumeHandler();
       });
     }
+
+    /** @type {null | ((slot: number, weaponId: string) => void)} */
+    this._equipHandler = null;
+
+    /** @type {null | ((id: string) => void)} */
+    this._buyUpgradeHandler = null;
+    /** @type {null | ((shipId: string) => void)} */
+    this._buyShipHandler = null;
+    /** @type {null | ((shipId: string) => void)} */
+    this._boardShipHandler = null;
+    /** @type {null | ((type: string, count: number) => void)} */
+    this._jettisonHandler = null;
+    /** @type {null | ((id: string, count: number) => void)} */
+    this._sellHandler = null;
+    /** @type {null | (() => void)} */
+    this._sellAllHandler = null;
+    if (this.sellAllBtn) {
+      this.sellAllBtn.addEventListener('click', () => {
+        if (this._sellAllHandler) this._sellAllHandler();
+      });
+    }
+    /** @type {null | ((contractId: number) => void)} */
+    this._deliverHandler = null;
+    // Clicks on the cargo screen must not reach the window's fire / pointer-capture handler.
+    this.cargoScreen?.addEventListener('mousedown', (e) => e.stopPropagation());
+
+    /** @type {null | (() => void)} */
+    this._respawnHandler = null;
+    if (this.respawnBtn) {
+      this.respawnBtn.addEventListener('click', () => {
+        if (this._respawnHandler) this._respawnHandler();
+      });
+    }
+
+    /** @type {null | (() => void)} */
+    this._saveHandler = null;
+    if (this.saveBtn) {
+      this.saveBtn.addEventListener('click', () => {
+        if (this._saveHandler) this._saveHandler();
+      });
+    }
+
+    /** @type {null | (() => void)} */
+    this._exportSaveHandler = null;
+    if (this.exportSaveBtn) {
+      this.exportSaveBtn.addEventListener('click', () => {
+        if (this._exportSaveHandler) this._exportSaveHandler();
+      });
+    }
+
+    /** @type {null | (() => void)} */
+    this._watchReplayHandler = null;
+    if (this.watchReplayBtn) {
+      this.watchReplayBtn.addEventListener('click', () => {
+        if (this._watchReplayHandler) this._watchReplayHandler();
+      });
+    }
+
+    /** @type {null | (() => void)} */
+    this._exportReplayHandler = null;
+    if (this.exportReplayBtn) {
+      this.exportReplayBtn.addEventListener('click', () => {
+        if (this._exportReplayHandler) this._exportReplayHandler();
+      });
+    }
+
+    // Controls screen swaps with the base menu (pure UI; the game stays paused underneath).
+    if (this.controlsBtn) {
+      this.controlsBtn.addEventListener('click', () => {
+        this.setBaseMenuVisible(false);
+        this.controlsMenu.setVisible(true);
+      });
+    }
+    this.controlsMenu.onClose(() => {
+      this.controlsMenu.setVisible(false);
+      this.setBaseMenuVisible(true);
+    });
+
+    /** @type {null | ((patch: Partial<import('../input/mouseFlight.js').MouseFlightSettings>) => void)} */
+    this._mouseFlightSettingsHandler = null;
+    const emitMouseFlight = (patch) => {
+      if (this._mouseFlightSettingsHandler) this._mouseFlightSettingsHandler(patch);
+    };
+    this.mouseFlightEnabledInput?.addEventListener('change', (e) => emitMouseFlight({ enabled: e.target.checked }));
+    this.mouseFlightSensitivityInput?.addEventListener('input', (e) =>
+      emitMouseFlight({ sensitivity: Number(e.target.value) })
+    );
+    this.mouseFlightInvertYInput?.addEventListener('change', (e) => emitMouseFlight({ invertY: e.target.checked }));
+    this.mouseFlightDeadzoneInput?.addEventListener('input', (e) =>
+      emitMouseFlight({ deadzone: Number(e.target.value) })
+    );
   }
 
   setMaxStorage(maxStorage) {
@@ -36,9 +178,21 @@ export class HudController {
   }
 
   /**
-   * @param {{ energy: number, maxEnergy: number, storage: number, maxStorage: number, loot: number }} s
+   * @param {{ hull: number, maxHull: number, shield: number, maxShield: number, energy: number, maxEnergy: number, storage: number, maxStorage: number, loot: number }} s
    */
   setStats(s) {
+    const hullPercent = Math.max(0, (s.hull / s.maxHull) * 100);
+    if (this.hullEl) this.hullEl.textContent = `${Math.ceil(hullPercent)}%`;
+    if (this.hullBar) {
+      this.hullBar.style.width = `${hullPercent}%`;
+      this.hullBar.style.background =
+        hullPercent < 30 ? 'linear-gradient(90deg, #ff0000, #ff4400)' : 'linear-gradient(90deg, #00cc66, #66ff99)';
+    }
+
+    const shieldPercent = s.maxShield > 0 ? Math.max(0, (s.shield / s.maxShield) * 100) : 0;
+    if (this.shieldEl) this.shieldEl.textContent = `${Math.floor(shieldPercent)}%`;
+    if (this.shieldBar) this.shieldBar.style.width = `${shieldPercent}%`;
+
     const energyPercent = Math.max(0, (s.energy / s.maxEnergy) * 100);
     if (this.energyEl) this.energyEl.textContent = `${Math.floor(energyPercent)}%`;
     if (this.energyBar) {
@@ -86,6 +240,413 @@ export class HudController {
     }, 2500);
   }
 
+  /**
+   * @param {string} text
+   */
+  setControlsHint(text) {
+    if (this.controlsHint) this.controlsHint.textContent = text;
+  }
+
+  /**
+   * @param {{ name: string, slot: number, slots: number }} w
+   */
+  setWeapon(w) {
+    if (this.weaponStatus) this.weaponStatus.textContent = `${w.name.toUpperCase()} [${w.slot + 1}/${w.slots}]`;
+  }
+
+  /**
+   * Current target readout (hidden when `info` is null).
+   * @param {{ type: string, distance: number, hp: number, maxHp: number, lootValue: number, ore: string, manual: boolean } | null} info
+   *   `ore`: composition readout, empty for targets without one
+   */
+  setTargetInfo(info) {
+    if (!this.targetPanel) return;
+    const hpPct = info && info.maxHp > 0 ? Math.max(0, Math.round((info.hp / info.maxHp) * 100)) : 0;
+    const key = info ? `${info.type}|${Math.round(info.distance)}|${hpPct}|${info.lootValue}|${info.ore}|${info.manual}` : '';
+    if (key === this._targetKey) return;
+    this._targetKey = key;
+
+    this.targetPanel.classList.toggle('hidden', !info);
+    if (!info) return;
+    this.targetPanel.classList.toggle('manual', info.manual);
+    this.targetTypeEl.textContent = info.type.toUpperCase();
+    this.targetDistEl.textContent = `${Math.round(info.distance)}m`;
+    this.targetHpBar.style.width = `${hpPct}%`;
+    this.targetValueEl.textContent = String(info.lootValue);
+    if (this.targetOreRow) {
+      this.targetOreRow.classList.toggle('hidden', !info.ore);
+      this.targetOreEl.textContent = info.ore;
+    }
+  }
+
+  /**
+   * Base-menu loadout editor: one weapon picker per ship slot.
+   * @param {{ weapons: string[] }} loadout
+   * @param {number} slotCount
+   * @param {Array<{ id: string, name: string }>} options
+   */
+  renderLoadout(loadout, slotCount, options) {
+    if (!this.loadoutSlots) return;
+    this.loadoutSlots.innerHTML = '';
+    for (let slot = 0; slot < slotCount; slot++) {
+      const label = this.doc.createElement('label');
+      label.textContent = `Slot ${slot + 1}`;
+      const select = this.doc.createElement('select');
+      if (!loadout.weapons[slot]) select.appendChild(new Option('— empty —', '', true, true));
+      for (const { id, name } of options) {
+        select.appendChild(new Option(name, id, false, loadout.weapons[slot] === id));
+      }
+      select.addEventListener('change', () => {
+        if (select.value && this._equipHandler) this._equipHandler(slot, select.value);
+      });
+      label.appendChild(select);
+      this.loadoutSlots.appendChild(label);
+    }
+  }
+
+  /**
+   * @param {(slot: number, weaponId: string) => void} handler
+   */
+  onEquip(handler) {
+    this._equipHandler = handler;
+  }
+
+  /**
+   * Base-menu upgrade shop: one row per upgrade with its tier and a buy button for the next one.
+   * @param {Array<{ id: string, name: string, description: string, tier: number, maxTier: number, effect: string, nextEffect: string, price: number|null, affordable: boolean }>} items
+   * @param {number} credits banked loot
+   */
+  renderShop(items, credits) {
+    if (this.shopCreditsEl) this.shopCreditsEl.textContent = String(credits);
+    if (!this.shopItems) return;
+    this.shopItems.innerHTML = '';
+    for (const item of items) {
+      const row = this.doc.createElement('div');
+      row.className = 'shop-item';
+
+      const info = this.doc.createElement('div');
+      info.className = 'shop-item-info';
+      const title = this.doc.createElement('div');
+      title.textContent = item.effect ? `${item.name} (${item.effect})` : item.name;
+      const desc = this.doc.createElement('div');
+      desc.className = 'shop-item-desc';
+      desc.textContent = item.description;
+      info.append(title, desc);
+
+      const tier = this.doc.createElement('div');
+      tier.className = 'shop-item-tier';
+      tier.textContent = `${item.tier}/${item.maxTier}`;
+
+      const buy = this.doc.createElement('button');
+      buy.type = 'button';
+      if (item.price == null) {
+        buy.textContent = 'MAXED';
+        buy.disabled = true;
+      } else {
+        buy.textContent = `${item.nextEffect} — ${item.price}`;
+        buy.disabled = !item.affordable;
+        buy.addEventListener('click', () => {
+          if (this._buyUpgradeHandler) this._buyUpgradeHandler(item.id);
+        });
+      }
+
+      row.append(info, tier, buy);
+      this.shopItems.appendChild(row);
+    }
+  }
+
+  /**
+   * @param {(id: string) => void} handler
+   */
+  onBuyUpgrade(handler) {
+    this._buyUpgradeHandler = handler;
+  }
+
+  /**
+   * Base-menu hangar: every hull, with board (owned) or buy buttons.
+   * @param {Array<{ id: string, name: string, description: string, owned: boolean, active: boolean, price: number, affordable: boolean }>} ships
+   */
+  renderHangar(ships) {
+    if (!this.hangarShips) return;
+    this.hangarShips.innerHTML = '';
+    for (const ship of ships) {
+      const row = this.doc.createElement('div');
+      row.className = 'shop-item';
+      if (ship.active) row.classList.add('active');
+
+      const info = this.doc.createElement('div');
+      info.className = 'shop-item-info';
+      const title = this.doc.createElement('div');
+      title.textContent = ship.name;
+      const desc = this.doc.createElement('div');
+      desc.className = 'shop-item-desc';
+      desc.textContent = ship.description;
+      info.append(title, desc);
+
+      const action = this.doc.createElement('button');
+      action.type = 'button';
+      if (ship.active) {
+        action.textContent = 'ACTIVE';
+        action.disabled = true;
+      } else if (ship.owned) {
+        action.textContent = 'Board';
+        action.addEventListener('click', () => {
+          if (this._boardShipHandler) this._boardShipHandler(ship.id);
+        });
+      } else {
+        action.textContent = `Buy — ${ship.price}`;
+        action.disabled = !ship.affordable;
+        action.addEventListener('click', () => {
+          if (this._buyShipHandler) this._buyShipHandler(ship.id);
+        });
+      }
+
+      row.append(info, action);
+      this.hangarShips.appendChild(row);
+    }
+  }
+
+  /**
+   * @param {(shipId: string) => void} handler
+   */
+  onBuyShip(handler) {
+    this._buyShipHandler = handler;
+  }
+
+  /**
+   * @param {(shipId: string) => void} handler
+   */
+  onBoardShip(handler) {
+    this._boardShipHandler = handler;
+  }
+
+  /**
+   * Base-menu market: price history chart, a sell row per resource and the open contracts.
+   * @param {Array<{ id: string, name: string, color: number, held: number, price: number, change: number, history: number[] }>} items
+   *   `change`: price now minus the last chart point; `history`: past prices as fractions of the base price
+   * @param {Array<{ id: number, name: string, delivered: number, quantity: number, price: number, bonus: number, minutesLeft: number, held: number }>} contracts
+   * @param {number} credits
+   */
+  renderMarket(items, contracts, credits) {
+    if (this.marketCreditsEl) this.marketCreditsEl.textContent = String(credits);
+    if (this.sellAllBtn) this.sellAllBtn.disabled = items.every((item) => item.held === 0);
+    this.drawPriceChart(items);
+
+    if (this.marketItems) {
+      this.marketItems.innerHTML = '';
+      for (const item of items) {
+        const row = this.doc.createElement('div');
+        row.className = 'shop-item';
+
+        const info = this.doc.createElement('div');
+        info.className = 'shop-item-info';
+        const title = this.doc.createElement('div');
+        const swatch = this.doc.createElement('span');
+        swatch.className = 'market-swatch';
+        swatch.style.background = cssColor(item.color);
+        title.append(swatch, item.name);
+        const desc = this.doc.createElement('div');
+        desc.className = 'shop-item-desc';
+        desc.textContent = `Held ${item.held}`;
+        info.append(title, desc);
+
+        const price = this.doc.createElement('div');
+        price.className = 'shop-item-tier market-price';
+        if (item.change > 0) price.classList.add('up');
+        if (item.change < 0) price.classList.add('down');
+        price.textContent = `${item.change > 0 ? '▲' : item.change < 0 ? '▼' : ''}${item.price}`;
+
+        const one = this.doc.createElement('button');
+        one.type = 'button';
+        one.className = 'market-sell';
+        one.textContent = 'Sell 1';
+        one.disabled = item.held === 0;
+        one.addEventListener('click', () => {
+          if (this._sellHandler) this._sellHandler(item.id, 1);
+        });
+        const all = this.doc.createElement('button');
+        all.type = 'button';
+        all.className = 'market-sell';
+        all.textContent = 'Sell All';
+        all.disabled = item.held === 0;
+        all.addEventListener('click', () => {
+          if (this._sellHandler) this._sellHandler(item.id, item.held);
+        });
+
+        row.append(info, price, one, all);
+        this.marketItems.appendChild(row);
+      }
+    }
+
+    if (!this.contractItems) return;
+    this.contractItems.innerHTML = '';
+    if (contracts.length === 0) {
+      const none = this.doc.createElement('div');
+      none.className = 'shop-item-desc';
+      none.textContent = 'No contracts posted. Check back later.';
+      this.contractItems.appendChild(none);
+      return;
+    }
+    for (const c of contracts) {
+      const row = this.doc.createElement('div');
+      row.className = 'shop-item';
+
+      const info = this.doc.createElement('div');
+      info.className = 'shop-item-info';
+      const title = this.doc.createElement('div');
+      title.textContent = `${c.name} ${c.delivered}/${c.quantity}`;
+      const desc = this.doc.createElement('div');
+      desc.className = 'shop-item-desc';
+      desc.textContent = `${c.price} per unit · +${c.bonus} on completion · ${c.minutesLeft} min left`;
+      info.append(title, desc);
+
+      const deliver = this.doc.createElement('button');
+      deliver.type = 'button';
+      const n = Math.min(c.held, c.quantity - c.delivered);
+      deliver.textContent = n > 0 ? `Deliver ${n}` : 'None aboard';
+      deliver.disabled = n === 0;
+      deliver.addEventListener('click', () => {
+        if (this._deliverHandler) this._deliverHandler(c.id);
+      });
+
+      row.append(info, deliver);
+      this.contractItems.appendChild(row);
+    }
+  }
+
+  /**
+   * Price history as a fraction of each resource's base price (dashed line = base).
+   * @param {Array<{ color: number, history: number[] }>} items
+   */
+  drawPriceChart(items) {
+    const ctx = this.marketChart?.getContext('2d');
+    if (!ctx) return;
+    const { width, height } = this.marketChart;
+    ctx.clearRect(0, 0, width, height);
+
+    let lo = 1;
+    let hi = 1;
+    for (const item of items) {
+      for (const p of item.history) {
+        lo = Math.min(lo, p);
+        hi = Math.max(hi, p);
+      }
+    }
+    lo -= 0.1;
+    hi += 0.1;
+    const y = (p) => height - ((p - lo) / (hi - lo)) * height;
+
+    ctx.setLineDash([4, 4]);
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.3)';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(0, y(1));
+    ctx.lineTo(width, y(1));
+    ctx.stroke();
+    ctx.setLineDash([]);
+
+    ctx.lineWidth = 2;
+    for (const item of items) {
+      const n = item.history.length;
+      if (n < 2) continue;
+      ctx.strokeStyle = cssColor(item.color);
+      ctx.beginPath();
+      item.history.forEach((p, i) => {
+        const x = (i / (n - 1)) * width;
+        if (i === 0) ctx.moveTo(x, y(p));
+        else ctx.lineTo(x, y(p));
+      });
+      ctx.stroke();
+    }
+  }
+
+  /**
+   * @param {(id: string, count: number) => void} handler
+   */
+  onSell(handler) {
+    this._sellHandler = handler;
+  }
+
+  /**
+   * @param {() => void} handler
+   */
+  onSellAll(handler) {
+    this._sellAllHandler = handler;
+  }
+
+  /**
+   * @param {(contractId: number) => void} handler
+   */
+  onDeliver(handler) {
+    this._deliverHandler = handler;
+  }
+
+  /**
+   * In-flight cargo screen: one row per stack with jettison buttons.
+   * @param {Array<{ id: string, name: string, count: number, volume: number, value: number }>} items
+   * @param {number} used hold volume taken
+   * @param {number} max hold volume
+   */
+  renderCargo(items, used, max) {
+    const key = `${used}/${max}|${items.map((i) => `${i.id}:${i.count}`).join(',')}`;
+    if (key === this._cargoKey) return;
+    this._cargoKey = key;
+    if (this.cargoVolumeEl) this.cargoVolumeEl.textContent = `${used}/${max}`;
+    if (!this.cargoItems) return;
+    this.cargoItems.innerHTML = '';
+    if (items.length === 0) {
+      const empty = this.doc.createElement('div');
+      empty.className = 'shop-item-desc';
+      empty.textContent = 'The hold is empty.';
+      this.cargoItems.appendChild(empty);
+      return;
+    }
+    for (const item of items) {
+      const row = this.doc.createElement('div');
+      row.className = 'shop-item';
+
+      const info = this.doc.createElement('div');
+      info.className = 'shop-item-info';
+      const title = this.doc.createElement('div');
+      title.textContent = `${item.name} ×${item.count}`;
+      const desc = this.doc.createElement('div');
+      desc.className = 'shop-item-desc';
+      desc.textContent = `${item.volume} vol · ${item.value} credits`;
+      info.append(title, desc);
+
+      const one = this.doc.createElement('button');
+      one.type = 'button';
+      one.textContent = 'Jettison 1';
+      one.addEventListener('click', () => {
+        if (this._jettisonHandler) this._jettisonHandler(item.id, 1);
+      });
+      const all = this.doc.createElement('button');
+      all.type = 'button';
+      all.textContent = 'All';
+      all.addEventListener('click', () => {
+        if (this._jettisonHandler) this._jettisonHandler(item.id, item.count);
+      });
+
+      row.append(info, one, all);
+      this.cargoItems.appendChild(row);
+    }
+  }
+
+  /**
+   * @param {(type: string, count: number) => void} handler
+   */
+  onJettison(handler) {
+    this._jettisonHandler = handler;
+  }
+
+  /**
+   * @param {boolean} visible
+   */
+  setCargoVisible(visible) {
+    if (!this.cargoScreen) return;
+    this.cargoScreen.classList.toggle('hidden', !visible);
+  }
+
   setBaseMenuVisible(visible) {
     if (!this.baseMenu) return;
     if (visible) this.baseMenu.classList.remove('hidden');
@@ -99,6 +660,83 @@ export class HudController {
     this._resumeHandler = handler;
   }
 
+  /**
+   * @param {boolean} visible
+   * @param {{ reason: string, cargoLost: number }} [info]
+   */
+  setDeathScreenVisible(visible, info) {
+    if (!this.deathScreen) return;
+    if (visible && info) {
+      if (this.deathReasonEl) this.deathReasonEl.textContent = info.reason;
+      if (this.deathCargoEl) {
+        this.deathCargoEl.textContent =
+          info.cargoLost > 0 ? `Cargo worth ${info.cargoLost} credits will be lost.` : 'Your hold was empty.';
+      }
+    }
+    if (visible) this.deathScreen.classList.remove('hidden');
+    else this.deathScreen.classList.add('hidden');
+  }
+
+  /**
+   * @param {() => void} handler
+   */
+  onRespawn(handler) {
+    this._respawnHandler = handler;
+  }
+
+  /**
+   * @param {() => void} handler
+   */
+  onSave(handler) {
+    this._saveHandler = handler;
+  }
+
+  /**
+   * @param {() => void} handler
+   */
+  onExportSave(handler) {
+    this._exportSaveHandler = handler;
+  }
+
+  /**
+   * @param {() => void} handler
+   */
+  onWatchReplay(handler) {
+    this._watchReplayHandler = handler;
+  }
+
+  /**
+   * @param {() => void} handler
+   */
+  onExportReplay(handler) {
+    this._exportReplayHandler = handler;
+  }
+
+  /**
+   * @param {(patch: Partial<import('../input/mouseFlight.js').MouseFlightSettings>) => void} handler
+   */
+  onMouseFlightSettingsChange(handler) {
+    this._mouseFlightSettingsHandler = handler;
+  }
+
+  /**
+   * @param {import('../input/mouseFlight.js').MouseFlightSettings} s
+   */
+  setMouseFlightSettings(s) {
+    if (this.mouseFlightEnabledInput) this.mouseFlightEnabledInput.checked = s.enabled;
+    if (this.mouseFlightSensitivityInput) this.mouseFlightSensitivityInput.value = String(s.sensitivity);
+    if (this.mouseFlightInvertYInput) this.mouseFlightInvertYInput.checked = s.invertY;
+    if (this.mouseFlightDeadzoneInput) this.mouseFlightDeadzoneInput.value = String(s.deadzone);
+  }
+
+  flashHullHit() {
+    if (!this.hudEl) return;
+    this.hudEl.classList.remove('hull-hit');
+    // Trigger reflow to restart CSS animation.
+    void this.hudEl.offsetWidth;
+    this.hudEl.classList.add('hull-hit');
+  }
+
   crosshairSetLocked(locked) {
     if (!this.crosshair) return;
     if (locked) this.crosshair.classList.add('locked');
@@ -123,6 +761,38 @@ export class HudController {
     this.crosshair.style.transform = 'translate(-50%, -50%) rotate(45deg) scale(0.8)';
   }
 
+  /**
+   * Missile lock ring around the crosshair.
+   * @param {number|null} progress 0..1, or null when no lock is building
+   */
+  crosshairSetLockProgress(progress) {
+    if (!this.crosshair) return;
+    const pct = progress == null ? -1 : Math.round(progress * 100);
+    if (pct === this._lockPct) return;
+    this._lockPct = pct;
+    this.crosshair.classList.toggle('locking', pct >= 0 && pct < 100);
+    this.crosshair.classList.toggle('missile-locked', pct >= 100);
+    if (pct >= 0) this.crosshair.style.setProperty('--lock-progress', String(pct / 100));
+  }
+
+  /**
+   * Lead pip at screen position `pip` (CSS px); `assist` marks that aim assist fires there. Null hides it.
+   * @param {{ x: number, y: number, assist: boolean } | null} pip
+   */
+  setLeadPip(pip) {
+    if (!this.leadPip) return;
+    if (!pip) {
+      if (this._leadPipVisible) this.leadPip.classList.add('hidden');
+      this._leadPipVisible = false;
+      return;
+    }
+    if (!this._leadPipVisible) this.leadPip.classList.remove('hidden');
+    this._leadPipVisible = true;
+    this.leadPip.classList.toggle('assist', pip.assist);
+    this.leadPip.style.left = `${pip.x}px`;
+    this.leadPip.style.top = `${pip.y}px`;
+  }
+
   crosshairPulseFiring() {
     if (!this.crosshair) return;
     this.crosshair.classList.add('firing');
@@ -158,3 +828,10 @@ export class HudController {
   }
 }
 
+/**
+ * @param {number} hex 0xRRGGBB
+ * @returns {string}
+ */
+function cssColor(hex) {
+  return `#${hex.toString(16).padStart(6, '0')}`;
+}
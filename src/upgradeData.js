@@ -0,0 +1,120 @@
+/**
+ * Station upgrades, bought with banked loot in the base menu. `game.upgrades` holds the owned tier per id
+ * (0 = stock) and is saved.
+ *
+ * - `base`: the stock value (tier 0); `tiers[i]` is `{ price, value }` for tier `i + 1`
+ * - `unit`: '%' values are multipliers (shown as +N%); otherwise the value is absolute and the HUD shows the gain
+ *   over `base` in that unit
+ * - `weaponPower`: multiplier on `shipData.weaponPower`
+ * - `fireRate`: shots-per-second multiplier (projectile weapons' `fireRate` interval is divided by it)
+ * - `maxEnergy`: multiplier on `shipData.energy`
+ * - `cargo`: extra `stats.maxStorage` on top of `shipData.storage`
+ * - `magnet`: loot magnet range (world units)
+ * - `thrust`: multiplier on engine acceleration and cruise/boost speed
+ */
+export const upgrades = {
+    weaponPower: {
+        id: 'weaponPower',
+        name: 'Weapon Power',
+        description: 'Damage of every weapon',
+        unit: '%',
+        base: 1,
+        tiers: [
+            { price: 250, value: 1.15 },
+            { price: 600, value: 1.3 },
+            { price: 1400, value: 1.5 }
+        ]
+    },
+    fireRate: {
+        id: 'fireRate',
+        name: 'Fire Rate',
+        description: 'Shots per second (projectile weapons)',
+        unit: '%',
+        base: 1,
+        tiers: [
+            { price: 200, value: 1.1 },
+            { price: 500, value: 1.2 },
+            { price: 1200, value: 1.35 }
+        ]
+    },
+    maxEnergy: {
+        id: 'maxEnergy',
+        name: 'Energy Cells',
+        description: 'Maximum energy',
+        unit: '%',
+        base: 1,
+        tiers: [
+            { price: 200, value: 1.2 },
+            { price: 500, value: 1.4 },
+            { price: 1100, value: 1.7 }
+        ]
+    },
+    cargo: {
+        id: 'cargo',
+        name: 'Cargo Racks',
+        description: 'Cargo capacity',
+        unit: ' cargo',
+        base: 0,
+        tiers: [
+            { price: 150, value: 10 },
+            { price: 400, value: 25 },
+            { price: 900, value: 50 }
+        ]
+    },
+    magnet: {
+        id: 'magnet',
+        name: 'Loot Magnet',
+        description: 'Loot pull range',
+        unit: 'm',
+        base: 50,
+        tiers: [
+            { price: 150, value: 70 },
+            { price: 350, value: 95 },
+            { price: 800, value: 130 }
+        ]
+    },
+    thrust: {
+        id: 'thrust',
+        name: 'Thrusters',
+        description: 'Acceleration and top speed',
+        unit: '%',
+        base: 1,
+        tiers: [
+            { price: 250, value: 1.1 },
+            { price: 600, value: 1.2 },
+            { price: 1300, value: 1.35 }
+        ]
+    }
+};
+
+/**
+ * Every upgrade at tier 0.
+ * @returns {Record<string, number>}
+ */
+export function createUpgrades() {
+    return Object.fromEntries(Object.keys(upgrades).map((id) => [id, 0]));
+}
+
+/**
+ * Effective value of upgrade `id` at `tier` (clamped to the defined tiers).
+ * @param {keyof typeof upgrades} id
+ * @param {number} tier
+ * @returns {number}
+ */
+export function upgradeValue(id, tier) {
+    const def = upgrades[id];
+    if (!tier || tier <= 0) return def.base;
+    return def.tiers[Math.min(tier, def.tiers.length) - 1].value;
+}
+
+/**
+ * Short effect label for a value, e.g. "+15%", "+25 cargo", "+20m".
+ * @param {keyof typeof upgrades} id
+ * @param {number} value
+ * @returns {string}
+ */
+export function formatUpgradeValue(id, value) {
+    const def = upgrades[id];
+    if (def.unit === '%') return `+${Math.round((value - 1) * 100)}%`;
+    return `+${value - def.base}${def.unit}`;
+}
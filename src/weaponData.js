@@ -0,0 +1,108 @@
+/**
+ * Weapon definitions. Ships list which ones they carry (`shipData.loadout`, up to `shipData.weaponSlots`).
+ *
+ * - `kind`: 'projectile' (bullets/missiles in `World.projectile`) or 'beam' (continuous hitscan while fire is held)
+ * - `fireRate`: ms between shots (projectiles only; divided by `game.fireRateMultiplier`)
+ * - `energyCost`: per shot; beams drain it per second
+ * - `damage`: multiplier on `game.weaponPower` (ship + upgrade), per projectile (beams: per second)
+ * - `projectileSpeed` (world units per tick), `life` (ticks), `range` (beams, world units)
+ * - `pellets` + `spread`: projectiles per shot and random cone half-angle (radians)
+ * - `falloff`: damage is 1x up to `start` units travelled, easing to `min`x at `end` (null = none)
+ * - `homing`: `{ turnRate, lockTime, fuseRadius }`; the target must stay locked for `lockTime` seconds before launch
+ *   or the shot flies unguided; guided shots turn up to `turnRate` radians per tick and detonate within
+ *   `fuseRadius` of the target's surface
+ * - `damageVs`: per `objectMeta.type` multiplier (e.g. mining beams chew asteroids)
+ * - `visual`: bolt/beam colours and size; `sound`: `SoundManager` method played per shot / beam pulse
+ */
+export const weapons = {
+    laser: {
+        id: 'laser',
+        name: 'Pulse Laser',
+        kind: 'projectile',
+        fireRate: 600,
+        energyCost: 2,
+        damage: 1,
+        projectileSpeed: 15,
+        life: 200,
+        pellets: 1,
+        spread: 0,
+        falloff: null,
+        visual: { color: 0x00ffff, coreColor: 0xffffff, radius: 0.25, length: 12 },
+        sound: 'playShoot'
+    },
+    spread: {
+        id: 'spread',
+        name: 'Scatter Cannon',
+        kind: 'projectile',
+        fireRate: 900,
+        energyCost: 4,
+        damage: 0.35,
+        projectileSpeed: 12,
+        life: 60,
+        pellets: 7,
+        spread: 0.07,
+        falloff: { start: 60, end: 300, min: 0.25 },
+        visual: { color: 0xffcc00, coreColor: 0xffffee, radius: 0.2, length: 5 },
+        sound: 'playSpread'
+    },
+    missile: {
+        id: 'missile',
+        name: 'Seeker Missile',
+        kind: 'projectile',
+        fireRate: 1500,
+        energyCost: 8,
+        damage: 3,
+        projectileSpeed: 6,
+        life: 300,
+        pellets: 1,
+        spread: 0,
+        falloff: null,
+        homing: { turnRate: 0.08, lockTime: 1.2, fuseRadius: 6 },
+        visual: { color: 0xff6600, coreColor: 0xffffaa, radius: 0.45, length: 3 },
+        sound: 'playMissile'
+    },
+    beam: {
+        id: 'beam',
+        name: 'Mining Beam',
+        kind: 'beam',
+        energyCost: 3,
+        damage: 1.2,
+        range: 220,
+        falloff: { start: 120, end: 220, min: 0.5 },
+        damageVs: { asteroid: 2.5, planet: 2, enemy: 0.5 },
+        visual: { color: 0x66ff66, coreColor: 0xeeffee, radius: 0.3 },
+        sound: 'playBeam'
+    }
+};
+
+/**
+ * @param {string} id
+ * @returns {typeof weapons.laser}
+ */
+export function getWeapon(id) {
+    return weapons[id] ?? weapons.laser;
+}
+
+/**
+ * Damage multiplier for a shot that has travelled `distance` world units.
+ * @param {{ falloff?: { start: number, end: number, min: number } | null }} weapon
+ * @param {number} distance
+ * @returns {number}
+ */
+export function damageFalloff(weapon, distance) {
+    const f = weapon.falloff;
+    if (!f || distance <= f.start) return 1;
+    if (distance >= f.end) return f.min;
+    return 1 - ((distance - f.start) / (f.end - f.start)) * (1 - f.min);
+}
+
+/**
+ * Fresh loadout for a ship: its default weapons, first one active.
+ * @param {{ loadout?: string[], weaponSlots?: number }} shipData
+ * @returns {{ weapons: string[], active: number }}
+ */
+export function createLoadout(shipData) {
+    const slots = shipData.weaponSlots ?? 1;
+    const ids = (shipData.loadout ?? ['laser']).filter((id) => weapons[id]).slice(0, slots);
+    return { weapons: ids.length ? ids : ['laser'], active: 0 };
+}